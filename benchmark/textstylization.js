@@ -0,0 +1,119 @@
+/**
+ * TextStylization 的性能测试
+ *
+ * 使用 domino 包模拟 DOM，比较使用及不使用 cacheTextModel 选项时，在一个较大的
+ * 文档上多次调用 applyToRanges() 方法所用的时间，以及 applyToRangesAsync()
+ * 方法的时间片的个数。
+ *
+ * 运行：npm run benchmark
+ *
+ * 如果使用缓存的文本模型反而更慢，则以非 0 的状态码退出，以免性能的改进被
+ * 后续的修改破坏。
+ */
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { TextStylization } = require('../index');
+
+// 段落的个数及每个段落的文本
+const PARAGRAPH_COUNT = 500;
+const PARAGRAPH_TEXT = 'The quick brown fox jumps over the lazy dog. ';
+
+// 调用 applyToRanges() 方法的次数，以及每次风格化的范围的个数
+const CALL_COUNT = 50;
+const RANGES_PER_CALL = 20;
+
+let createRootElement = () => {
+    let paragraphs = [];
+    for (let idx = 0; idx < PARAGRAPH_COUNT; idx++) {
+        paragraphs.push('<p>' + PARAGRAPH_TEXT + '<b>' + idx + '</b></p>');
+    }
+
+    let documentObject = domino.createDocument('<div>' + paragraphs.join('') + '</div>', true);
+    return documentObject.body.firstElementChild;
+};
+
+let createTextSelections = (textLength) => {
+    // 伪随机数，以便每次运行的结果可以比较
+    let seed = 1;
+    let random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    let groups = [];
+    for (let callIdx = 0; callIdx < CALL_COUNT; callIdx++) {
+        let textSelections = [];
+        for (let rangeIdx = 0; rangeIdx < RANGES_PER_CALL; rangeIdx++) {
+            let start = Math.floor(random() * (textLength - 10));
+            textSelections.push(new TextSelection(start, start + 1 + Math.floor(random() * 8)));
+        }
+        groups.push(textSelections);
+    }
+    return groups;
+};
+
+let measure = (name, callback) => {
+    let startTime = process.hrtime.bigint();
+    let result = callback();
+    let elapsedTime = Number(process.hrtime.bigint() - startTime) / 1e6;
+    console.log(name.padEnd(40) + elapsedTime.toFixed(1).padStart(10) + ' ms');
+    return { elapsedTime, result };
+};
+
+let runApplyToRanges = (cacheTextModel) => {
+    let rootElement = createRootElement();
+    let ts = new TextStylization(rootElement, 'foo', rootElement.ownerDocument, NodeFilter,
+        { cacheTextModel: cacheTextModel });
+    let textSelectionGroups = createTextSelections(ts.getText().length);
+
+    return measure('applyToRanges() ' + (cacheTextModel ? 'with' : 'without') + ' cache', () => {
+        for (let textSelections of textSelectionGroups) {
+            ts.applyToRanges(textSelections);
+        }
+        return rootElement.innerHTML;
+    });
+};
+
+let runApplyToRangesAsync = async () => {
+    let rootElement = createRootElement();
+    let ts = new TextStylization(rootElement, 'foo', rootElement.ownerDocument, NodeFilter,
+        { cacheTextModel: true });
+    let textSelections = createTextSelections(ts.getText().length).flat();
+
+    let slices = 0;
+    let startTime = process.hrtime.bigint();
+    await ts.applyToRangesAsync(textSelections, null, {
+        schedule: (callback) => {
+            slices++;
+            setImmediate(callback);
+        }
+    });
+    let elapsedTime = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+    console.log('applyToRangesAsync() with cache'.padEnd(40) + elapsedTime.toFixed(1).padStart(10) +
+        ' ms (' + (slices + 1) + ' slices)');
+};
+
+let main = async () => {
+    let uncached = runApplyToRanges(false);
+    let cached = runApplyToRanges(true);
+
+    if (uncached.result !== cached.result) {
+        console.error('The results with and without cache are different.');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('speedup'.padEnd(40) + (uncached.elapsedTime / cached.elapsedTime).toFixed(1).padStart(10) + ' x');
+
+    await runApplyToRangesAsync();
+
+    if (cached.elapsedTime >= uncached.elapsedTime) {
+        console.error('applyToRanges() with cache is not faster than without cache.');
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -1,5 +1,35 @@
 const TextStylization = require('./src/textstylization');
+const TextStylizationRangeError = require('./src/textstylizationrangeerror');
+const TextModel = require('./src/textmodel');
+const DomEnvironment = require('./src/domenvironment');
+const OffsetConverter = require('./src/offsetconverter');
+const LineIndex = require('./src/lineindex');
+const TextDiff = require('./src/textdiff');
+const HtmlRenderer = require('./src/htmlrenderer');
+const HighlightStylization = require('./src/highlightstylization');
+const PatternMatcher = require('./src/patternmatcher');
+const SearchHighlighter = require('./src/searchhighlighter');
+const DecorationManager = require('./src/decorationmanager');
+const Transaction = require('./src/transaction');
+const StylizationHistory = require('./src/stylizationhistory');
+const TrackedDecorations = require('./src/trackeddecorations');
+const AnnotationStylization = require('./src/annotationstylization');
 
 module.exports = {
-    TextStylization: TextStylization
-};
\ No newline at end of file
+    TextStylization: TextStylization,
+    TextStylizationRangeError: TextStylizationRangeError,
+    TextModel: TextModel,
+    DomEnvironment: DomEnvironment,
+    OffsetConverter: OffsetConverter,
+    LineIndex: LineIndex,
+    TextDiff: TextDiff,
+    HtmlRenderer: HtmlRenderer,
+    HighlightStylization: HighlightStylization,
+    PatternMatcher: PatternMatcher,
+    SearchHighlighter: SearchHighlighter,
+    DecorationManager: DecorationManager,
+    Transaction: Transaction,
+    StylizationHistory: StylizationHistory,
+    TrackedDecorations: TrackedDecorations,
+    AnnotationStylization: AnnotationStylization
+};
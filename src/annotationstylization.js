@@ -0,0 +1,337 @@
+const TextStylization = require('./textstylization');
+
+// 说明元素的 id 的序号，使用模块级别的变量，以免同一个文档里的多个实例的 id 重复。
+let nextDescriptionId = 1;
+
+// LSP（Language Server Protocol）的 DiagnosticSeverity 数值到严重程度名称的映射
+const SEVERITY_NAMES = {
+    1: 'error',
+    2: 'warning',
+    3: 'info',
+    4: 'hint'
+};
+
+/**
+ * 用于标注（annotation）诊断信息的模块，比如拼写检查、语法检查的结果或者批注，
+ * 并且让辅助技术（比如屏幕阅读器）也能获取到这些信息。
+ *
+ * - 每一个标注是一个类似诊断（diagnostic）的对象，包含范围、严重程度、消息及来源；
+ * - 标注的容器元素会被添加 className 以及严重程度所对应的样式（默认为
+ *   className + '-' + 严重程度，比如 'lint-error'）；
+ * - 标注的消息保存在一个隐藏的说明容器里的说明元素，容器元素通过 aria-describedby
+ *   属性指向它，所以屏幕阅读器读到被标注的文本时也会读出消息；
+ * - 容器元素可以使用 <mark> 元素，以便辅助技术得知文本被标记；
+ * - 可以在标注之间切换（比如使用键盘的 F8 和 Shift+F8），切换时会选中标注的文本；
+ * - 部分重叠的标注，重叠部分的文本会被嵌套的容器元素包围，每一层容器元素指向
+ *   各自的说明元素，所以每一个标注都完整覆盖它的文本；
+ * - clear() 方法会同时移除所有说明元素，以及由当前模块创建的说明容器；
+ * - 可以在 TextStylization.transact() 里调用 setAnnotations() 和 clear()，
+ *   说明元素、说明容器以及当前模块的状态也会被撤销及重做。
+ *
+ * 标注对象包含如下属性：
+ * - start、end: 文本位置（或者行列位置），也可以放在 range 属性里，
+ *   即 {range: {start, end}}；
+ * - severity: 严重程度，'error'、'warning'、'info'（默认）、'hint' 或者其他
+ *   自定义的名称，也可以是 LSP 的 DiagnosticSeverity 数值（1 到 4）；
+ * - message: 消息；
+ * - source: 可选的来源，比如 'eslint'。
+ */
+class AnnotationStylization {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} className 所有标注的样式的名称
+     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象。
+     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - severityClassNames: 严重程度到样式名称的对象，比如 {error: 'squiggly-red'}，
+     *       未指定的严重程度使用 className + '-' + 严重程度；
+     *     - useMark: 是否使用 <mark> 元素作为容器元素，默认为 false；
+     *     - descriptionContainer: 存放说明元素的容器元素，默认在根元素之后创建一个
+     *       隐藏的 <div> 元素（clear() 时会被移除）；
+     *     - formatDescription: 一个把标注转换为说明文本的函数，默认为
+     *       '严重程度: 消息 (来源)'；
+     *     - 其余的属性（比如文本模型的选项）会传递给内部的 TextStylization。
+     */
+    constructor(rootElement, className, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.className = className;
+        this.severityClassNames = options.severityClassNames ?? {};
+        this.tagName = (options.useMark ?? false) ? 'mark' : 'span';
+        this.formatDescription = options.formatDescription ?? AnnotationStylization.formatDescription;
+
+        // 总是使用新的容器元素，而不是借用只有一个子节点的父元素，以免重叠的标注
+        // 互相覆盖对方的 aria-describedby 属性。
+        this.textStylization = new TextStylization(rootElement, {
+            className: className,
+            createElement: (documentObject) => documentObject.createElement(this.tagName)
+        }, documentObject, nodeFilterObject, options);
+
+        this.documentObject = this.textStylization.documentObject;
+
+        // 说明容器，以及它是否由当前模块创建
+        this.descriptionContainer = options.descriptionContainer ?? null;
+        this.isDescriptionContainerManaged = (this.descriptionContainer === null);
+
+        // 所有已应用的标注，{annotation, severity, start, end, descriptionElement}
+        // 对象的数组，按位置先后排列。
+        this.annotations = [];
+
+        // 当前标注的索引，没有切换过时为 -1
+        this.currentIndex = -1;
+    }
+
+    /**
+     * 标注诊断信息
+     *
+     * 先前的标注会被移除。
+     *
+     * @param {*} annotations 标注对象的数组
+     * @returns 返回已应用的标注的个数，无效的或者空的范围会被忽略。
+     */
+    setAnnotations(annotations) {
+        this.clear();
+
+        let entries = annotations.map(annotation => ({
+            annotation: annotation,
+            severity: AnnotationStylization._getSeverityName(annotation.severity),
+            descriptionId: this.className + '-description-' + (nextDescriptionId++)
+        }));
+
+        let textSelections = annotations.map(annotation => ({
+            start: annotation.range?.start ?? annotation.start,
+            end: annotation.range?.end ?? annotation.end
+        }));
+
+        let decorations = entries.map(({ severity, descriptionId }) => ({
+            classNames: [this.severityClassNames[severity] ?? (this.className + '-' + severity)],
+            attributes: { 'aria-describedby': descriptionId }
+        }));
+
+        let { outcomes } = this.textStylization.applyToRanges(textSelections, decorations);
+
+        for (let idx = 0; idx < entries.length; idx++) {
+            let { annotation, severity, descriptionId } = entries[idx];
+            let { status, start, end } = outcomes[idx];
+            if (status !== 'applied') {
+                continue;
+            }
+
+            let descriptionElement = this.documentObject.createElement('div');
+            descriptionElement.id = descriptionId;
+            descriptionElement.textContent = this.formatDescription({ ...annotation, severity: severity });
+            this.textStylization._insertBefore(this._getDescriptionContainer(), descriptionElement, null);
+
+            this.annotations.push({
+                annotation: annotation,
+                severity: severity,
+                start: start,
+                end: end,
+                descriptionElement: descriptionElement
+            });
+        }
+
+        this.annotations.sort((left, right) => left.start - right.start || left.end - right.end);
+        return this.annotations.length;
+    }
+
+    /**
+     * 已应用的标注的个数
+     */
+    get annotationCount() {
+        return this.annotations.length;
+    }
+
+    /**
+     * 当前标注
+     *
+     * @returns 返回 {annotation, severity, start, end, descriptionElement} 对象，
+     *     没有切换过时返回 null。
+     */
+    get currentAnnotation() {
+        return (this.currentIndex === -1) ? null : this.annotations[this.currentIndex];
+    }
+
+    /**
+     * 切换到下一个标注，如果当前已经是最后一个，则切换到第一个。
+     *
+     * @returns 返回新的当前标注，没有标注时返回 null。
+     */
+    next() {
+        if (this.annotations.length === 0) {
+            return null;
+        }
+
+        return this.goTo((this.currentIndex + 1) % this.annotations.length);
+    }
+
+    /**
+     * 切换到上一个标注，如果当前已经是第一个（或者没有切换过），则切换到最后一个。
+     *
+     * @returns 返回新的当前标注，没有标注时返回 null。
+     */
+    previous() {
+        if (this.annotations.length === 0) {
+            return null;
+        }
+
+        let index = (this.currentIndex === -1) ? this.annotations.length - 1 :
+            (this.currentIndex - 1 + this.annotations.length) % this.annotations.length;
+        return this.goTo(index);
+    }
+
+    /**
+     * 切换到指定的标注，并选中它的文本，以便屏幕阅读器读出。
+     *
+     * @param {*} index 标注的索引
+     * @returns 返回新的当前标注
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.annotations.length) {
+            throw new RangeError('Annotation index out of range: ' + index);
+        }
+
+        this.currentIndex = index;
+
+        let { start, end } = this.annotations[index];
+        let selection = this.textStylization.getSelection();
+        if (selection !== null && selection !== undefined) {
+            let nodeAndOffsets = this.textStylization._findNodeAndOffsetGroups([{ start, end }])[0];
+            let headNodeAndOffset = nodeAndOffsets[0];
+            let tailNodeAndOffset = nodeAndOffsets[nodeAndOffsets.length - 1];
+            selection.setBaseAndExtent(headNodeAndOffset.node, headNodeAndOffset.offset,
+                tailNodeAndOffset.node, tailNodeAndOffset.offset);
+        }
+
+        return this.currentAnnotation;
+    }
+
+    /**
+     * 获取标注的容器元素
+     *
+     * @param {*} index 标注的索引
+     * @returns 返回容器元素的数组，跨越多个块元素的标注有多个容器元素。
+     */
+    getElements(index) {
+        let { descriptionElement } = this.annotations[index];
+        return Array.from(this.rootElement.querySelectorAll(
+            '[aria-describedby="' + descriptionElement.id + '"]'));
+    }
+
+    /**
+     * 监听根元素的键盘事件，按下 F8 切换到下一个标注，Shift+F8 切换到上一个。
+     *
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - isNextKey: 判断事件是否切换到下一个标注的函数；
+     *     - isPreviousKey: 判断事件是否切换到上一个标注的函数。
+     * @returns 返回一个用于移除监听的函数
+     */
+    listenKeyboard(options = {}) {
+        let isNextKey = options.isNextKey ?? (event => event.key === 'F8' && !event.shiftKey);
+        let isPreviousKey = options.isPreviousKey ?? (event => event.key === 'F8' && event.shiftKey);
+
+        let handleKeyDown = (event) => {
+            let annotation = null;
+            if (isNextKey(event)) {
+                annotation = this.next();
+            } else if (isPreviousKey(event)) {
+                annotation = this.previous();
+            }
+
+            if (annotation !== null) {
+                event.preventDefault();
+            }
+        };
+
+        this.rootElement.addEventListener('keydown', handleKeyDown);
+        return () => {
+            this.rootElement.removeEventListener('keydown', handleKeyDown);
+        };
+    }
+
+    /**
+     * 移除所有标注的样式、说明元素，以及由当前模块创建的说明容器。
+     */
+    clear() {
+        this._recordState();
+        this.textStylization.clear();
+
+        for (let { descriptionElement } of this.annotations) {
+            this.textStylization._removeChild(descriptionElement);
+        }
+
+        if (this.isDescriptionContainerManaged && this.descriptionContainer !== null) {
+            this.textStylization._removeChild(this.descriptionContainer);
+            this.descriptionContainer = null;
+        }
+
+        this.annotations = [];
+        this.currentIndex = -1;
+    }
+
+    /**
+     * 获取说明容器，如果不存在，则在根元素之后创建一个隐藏的容器。
+     *
+     * 说明容器不能放在根元素之内，否则它的文本会成为根元素的文本的一部分。
+     *
+     * @returns
+     */
+    _getDescriptionContainer() {
+        if (this.descriptionContainer === null) {
+            let container = this.documentObject.createElement('div');
+            container.className = this.className + '-descriptions';
+            container.hidden = true;
+            this.textStylization._insertBefore(this.rootElement.parentNode, container,
+                this.rootElement.nextSibling);
+            this.descriptionContainer = container;
+        }
+
+        return this.descriptionContainer;
+    }
+
+    /**
+     * 在修改标注、当前索引及说明容器之前，把它们记录到当前事务
+     */
+    _recordState() {
+        TextStylization._getActiveTransaction()?.recordState(
+            () => ({
+                annotations: [...this.annotations],
+                currentIndex: this.currentIndex,
+                descriptionContainer: this.descriptionContainer
+            }),
+            ({ annotations, currentIndex, descriptionContainer }) => {
+                this.annotations = annotations;
+                this.currentIndex = currentIndex;
+                this.descriptionContainer = descriptionContainer;
+            });
+    }
+
+    /**
+     * 默认的说明文本的格式，比如 'error: Unknown word (cspell)'
+     *
+     * @param {*} annotation 标注对象，其中的 severity 已转换为名称。
+     * @returns
+     */
+    static formatDescription(annotation) {
+        let source = annotation.source ?? '';
+        return annotation.severity + ': ' + annotation.message +
+            (source === '' ? '' : ' (' + source + ')');
+    }
+
+    /**
+     * 获取严重程度的名称
+     *
+     * @param {*} severity 名称或者 LSP 的 DiagnosticSeverity 数值，默认为 'info'。
+     * @returns
+     */
+    static _getSeverityName(severity) {
+        if (severity === null || severity === undefined) {
+            return 'info';
+        }
+
+        return SEVERITY_NAMES[severity] ?? String(severity);
+    }
+}
+
+module.exports = AnnotationStylization;
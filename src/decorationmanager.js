@@ -0,0 +1,306 @@
+const TextStylization = require('./textstylization');
+
+/**
+ * 管理多个装饰图层（layer）的模块。
+ *
+ * 多个风格器的范围重叠时，生成的 DOM 取决于它们被应用的先后顺序，比如先后
+ * 风格化 'foo' 和 'bar' 会生成：
+ * <span class="foo">56789<span class="bar">abc</span></span><span class="bar">def</span>
+ * 而相反的顺序则会生成不同的嵌套结构。
+ *
+ * 当前模块以图层的方式管理多个样式：
+ *
+ * - 每一个图层有一个名称、一个 class name（默认为图层的名称）及一个优先级，
+ *   还可以有装饰描述对象的 classNames、attributes 和 tagName 属性。
+ * - 渲染时先计算出所有图层的范围所构成的互不重叠的片段（segment），然后每一个
+ *   片段只使用一个（扁平的，不嵌套的）容器元素，它的 class name 是该片段所属的
+ *   所有图层的 class name，按优先级从高到低排列（优先级相同时按图层添加的先后）。
+ *   属性冲突时优先级高的图层优先，容器元素的标签名称由优先级最高的图层决定。
+ * - 每次渲染都会先移除所有图层的容器元素，所以只要图层及其范围相同，生成的 DOM
+ *   就总是一样的，跟范围的设置顺序无关。
+ *
+ * 比如上面的例子会生成：
+ * <span class="foo">56789</span><span class="foo bar">abc</span><span class="bar">def</span>
+ */
+class DecorationManager {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象。
+     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象。
+     * @param {*} options 可选参数，会传递给每一个图层内部的 TextStylization，详细请见
+     *     TextStylization 的构造函数。
+     */
+    constructor(rootElement, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.documentObject = documentObject;
+        this.nodeFilterObject = nodeFilterObject;
+        this.options = options;
+
+        // 图层的名称到图层对象的 Map，按图层添加的先后排列
+        this.layers = new Map();
+    }
+
+    /**
+     * 添加一个图层
+     *
+     * @param {*} name 图层的名称
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - priority: 优先级，数值越大越优先，默认为 0；
+     *     - className: 图层的 class name，默认为图层的名称；
+     *     - classNames、attributes、tagName: 装饰描述对象的属性，详细请见 TextStylization。
+     */
+    addLayer(name, options = {}) {
+        if (this.layers.has(name)) {
+            throw new Error('Layer already exists: ' + name);
+        }
+
+        let className = options.className ?? name;
+
+        this.layers.set(name, {
+            name: name,
+            className: className,
+            priority: options.priority ?? 0,
+            classNames: options.classNames ?? [],
+            attributes: options.attributes ?? {},
+            tagName: options.tagName ?? 'span',
+            textSelections: [],
+            textStylization: new TextStylization(this.rootElement, className,
+                this.documentObject, this.nodeFilterObject, this.options)
+        });
+    }
+
+    /**
+     * 移除一个图层，同时移除它的所有样式
+     *
+     * @param {*} name
+     */
+    removeLayer(name) {
+        this._getLayer(name);
+
+        this._clearAll();
+        this.layers.delete(name);
+        this._renderAll();
+    }
+
+    /**
+     * 判断图层是否存在
+     *
+     * @param {*} name
+     * @returns
+     */
+    hasLayer(name) {
+        return this.layers.has(name);
+    }
+
+    /**
+     * 设置图层的优先级
+     *
+     * @param {*} name
+     * @param {*} priority
+     */
+    setPriority(name, priority) {
+        this._getLayer(name).priority = priority;
+        this.render();
+    }
+
+    /**
+     * 设置（替换）图层的所有范围
+     *
+     * @param {*} name
+     * @param {*} textSelections
+     */
+    setRanges(name, textSelections) {
+        this._getLayer(name).textSelections = textSelections.map(textSelection => ({
+            start: textSelection.start,
+            end: textSelection.end
+        }));
+        this.render();
+    }
+
+    /**
+     * 获取图层的所有范围
+     *
+     * @param {*} name
+     * @returns 返回 {start, end} 对象的数组
+     */
+    getRanges(name) {
+        return this._getLayer(name).textSelections.map(textSelection => ({ ...textSelection }));
+    }
+
+    /**
+     * 移除所有图层的所有范围及样式，图层本身保留。
+     */
+    clear() {
+        this._clearAll();
+        for (let layer of this.layers.values()) {
+            layer.textSelections = [];
+        }
+    }
+
+    /**
+     * 计算所有图层的范围所构成的互不重叠的片段
+     *
+     * 相邻的并且所属图层相同的片段会被合并，不属于任何图层的片段会被忽略。
+     *
+     * @returns 返回 {start, end, layers, classes} 对象的数组，按位置先后排列，
+     *     其中 layers 是片段所属的图层的名称的数组，classes 是对应的 class name 的
+     *     数组，均按优先级从高到低排列。
+     */
+    getSegments() {
+        let layers = this._getSortedLayers();
+
+        // 所有范围的边界，以及每一个边界处开始及结束的图层
+        let boundaries = new Map();
+        let getBoundary = (position) => {
+            let boundary = boundaries.get(position);
+            if (boundary === undefined) {
+                boundary = new Array(layers.length).fill(0);
+                boundaries.set(position, boundary);
+            }
+            return boundary;
+        };
+
+        layers.forEach((layer, layerIdx) => {
+            for (let { start, end } of layer.textSelections) {
+                if (start >= end) {
+                    continue;
+                }
+                getBoundary(start)[layerIdx]++;
+                getBoundary(end)[layerIdx]--;
+            }
+        });
+
+        let positions = [...boundaries.keys()].sort((left, right) => left - right);
+
+        // 每一个图层当前覆盖的范围的个数（同一个图层的范围可以重叠）
+        let counts = new Array(layers.length).fill(0);
+        let segments = [];
+
+        for (let idx = 0; idx < positions.length - 1; idx++) {
+            let delta = boundaries.get(positions[idx]);
+            for (let layerIdx = 0; layerIdx < layers.length; layerIdx++) {
+                counts[layerIdx] += delta[layerIdx];
+            }
+
+            let segmentLayers = layers.filter((layer, layerIdx) => counts[layerIdx] > 0);
+            if (segmentLayers.length === 0) {
+                continue;
+            }
+
+            let start = positions[idx];
+            let end = positions[idx + 1];
+            let names = segmentLayers.map(layer => layer.name);
+
+            let lastSegment = segments[segments.length - 1];
+            if (lastSegment !== undefined && lastSegment.end === start &&
+                lastSegment.layers.join('\0') === names.join('\0')) {
+                lastSegment.end = end;
+                continue;
+            }
+
+            segments.push({
+                start: start,
+                end: end,
+                layers: names,
+                classes: segmentLayers.map(layer => layer.className)
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * 重新渲染所有图层
+     *
+     * 通常不需要手动调用，因为修改图层或者范围的方法都会自动重新渲染。
+     */
+    render() {
+        this._clearAll();
+        this._renderAll();
+    }
+
+    /**
+     * 移除所有图层的容器元素
+     */
+    _clearAll() {
+        for (let layer of this.layers.values()) {
+            layer.textStylization.clear();
+        }
+    }
+
+    /**
+     * 渲染所有片段
+     *
+     * 每一个片段由它所属的优先级最高的图层的风格器渲染，其余图层的 class name
+     * 及属性作为装饰添加到同一个容器元素。
+     */
+    _renderAll() {
+        // 以优先级最高的图层分组，每一个图层只需调用一次 applyToRanges()
+        let segmentGroups = new Map();
+
+        for (let segment of this.getSegments()) {
+            let segmentLayers = segment.layers.map(name => this.layers.get(name));
+            let topLayer = segmentLayers[0];
+
+            let classNames = [];
+            let attributes = {};
+            for (let idx = segmentLayers.length - 1; idx >= 0; idx--) {
+                Object.assign(attributes, segmentLayers[idx].attributes);
+            }
+            for (let layer of segmentLayers) {
+                if (layer !== topLayer) {
+                    classNames.push(layer.className);
+                }
+                classNames.push(...layer.classNames);
+            }
+
+            let segmentGroup = segmentGroups.get(topLayer);
+            if (segmentGroup === undefined) {
+                segmentGroup = { textSelections: [], decorations: [] };
+                segmentGroups.set(topLayer, segmentGroup);
+            }
+
+            segmentGroup.textSelections.push({ start: segment.start, end: segment.end });
+            segmentGroup.decorations.push({
+                classNames: [...new Set(classNames)],
+                attributes: attributes,
+                tagName: topLayer.tagName
+            });
+        }
+
+        for (let layer of this._getSortedLayers()) {
+            let segmentGroup = segmentGroups.get(layer);
+            if (segmentGroup !== undefined) {
+                layer.textStylization.applyToRanges(segmentGroup.textSelections, segmentGroup.decorations);
+            }
+        }
+    }
+
+    /**
+     * 获取所有图层，按优先级从高到低排列，优先级相同时按图层添加的先后。
+     *
+     * @returns
+     */
+    _getSortedLayers() {
+        // Array.prototype.sort() 是稳定的排序
+        return [...this.layers.values()].sort((left, right) => right.priority - left.priority);
+    }
+
+    /**
+     * 获取图层对象
+     *
+     * @param {*} name
+     * @returns
+     */
+    _getLayer(name) {
+        let layer = this.layers.get(name);
+        if (layer === undefined) {
+            throw new Error('Unknown layer: ' + name);
+        }
+        return layer;
+    }
+}
+
+module.exports = DecorationManager;
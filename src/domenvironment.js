@@ -0,0 +1,124 @@
+// 当环境里不存在 NodeFilter 对象时（比如 domino 的文档没有 defaultView）使用的常量
+// https://dom.spec.whatwg.org/#interface-nodefilter
+const NODE_FILTER_CONSTANTS = {
+    FILTER_ACCEPT: 1,
+    FILTER_REJECT: 2,
+    FILTER_SKIP: 3,
+    SHOW_ALL: 0xFFFFFFFF,
+    SHOW_ELEMENT: 0x1,
+    SHOW_TEXT: 0x4,
+    SHOW_COMMENT: 0x80
+};
+
+// 当环境里不存在 Node 对象时使用的常量
+// https://dom.spec.whatwg.org/#interface-node
+const NODE_CONSTANTS = {
+    ELEMENT_NODE: 1,
+    TEXT_NODE: 3,
+    COMMENT_NODE: 8,
+    DOCUMENT_NODE: 9,
+    DOCUMENT_FRAGMENT_NODE: 11,
+    DOCUMENT_POSITION_DISCONNECTED: 0x01,
+    DOCUMENT_POSITION_PRECEDING: 0x02,
+    DOCUMENT_POSITION_FOLLOWING: 0x04,
+    DOCUMENT_POSITION_CONTAINS: 0x08,
+    DOCUMENT_POSITION_CONTAINED_BY: 0x10
+};
+
+/**
+ * 风格器所使用的 DOM 环境，即所有原本需要从全局对象获取的 DOM 相关对象。
+ *
+ * - 包括 Document 对象、NodeFilter 对象、Node 的常量、MutationObserver 类，
+ *   以及创建 Range 对象的函数；
+ * - 使用 fromElement() 方法可以从根元素所属的文档自动推导出这些对象，所以根元素
+ *   可以位于 iframe 或者其他文档之内，也可以在非浏览器环境（比如 Worker 或者
+ *   Node.js 里的 domino、jsdom、linkedom）使用，而不需要设置全局对象；
+ * - 文档所在的 window（defaultView）不存在时，NodeFilter 和 Node 使用内置的常量，
+ *   MutationObserver 为 null；
+ * - 有些实现没有 Range（比如 domino），或者它的 Range 不能设置边界（比如 linkedom
+ *   的 Range 没有 setStart() 和 setEnd() 方法），这时需要指定 createRange 选项，
+ *   可以先使用 isRangeSupported() 方法检测。
+ */
+class DomEnvironment {
+
+    /**
+     *
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - documentObject: Document 对象；
+     *     - nodeFilterObject: NodeFilter 对象；
+     *     - nodeObject: Node 对象（或者一个包含 Node 的常量的对象）；
+     *     - mutationObserverClass: MutationObserver 类；
+     *     - createRange: 一个用于创建 Range 对象的函数，默认为 documentObject.createRange()。
+     *     未指定的属性从 documentObject 所在的 window 获取，然后是全局对象。
+     */
+    constructor(options = {}) {
+        this.documentObject = options.documentObject ?? null;
+
+        // https://developer.mozilla.org/en-US/docs/Web/API/Document/defaultView
+        let windowObject = this.documentObject?.defaultView ?? null;
+
+        this.nodeFilterObject = options.nodeFilterObject ??
+            windowObject?.NodeFilter ?? global.NodeFilter ?? NODE_FILTER_CONSTANTS;
+        this.nodeObject = options.nodeObject ??
+            windowObject?.Node ?? global.Node ?? NODE_CONSTANTS;
+        this.mutationObserverClass = options.mutationObserverClass ??
+            windowObject?.MutationObserver ?? global.MutationObserver ?? null;
+        this.createRangeFunction = options.createRange ?? null;
+
+        // 文档的 Range 是否可用，第一次检测之后才有值
+        this.isDocumentRangeSupported = null;
+    }
+
+    /**
+     * 检测能否创建可以设置边界的 Range 对象
+     *
+     * @returns 指定了 createRange 选项时总是返回 true。
+     */
+    isRangeSupported() {
+        if (this.createRangeFunction !== null) {
+            return true;
+        }
+
+        if (this.isDocumentRangeSupported === null) {
+            let range = (typeof this.documentObject?.createRange === 'function') ?
+                this.documentObject.createRange() : null;
+            this.isDocumentRangeSupported = (typeof range?.setStart === 'function' &&
+                typeof range?.setEnd === 'function');
+        }
+
+        return this.isDocumentRangeSupported;
+    }
+
+    /**
+     * 创建 Range 对象
+     *
+     * @returns
+     */
+    createRange() {
+        if (this.createRangeFunction !== null) {
+            return this.createRangeFunction();
+        }
+
+        if (!this.isRangeSupported()) {
+            throw new Error('Range is not supported by the document, please specify the createRange option.');
+        }
+
+        return this.documentObject.createRange();
+    }
+
+    /**
+     * 从元素所属的文档推导出 DOM 环境
+     *
+     * @param {*} element 可以为 null，这时使用全局的 document 对象（如果存在）。
+     * @param {*} options 可选参数，跟构造函数的一样，指定的属性优先。
+     * @returns
+     */
+    static fromElement(element, options = {}) {
+        return new DomEnvironment({
+            ...options,
+            documentObject: options.documentObject ?? element?.ownerDocument ?? global.document ?? null
+        });
+    }
+}
+
+module.exports = DomEnvironment;
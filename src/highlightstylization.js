@@ -0,0 +1,202 @@
+const TextStylization = require('./textstylization');
+
+/**
+ * 使用 CSS Custom Highlight API 风格化指定范围之内的文本的模块。
+ *
+ * - 跟 TextStylization 不同，当前模块不会修改 DOM（不会截断 Text Node，也不会
+ *   插入容器元素），而是为每一个 TextSelection 构建一个 DOM Range，然后把这些
+ *   Range 添加到一个名称为 className 的 Highlight 对象里，再把 Highlight 对象
+ *   注册到 CSS.highlights。
+ * - 同一个文档里的多个实例（即使根元素不同）如果 className 相同，则共用同一个
+ *   Highlight 对象，每一个实例只会移除自己添加的 Range。
+ * - 因为 DOM 不会被修改，所以 contenteditable 元素的光标位置、其他程序库持有的
+ *   Node 引用都不会受到影响。
+ * - 样式需要使用 ::highlight() 伪元素来定义，比如：
+ *   ::highlight(foo) { background-color: yellow; }
+ * - 如果当前环境不支持 CSS Custom Highlight API，或者指定了 mode 为 'dom'，则
+ *   回退到 TextStylization 的方式，即通过插入 <span class="className"> 实现风格化。
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/CSS_Custom_Highlight_API
+ */
+class HighlightStylization {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} className 待风格化的样式的名称，同时也是 Highlight 的名称。
+     *     也可以是一个装饰描述对象（详细请见 TextStylization），装饰只在 DOM 模式下有效。
+     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象。
+     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - mode: 'auto'、'highlight' 或者 'dom'，默认为 'auto'，即如果当前环境支持
+     *       CSS Custom Highlight API（以及 Range）则使用它，否则回退到 DOM 方式。
+     *     - highlightRegistry: HighlightRegistry 对象，默认为根元素所属的文档所在的
+     *       window 的 CSS.highlights，然后是全局的 CSS.highlights。
+     *     - highlightClass: Highlight 类（构造函数），默认跟 highlightRegistry 一样
+     *       先从文档所在的 window 获取。
+     *     - createRange: 一个用于创建 Range 对象的函数，默认为 DomEnvironment 的 createRange()。
+     *
+     *     在非浏览器环境里可以使用实现了相同接口的对象代替。
+     *     其余的属性（比如文本模型的选项）会传递给内部的 TextStylization。
+     */
+    constructor(rootElement, className, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.className = (typeof className === 'string') ? className : className.className;
+
+        // HighlightStylization 借用 TextStylization 搜索 TextSelection 范围之内的节点，
+        // 在 DOM 模式下所有操作都会转交给它。
+        this.textStylization = new TextStylization(rootElement, className,
+            documentObject, nodeFilterObject, options);
+
+        // 从根元素所属的文档所在的 window 获取，以便 iframe 之内的根元素注册到
+        // 它自己的 HighlightRegistry，然后才是全局对象。
+        let windowObject = this.textStylization.environment.documentObject?.defaultView ?? null;
+        this.highlightRegistry = options.highlightRegistry ??
+            windowObject?.CSS?.highlights ?? global.CSS?.highlights;
+        this.highlightClass = options.highlightClass ??
+            windowObject?.Highlight ?? global.Highlight;
+        this.createRange = options.createRange ?? (() => this.textStylization.environment.createRange());
+
+        let mode = options.mode ?? 'auto';
+        let isHighlightSupported = (this.highlightRegistry !== undefined &&
+            this.highlightClass !== undefined &&
+            (options.createRange !== undefined || this.textStylization.environment.isRangeSupported()));
+
+        if (mode === 'highlight' && !isHighlightSupported) {
+            throw new Error('The CSS Custom Highlight API is not supported in the current environment.');
+        }
+
+        this.isHighlightMode = (mode === 'highlight') ||
+            (mode === 'auto' && isHighlightSupported);
+
+        // 当前实例添加到 Highlight 对象的所有 Range
+        this.ranges = new Set();
+    }
+
+    /**
+     * 风格化指定范围之内的文本
+     *
+     * - 在 Highlight 模式下，DOM 不会被修改，所以不需要恢复光标位置。
+     * - 在 DOM 模式下，跟 TextStylization.applyToRanges() 方法一样。
+     * - TextSelection 会先经过内部的 TextStylization 的 validateRanges() 方法的
+     *   验证、排序、裁剪及合并，被合并的 TextSelection 共用同一个 Range。
+     *
+     * @param {*} textSelections
+     * @param {*} decorations 可选参数。装饰描述对象，只在 DOM 模式下有效。
+     * @returns 在 Highlight 模式下，返回所有新建的 Range 对象，以每一个 TextSelection 分组；
+     *     在 DOM 模式下，返回所有受影响的（或者新建的）节点元素，以每一个 TextSelection 分组。
+     *     返回的数组还有一个 outcomes 属性，即每一个 TextSelection 的处理结果。
+     */
+    applyToRanges(textSelections, decorations) {
+        if (!this.isHighlightMode) {
+            return this.textStylization.applyToRanges(textSelections, decorations);
+        }
+
+        // 返回的结果，内容是所有新建的 Range 对象，以每一个范围分组。
+        let rangeGroups = [];
+
+        if (textSelections.length === 0) {
+            rangeGroups.outcomes = [];
+            return rangeGroups;
+        }
+
+        let validation = this.textStylization.validateRanges(textSelections);
+        let highlight = this._getOrCreateHighlight();
+        let nodeAndOffsetGroups = this.textStylization._findNodeAndOffsetGroups(validation.ranges);
+
+        for (let nodeAndOffsets of nodeAndOffsetGroups) {
+            let ranges = [];
+            rangeGroups.push(ranges);
+
+            if (nodeAndOffsets.length < 2) {
+                // 无效的组，比如 TextSelection 的范围超出了文本的长度
+                continue;
+            }
+
+            // 一个组里第一个元素是开始节点，最后一个元素是结束节点，
+            // 中间的节点会自动包含在 Range 之内，所以无需理会。
+            let headNodeAndOffset = nodeAndOffsets[0];
+            let tailNodeAndOffset = nodeAndOffsets[nodeAndOffsets.length - 1];
+
+            let range = this.createRange();
+            range.setStart(headNodeAndOffset.node, headNodeAndOffset.offset);
+            range.setEnd(tailNodeAndOffset.node, tailNodeAndOffset.offset);
+
+            highlight.add(range);
+            this.ranges.add(range);
+            ranges.push(range);
+        }
+
+        return this.textStylization._toInputGroups(rangeGroups, validation.outcomes);
+    }
+
+    /**
+     * 移除当前风格器的所有风格化
+     *
+     * 在 Highlight 模式下，只移除当前实例添加的 Range，当 Highlight 对象已经
+     * 没有 Range 时才把它从 HighlightRegistry 移除。
+     *
+     * @returns 在 Highlight 模式下，返回被移除的 Range 的个数；在 DOM 模式下，
+     *     返回受影响的元素的个数。
+     */
+    clear() {
+        if (!this.isHighlightMode) {
+            return this.textStylization.clear();
+        }
+
+        let rangeCount = this.ranges.size;
+        this._removeRanges([...this.ranges]);
+        return rangeCount;
+    }
+
+    /**
+     * 移除指定元素的风格化
+     *
+     * 在 Highlight 模式下，移除当前实例添加的、开始位置位于指定元素之内的 Range。
+     *
+     * @param {*} element
+     */
+    clearElement(element) {
+        if (!this.isHighlightMode) {
+            this.textStylization.clearElement(element);
+            return;
+        }
+
+        this._removeRanges([...this.ranges].filter(range => element.contains(range.startContainer)));
+    }
+
+    /**
+     * 从 Highlight 对象移除当前实例添加的 Range，如果 Highlight 对象已经没有
+     * Range，则把它从 HighlightRegistry 移除。
+     *
+     * @param {*} ranges
+     */
+    _removeRanges(ranges) {
+        let highlight = this.highlightRegistry.get(this.className);
+
+        for (let range of ranges) {
+            this.ranges.delete(range);
+            highlight?.delete(range);
+        }
+
+        if (highlight !== undefined && highlight.size === 0) {
+            this.highlightRegistry.delete(this.className);
+        }
+    }
+
+    /**
+     * 获取当前风格器对应的 Highlight 对象，如果不存在则新建一个并注册。
+     *
+     * @returns
+     */
+    _getOrCreateHighlight() {
+        let highlight = this.highlightRegistry.get(this.className);
+        if (highlight === undefined) {
+            highlight = new this.highlightClass();
+            this.highlightRegistry.set(this.className, highlight);
+        }
+        return highlight;
+    }
+}
+
+module.exports = HighlightStylization;
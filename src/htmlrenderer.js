@@ -0,0 +1,404 @@
+const TextStylization = require('./textstylization');
+const OffsetConverter = require('./offsetconverter');
+
+// HTML 序列化时需要转义的字符
+const ESCAPED_CHARS = {
+    '&': '&amp;',
+    '\u00A0': '&nbsp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+/**
+ * 不需要 DOM 的 HTML 字符串渲染器，比如用于在服务器端或者 Worker 里预先渲染文档。
+ *
+ * - 输入纯文本、范围及 class name（以及装饰描述对象），输出 HTML 字符串，
+ *   不需要 Document 和 NodeFilter 对象；
+ * - 输出的 HTML 跟在一个只包含该文本的（新的）根元素上调用 TextStylization 的
+ *   applyToRanges() 方法之后的根元素的 innerHTML 完全一样（逐字节相同），包括
+ *   重叠的范围所产生的嵌套结构、class name 及属性的顺序；
+ * - 为了做到这一点，当前模块在一个只有 Text Node 和元素的简易节点树上，按跟
+ *   TextStylization 相同的步骤截断 Text Node 及插入容器元素，最后再序列化，
+ *   文本及属性值按 HTML 的序列化规则转义；
+ * - 不支持装饰描述对象的 createElement 属性（因为它需要 Document 对象），
+ *   也不支持 autoMerge 选项。
+ */
+class HtmlRenderer {
+
+    /**
+     * 渲染 HTML 字符串
+     *
+     * @param {*} text 纯文本
+     * @param {*} className 跟 TextStylization 构造函数的一样。
+     * @param {*} textSelections 跟 applyToRanges() 方法的一样。
+     * @param {*} decorations 可选参数，跟 applyToRanges() 方法的一样。
+     * @param {*} options 可选参数，跟 TextStylization 构造函数的一样，
+     *     其中只有 offsetUnit、strict 及 blockTagNames 有效。
+     * @returns 返回 HTML 字符串（即根元素的 innerHTML）
+     */
+    static render(text, className, textSelections, decorations, options = {}) {
+        let chunks = [];
+        for (let chunk of HtmlRenderer.renderStream(text, className, textSelections, decorations, options)) {
+            chunks.push(chunk);
+        }
+        return chunks.join('');
+    }
+
+    /**
+     * 渲染 HTML 字符串的流式版本，用于很大的文本，以免拼接出一个巨大的字符串。
+     *
+     * @param {*} text
+     * @param {*} className
+     * @param {*} textSelections
+     * @param {*} decorations
+     * @param {*} options 除了 render() 方法的选项之外，还支持：
+     *     - chunkSize: 较长的文本被分割成的片段的最大长度，默认为 16384。片段不会截断
+     *       代理对，所以当 chunkSize 为 1 时片段的长度有可能为 2。
+     * @returns 返回一个生成 HTML 片段的迭代器（generator），所有片段按顺序
+     *     拼接起来跟 render() 方法的返回值一样。
+     */
+    static *renderStream(text, className, textSelections, decorations, options = {}) {
+        let chunkSize = options.chunkSize ?? 16384;
+        let rootElement = HtmlRenderer._buildTree(text, className, textSelections, decorations, options);
+        yield* HtmlRenderer._serializeChildren(rootElement, chunkSize);
+    }
+
+    /**
+     * 在简易节点树上风格化文本
+     *
+     * @param {*} text
+     * @param {*} className
+     * @param {*} textSelections
+     * @param {*} decorations
+     * @param {*} options
+     * @returns 返回根元素
+     */
+    static _buildTree(text, className, textSelections, decorations, options) {
+        // 借用 TextStylization 验证范围及合并装饰，这些步骤都不会访问 DOM。
+        let textStylization = new TextStylization(null, className, null, null,
+            { ...options, autoMerge: false });
+
+        let rootElement = HtmlRenderer._createElement(null);
+        if (text === '') {
+            return rootElement;
+        }
+
+        let textNode = HtmlRenderer._createTextNode(text);
+        HtmlRenderer._insertBefore(rootElement, textNode, null);
+
+        if (textSelections.length === 0) {
+            return rootElement;
+        }
+
+        let { ranges } = textStylization._validateRanges(textSelections, decorations, { text: text });
+        let offsetConverter = new OffsetConverter(text, textStylization.offsetUnit);
+
+        let context = {
+            rootElement: rootElement,
+            className: textStylization.className,
+            blockTagNames: textStylization.blockTagNames
+        };
+
+        let resolvedDecorations = ranges.map(({ decoration }) => {
+            let resolvedDecoration = textStylization._resolveDecoration(decoration);
+            if (resolvedDecoration.createElement !== null) {
+                throw new TypeError('The createElement decoration is not supported by HtmlRenderer.');
+            }
+            return resolvedDecoration;
+        });
+
+        // 跟 applyToRanges() 方法一样把范围分割为互不重叠的片段，然后从最后一个片段开始，
+        // 所以 textNode 总是包含当前片段之前的所有文本。
+        let segments = TextStylization._toSegments(ranges);
+        for (let idx = segments.length - 1; idx >= 0; idx--) {
+            let { start, end, rangeIndices } = segments[idx];
+            let startOffset = offsetConverter.toUtf16(start);
+            let endOffset = offsetConverter.toUtf16(end, true);
+
+            if (rangeIndices.length === 1) {
+                HtmlRenderer._applyToNode(textNode, startOffset, endOffset,
+                    resolvedDecorations[rangeIndices[0]], context);
+                continue;
+            }
+
+            if (startOffset === endOffset) {
+                continue;
+            }
+
+            let middleTextNode = HtmlRenderer._splitTextNode(textNode, startOffset, endOffset);
+            for (let rangeIndex of rangeIndices) {
+                HtmlRenderer._applyToWholeNode(middleTextNode, resolvedDecorations[rangeIndex], context);
+            }
+        }
+
+        return rootElement;
+    }
+
+    /**
+     * 跟 TextStylization._applyToNode() 方法一样
+     */
+    static _applyToNode(node, startOffset, endOffset, decoration, context) {
+        if (startOffset === endOffset) {
+            return;
+        }
+
+        let nodeValue = node.value;
+        if (startOffset === 0 && endOffset === nodeValue.length) {
+            HtmlRenderer._applyToWholeNode(node, decoration, context);
+            return;
+        }
+
+        let parentNode = node.parentNode;
+
+        if (startOffset === 0) {
+            let headNodeContainer = HtmlRenderer._createContainerElement(decoration, context);
+            HtmlRenderer._insertBefore(headNodeContainer,
+                HtmlRenderer._createTextNode(nodeValue.substring(startOffset, endOffset)), null);
+            HtmlRenderer._insertBefore(parentNode, headNodeContainer, node);
+
+            node.value = nodeValue.substring(endOffset, nodeValue.length);
+
+        } else {
+            node.value = nodeValue.substring(0, startOffset);
+
+            let nextSiblingNode = node.nextSibling;
+
+            let middleNodeContainer = HtmlRenderer._createContainerElement(decoration, context);
+            HtmlRenderer._insertBefore(middleNodeContainer,
+                HtmlRenderer._createTextNode(nodeValue.substring(startOffset, endOffset)), null);
+            HtmlRenderer._insertBefore(parentNode, middleNodeContainer, nextSiblingNode);
+
+            if (endOffset < nodeValue.length) {
+                HtmlRenderer._insertBefore(parentNode,
+                    HtmlRenderer._createTextNode(nodeValue.substring(endOffset, nodeValue.length)),
+                    nextSiblingNode);
+            }
+        }
+    }
+
+    /**
+     * 跟 TextStylization._splitTextNode() 方法一样
+     */
+    static _splitTextNode(node, startOffset, endOffset) {
+        let nodeValue = node.value;
+        let parentNode = node.parentNode;
+        let nextSiblingNode = node.nextSibling;
+
+        let middleTextNode = node;
+
+        if (startOffset > 0) {
+            node.value = nodeValue.substring(0, startOffset);
+            middleTextNode = HtmlRenderer._createTextNode(nodeValue.substring(startOffset, endOffset));
+            HtmlRenderer._insertBefore(parentNode, middleTextNode, nextSiblingNode);
+        } else {
+            middleTextNode.value = nodeValue.substring(0, endOffset);
+        }
+
+        if (endOffset < nodeValue.length) {
+            HtmlRenderer._insertBefore(parentNode,
+                HtmlRenderer._createTextNode(nodeValue.substring(endOffset)), nextSiblingNode);
+        }
+
+        return middleTextNode;
+    }
+
+    /**
+     * 跟 TextStylization._applyToWholeNode() 方法一样
+     */
+    static _applyToWholeNode(node, decoration, context) {
+        let parentNode = node.parentNode;
+
+        if (parentNode.childCount === 1 &&
+            !decoration.isCustomElement &&
+            parentNode !== context.rootElement &&
+            !context.blockTagNames.has(parentNode.tagName)) {
+            HtmlRenderer._decorateElement(parentNode, decoration, context);
+
+        } else {
+            let textNodeContainer = HtmlRenderer._createContainerElement(decoration, context);
+            HtmlRenderer._insertBefore(parentNode, textNodeContainer, node);
+            HtmlRenderer._insertBefore(textNodeContainer, node, null);
+        }
+    }
+
+    /**
+     * 跟 TextStylization._createContainerElement() 方法一样
+     */
+    static _createContainerElement(decoration, context) {
+        // HTML 文档的 createElement() 会把标签名称转换为小写
+        let element = HtmlRenderer._createElement(decoration.tagName.toLowerCase());
+        HtmlRenderer._decorateElement(element, decoration, context);
+        return element;
+    }
+
+    /**
+     * 跟 TextStylization._decorateElement() 方法一样（不需要记录所作的修改）
+     */
+    static _decorateElement(element, decoration, context) {
+        let addClassName = (name) => {
+            let classNames = (element.attributes.get('class') ?? '').split(/\s+/)
+                .filter(className => className !== '');
+            if (!classNames.includes(name)) {
+                classNames.push(name);
+            }
+            element.attributes.set('class', classNames.join(' '));
+        };
+
+        addClassName(context.className);
+
+        for (let name of decoration.classNames) {
+            addClassName(name);
+        }
+
+        for (let [name, value] of Object.entries(decoration.attributes)) {
+            if (value === null || value === undefined || name === 'class') {
+                continue;
+            }
+
+            // HTML 文档的 setAttribute() 会把属性名称转换为小写，
+            // 已存在的属性保持原先的顺序。
+            element.attributes.set(name.toLowerCase(), String(value));
+        }
+    }
+
+    /**
+     * 序列化元素的所有子节点
+     *
+     * @param {*} element
+     * @param {*} chunkSize
+     */
+    static *_serializeChildren(element, chunkSize) {
+        for (let node = element.firstChild; node !== null; node = node.nextSibling) {
+            if (node.type === 'text') {
+                let value = node.value;
+                let idx = 0;
+                while (idx < value.length) {
+                    let end = Math.min(idx + chunkSize, value.length);
+
+                    // 不截断代理对：片段以高代理项结尾时向前移一个字符，
+                    // 如果片段只有这一个字符，则向后移一个字符。
+                    let lastCharCode = value.charCodeAt(end - 1);
+                    if (end < value.length && lastCharCode >= 0xD800 && lastCharCode <= 0xDBFF) {
+                        end += (end - 1 > idx) ? -1 : 1;
+                    }
+
+                    yield HtmlRenderer.escapeText(value.substring(idx, end));
+                    idx = end;
+                }
+                continue;
+            }
+
+            let attributes = '';
+            for (let [name, value] of node.attributes) {
+                attributes += ' ' + name + '="' + HtmlRenderer.escapeAttribute(value) + '"';
+            }
+
+            yield '<' + node.tagName + attributes + '>';
+            yield* HtmlRenderer._serializeChildren(node, chunkSize);
+            yield '</' + node.tagName + '>';
+        }
+    }
+
+    /**
+     * 按 HTML 的序列化规则转义文本
+     *
+     * https://html.spec.whatwg.org/multipage/parsing.html#escapingString
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeText(text) {
+        return text.replace(/[&\u00A0<>]/g, char => ESCAPED_CHARS[char]);
+    }
+
+    /**
+     * 按 HTML 的序列化规则转义属性值
+     *
+     * @param {*} value
+     * @returns
+     */
+    static escapeAttribute(value) {
+        return value.replace(/[&\u00A0"]/g, char => ESCAPED_CHARS[char]);
+    }
+
+    static _createTextNode(value) {
+        return {
+            type: 'text',
+            value: value,
+            parentNode: null,
+            previousSibling: null,
+            nextSibling: null
+        };
+    }
+
+    /**
+     * 创建简易节点树的元素
+     *
+     * 子节点使用双向链表保存，以便插入节点的时间跟子节点的个数无关。
+     *
+     * @param {*} tagName 根元素为 null
+     * @returns
+     */
+    static _createElement(tagName) {
+        return {
+            type: 'element',
+            tagName: tagName,
+            attributes: new Map(),
+            parentNode: null,
+            previousSibling: null,
+            nextSibling: null,
+            firstChild: null,
+            lastChild: null,
+            childCount: 0
+        };
+    }
+
+    /**
+     * 跟 DOM 的 Node.insertBefore() 方法一样，节点如果已有父节点，则先从中移除。
+     *
+     * @param {*} parentNode
+     * @param {*} node
+     * @param {*} referenceNode 为 null 时插入到末尾
+     */
+    static _insertBefore(parentNode, node, referenceNode) {
+        let oldParentNode = node.parentNode;
+        if (oldParentNode !== null) {
+            if (node.previousSibling !== null) {
+                node.previousSibling.nextSibling = node.nextSibling;
+            } else {
+                oldParentNode.firstChild = node.nextSibling;
+            }
+
+            if (node.nextSibling !== null) {
+                node.nextSibling.previousSibling = node.previousSibling;
+            } else {
+                oldParentNode.lastChild = node.previousSibling;
+            }
+
+            oldParentNode.childCount--;
+        }
+
+        let previousSibling = (referenceNode === null) ? parentNode.lastChild : referenceNode.previousSibling;
+
+        node.parentNode = parentNode;
+        node.previousSibling = previousSibling;
+        node.nextSibling = referenceNode;
+
+        if (previousSibling !== null) {
+            previousSibling.nextSibling = node;
+        } else {
+            parentNode.firstChild = node;
+        }
+
+        if (referenceNode !== null) {
+            referenceNode.previousSibling = node;
+        } else {
+            parentNode.lastChild = node;
+        }
+
+        parentNode.childCount++;
+    }
+}
+
+module.exports = HtmlRenderer;
@@ -0,0 +1,107 @@
+const OffsetConverter = require('./offsetconverter');
+
+/**
+ * 文本的行索引，用于在文本位置（offset）和行列位置（{line, column}）之间转换。
+ *
+ * - 行列位置跟 LSP（Language Server Protocol）的 Position 一样，行号和列号
+ *   均从 0 开始；
+ * - 行以 '\n' 分隔，'\n' 属于它所在的行的末尾（但不算在列的范围之内）；
+ * - 列号的单位跟文本位置的单位一样，详细请见 OffsetConverter；
+ * - 列号超出行的长度时，使用行的末尾（跟 LSP 一样）。
+ */
+class LineIndex {
+
+    /**
+     *
+     * @param {*} text
+     * @param {*} unit 位置单位，默认为 'utf16'。
+     */
+    constructor(text, unit = 'utf16') {
+        let offsetConverter = new OffsetConverter(text, unit);
+
+        // 每一行的开始位置，以及文本的长度（以指定的单位计算）
+        this.lineStarts = [0];
+        this.textLength = offsetConverter.length;
+
+        let index = text.indexOf('\n');
+        while (index !== -1) {
+            this.lineStarts.push(offsetConverter.fromUtf16(index + 1));
+            index = text.indexOf('\n', index + 1);
+        }
+    }
+
+    /**
+     * 行的数目
+     */
+    get lineCount() {
+        return this.lineStarts.length;
+    }
+
+    /**
+     * 获取行的开始位置
+     *
+     * @param {*} line
+     * @returns
+     */
+    getLineStart(line) {
+        return this.lineStarts[line];
+    }
+
+    /**
+     * 获取行的结束位置（索引不包括）
+     *
+     * @param {*} line
+     * @param {*} includeNewline 是否包括行末的换行符，默认为 false。
+     * @returns
+     */
+    getLineEnd(line, includeNewline = false) {
+        if (line === this.lineStarts.length - 1) {
+            return this.textLength;
+        }
+
+        let nextLineStart = this.lineStarts[line + 1];
+        return includeNewline ? nextLineStart : nextLineStart - 1;
+    }
+
+    /**
+     * 把文本位置转换为行列位置
+     *
+     * @param {*} offset
+     * @returns 返回 {line, column}
+     */
+    offsetToPosition(offset) {
+        offset = Math.min(Math.max(offset, 0), this.textLength);
+
+        // 使用二分法查找最后一个开始位置不大于 offset 的行
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            let middle = (low + high + 1) >>> 1;
+            if (this.lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return { line: low, column: offset - this.lineStarts[low] };
+    }
+
+    /**
+     * 把行列位置转换为文本位置
+     *
+     * @param {*} position {line, column} 对象
+     * @returns 如果行号无效（不是整数或者超出行的数目），则返回 NaN。
+     */
+    positionToOffset(position) {
+        let { line, column } = position;
+        if (!Number.isInteger(line) || line < 0 || line >= this.lineStarts.length ||
+            !Number.isInteger(column) || column < 0) {
+            return NaN;
+        }
+
+        return Math.min(this.lineStarts[line] + column, this.getLineEnd(line));
+    }
+}
+
+module.exports = LineIndex;
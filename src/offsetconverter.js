@@ -0,0 +1,223 @@
+// 支持的位置（offset）单位
+const OFFSET_UNITS = ['utf16', 'codepoint', 'utf8', 'grapheme'];
+
+/**
+ * 用于在不同的位置单位之间转换文本位置的模块。
+ *
+ * JavaScript 字符串的索引（以及 DOM Text Node 的偏移值）的单位是 UTF-16 code unit，
+ * 而来自其他系统的位置则可能使用其他单位：
+ *
+ * - 'utf16': UTF-16 code unit，即 JavaScript 字符串的索引；
+ * - 'codepoint': Unicode 码点，比如 Python 字符串的索引；
+ * - 'utf8': UTF-8 字节，比如 Rust 字符串的索引；
+ * - 'grapheme': 字素簇（grapheme cluster），即用户感知的 “字符”，比如一个由多个
+ *   码点组成的 emoji 算作一个字符。需要 Intl.Segmenter 支持。
+ *
+ * 转换得到的 UTF-16 位置总是落在码点的边界上（在 'grapheme' 单位时，总是落在
+ * 字素簇的边界上），即永远不会截断代理对（surrogate pair）。对于落在字符中间的位置
+ * （比如 UTF-8 多字节字符的中间），开始位置向前对齐，结束位置向后对齐。
+ */
+class OffsetConverter {
+
+    /**
+     *
+     * @param {*} text 文本
+     * @param {*} unit 位置单位，默认为 'utf16'。
+     */
+    constructor(text, unit = 'utf16') {
+        if (!OFFSET_UNITS.includes(unit)) {
+            throw new TypeError('Unsupported offset unit: ' + unit);
+        }
+
+        this.text = text;
+        this.unit = unit;
+
+        // 每一个字符（码点或者字素簇）边界的 UTF-16 位置，及对应的指定单位的位置，
+        // 均为递增的数组，最后一个元素是文本的末尾。'utf16' 单位不需要这两个数组。
+        this.utf16Offsets = null;
+        this.unitOffsets = null;
+
+        if (unit !== 'utf16') {
+            this._buildBoundaries();
+        }
+    }
+
+    /**
+     * 文本的长度（以指定的单位计算）
+     */
+    get length() {
+        return (this.unit === 'utf16') ?
+            this.text.length :
+            this.unitOffsets[this.unitOffsets.length - 1];
+    }
+
+    /**
+     * 把指定单位的位置转换为 UTF-16 位置
+     *
+     * 超出文本范围的位置（负数或者大于文本长度）会按相同的差值转换，以便调用者
+     * 判断及处理。
+     *
+     * @param {*} offset
+     * @param {*} isEnd 是否结束位置，落在字符中间的结束位置会向后对齐。
+     * @returns
+     */
+    toUtf16(offset, isEnd = false) {
+        if (this.unit === 'utf16') {
+            return this._alignUtf16(offset, isEnd);
+        }
+
+        return OffsetConverter._convert(offset, this.unitOffsets, this.utf16Offsets, isEnd);
+    }
+
+    /**
+     * 把 UTF-16 位置转换为指定单位的位置
+     *
+     * @param {*} offset
+     * @param {*} isEnd 是否结束位置，落在字符中间的结束位置会向后对齐。
+     * @returns
+     */
+    fromUtf16(offset, isEnd = false) {
+        if (this.unit === 'utf16') {
+            return offset;
+        }
+
+        return OffsetConverter._convert(offset, this.utf16Offsets, this.unitOffsets, isEnd);
+    }
+
+    /**
+     * 在两种单位之间转换文本位置
+     *
+     * @param {*} text
+     * @param {*} offset
+     * @param {*} fromUnit
+     * @param {*} toUnit
+     * @returns
+     */
+    static convert(text, offset, fromUnit, toUnit) {
+        let utf16Offset = new OffsetConverter(text, fromUnit).toUtf16(offset);
+        return new OffsetConverter(text, toUnit).fromUtf16(utf16Offset);
+    }
+
+    /**
+     * 对齐 UTF-16 位置，以免截断代理对
+     *
+     * @param {*} offset
+     * @param {*} isEnd 是否结束位置，结束位置向后对齐，开始位置向前对齐。
+     * @returns
+     */
+    _alignUtf16(offset, isEnd) {
+        if (offset > 0 && offset < this.text.length &&
+            OffsetConverter._isHighSurrogate(this.text.charCodeAt(offset - 1)) &&
+            OffsetConverter._isLowSurrogate(this.text.charCodeAt(offset))) {
+            return isEnd ? offset + 1 : offset - 1;
+        }
+
+        return offset;
+    }
+
+    /**
+     * 构建字符边界的位置数组
+     */
+    _buildBoundaries() {
+        let utf16Offsets = [];
+        let unitOffsets = [];
+        let text = this.text;
+
+        if (this.unit === 'grapheme') {
+            if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+                throw new Error('The "grapheme" offset unit requires Intl.Segmenter.');
+            }
+
+            let segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            let unitOffset = 0;
+            for (let segment of segmenter.segment(text)) {
+                utf16Offsets.push(segment.index);
+                unitOffsets.push(unitOffset);
+                unitOffset++;
+            }
+
+            utf16Offsets.push(text.length);
+            unitOffsets.push(unitOffset);
+
+        } else {
+            let unitOffset = 0;
+            let index = 0;
+            while (index < text.length) {
+                utf16Offsets.push(index);
+                unitOffsets.push(unitOffset);
+
+                let codePoint = text.codePointAt(index);
+                let utf16Length = (codePoint > 0xFFFF) ? 2 : 1;
+
+                if (this.unit === 'codepoint') {
+                    unitOffset++;
+                } else {
+                    // UTF-8 的字节数，孤立的代理项按替换字符（U+FFFD，3 字节）计算
+                    unitOffset += (codePoint < 0x80) ? 1 :
+                        (codePoint < 0x800) ? 2 :
+                            (codePoint < 0x10000) ? 3 : 4;
+                }
+
+                index += utf16Length;
+            }
+
+            utf16Offsets.push(text.length);
+            unitOffsets.push(unitOffset);
+        }
+
+        this.utf16Offsets = utf16Offsets;
+        this.unitOffsets = unitOffsets;
+    }
+
+    /**
+     * 使用边界数组转换位置
+     *
+     * @param {*} offset
+     * @param {*} sourceOffsets 源单位的边界数组
+     * @param {*} targetOffsets 目标单位的边界数组
+     * @param {*} isEnd
+     * @returns
+     */
+    static _convert(offset, sourceOffsets, targetOffsets, isEnd) {
+        let lastIndex = sourceOffsets.length - 1;
+
+        if (offset <= 0) {
+            return offset;
+        }
+
+        if (offset >= sourceOffsets[lastIndex]) {
+            return targetOffsets[lastIndex] + (offset - sourceOffsets[lastIndex]);
+        }
+
+        // 使用二分法查找最后一个不大于 offset 的边界
+        let low = 0;
+        let high = lastIndex;
+        while (low < high) {
+            let middle = (low + high + 1) >>> 1;
+            if (sourceOffsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        if (sourceOffsets[low] === offset || !isEnd) {
+            return targetOffsets[low];
+        }
+
+        // 结束位置落在字符中间，向后对齐
+        return targetOffsets[low + 1];
+    }
+
+    static _isHighSurrogate(charCode) {
+        return charCode >= 0xD800 && charCode <= 0xDBFF;
+    }
+
+    static _isLowSurrogate(charCode) {
+        return charCode >= 0xDC00 && charCode <= 0xDFFF;
+    }
+}
+
+OffsetConverter.OFFSET_UNITS = OFFSET_UNITS;
+
+module.exports = OffsetConverter;
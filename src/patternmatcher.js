@@ -0,0 +1,188 @@
+/**
+ * 使用正则表达式或者分词函数在文本里搜索待风格化的范围的模块。
+ *
+ * 规则（rule）是一个包含如下属性的对象：
+ * - pattern: 一个正则表达式（RegExp），或者
+ * - tokenize: 一个分词函数，函数签名为 (text) => [{start, end, className}]，
+ *   返回的对象的 className 属性是可选的，没有时使用规则的 className；
+ * - className: 匹配的文本的 class name；
+ * - groups: 可选的，一个捕获组（capture group）到 class name 的对象，
+ *   比如 {1: 'name', 2: 'operator'} 或者 {key: 'name'}（命名捕获组），
+ *   指定了该属性时只有捕获组匹配的文本会被风格化，整个匹配的文本则不会，
+ *   除非同时指定了 className。
+ *
+ * 规则表是一个规则的数组，当不同的规则匹配的文本重叠时，排在前面的规则优先，
+ * 同一个规则匹配的文本重叠时（比如嵌套的捕获组），位置在前的优先。
+ */
+class PatternMatcher {
+
+    /**
+     * 在文本里搜索所有规则的匹配
+     *
+     * @param {*} text
+     * @param {*} rules 规则的数组
+     * @returns 返回 {start, end, className, text} 对象的数组，按位置先后排列，
+     *     它们之间不会重叠。
+     */
+    static findMatches(text, rules) {
+        // 所有（互不重叠的）已接受的匹配，按开始位置排序
+        let acceptedMatches = [];
+
+        for (let rule of rules) {
+            let candidates = (typeof rule.tokenize === 'function') ?
+                PatternMatcher._tokenize(text, rule) :
+                PatternMatcher._matchPattern(text, rule);
+
+            // 同一个规则之内，位置在前的优先
+            candidates.sort((left, right) => left.start - right.start);
+
+            for (let candidate of candidates) {
+                if (candidate.start >= candidate.end) {
+                    continue;
+                }
+
+                let insertIdx = PatternMatcher._findInsertIndex(acceptedMatches, candidate.start);
+                let previousMatch = acceptedMatches[insertIdx - 1];
+                let nextMatch = acceptedMatches[insertIdx];
+
+                if ((previousMatch !== undefined && previousMatch.end > candidate.start) ||
+                    (nextMatch !== undefined && nextMatch.start < candidate.end)) {
+                    // 跟（优先级较高的）已接受的匹配重叠
+                    continue;
+                }
+
+                candidate.text = text.substring(candidate.start, candidate.end);
+                acceptedMatches.splice(insertIdx, 0, candidate);
+            }
+        }
+
+        return acceptedMatches;
+    }
+
+    /**
+     * 使用正则表达式搜索匹配
+     *
+     * - 正则表达式如果没有 g（global）或者 y（sticky）标记，会自动添加 g 标记，
+     *   即总是搜索所有匹配；
+     * - 有 y 标记时，匹配必须是连续的，即遇到第一个不匹配的位置就停止搜索；
+     * - 有 u（unicode）标记时，跳过零长度匹配时按 Unicode 码点前进，避免
+     *   截断代理对（surrogate pair）。
+     *
+     * @param {*} text
+     * @param {*} rule
+     * @returns 返回 {start, end, className} 对象的数组
+     */
+    static _matchPattern(text, rule) {
+        let matches = [];
+
+        let pattern = rule.pattern;
+        let flags = pattern.flags;
+        if (!flags.includes('g') && !flags.includes('y')) {
+            flags += 'g';
+        }
+
+        let groups = rule.groups ?? null;
+        if (groups !== null && !flags.includes('d')) {
+            // 需要 d（hasIndices）标记才能获得捕获组的位置
+            flags += 'd';
+        }
+
+        // 复制一个正则表达式，以免改变调用者的正则表达式的 lastIndex 属性
+        let regExp = new RegExp(pattern.source, flags);
+        let isUnicode = flags.includes('u') || flags.includes('v');
+
+        let match;
+        while ((match = regExp.exec(text)) !== null) {
+            let start = match.index;
+            let end = start + match[0].length;
+
+            if (start === end) {
+                // 防止零长度匹配导致死循环
+                regExp.lastIndex = PatternMatcher._advanceIndex(text, end, isUnicode);
+            }
+
+            if (rule.className !== undefined) {
+                matches.push({ start: start, end: end, className: rule.className });
+            }
+
+            if (groups !== null) {
+                for (let [group, className] of Object.entries(groups)) {
+                    let indices = /^\d+$/.test(group) ?
+                        match.indices[Number(group)] :
+                        match.indices.groups?.[group];
+
+                    // 未参与匹配的捕获组的位置为 undefined
+                    if (indices !== undefined) {
+                        matches.push({ start: indices[0], end: indices[1], className: className });
+                    }
+                }
+            }
+
+            if (regExp.lastIndex > text.length) {
+                break;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * 使用分词函数搜索匹配
+     *
+     * @param {*} text
+     * @param {*} rule
+     * @returns 返回 {start, end, className} 对象的数组
+     */
+    static _tokenize(text, rule) {
+        return rule.tokenize(text).map(token => ({
+            start: token.start,
+            end: token.end,
+            className: token.className ?? rule.className
+        }));
+    }
+
+    /**
+     * 获取跳过一个字符之后的位置
+     *
+     * @param {*} text
+     * @param {*} index
+     * @param {*} isUnicode 是否按 Unicode 码点前进
+     * @returns
+     */
+    static _advanceIndex(text, index, isUnicode) {
+        if (isUnicode && index + 1 < text.length) {
+            let charCode = text.charCodeAt(index);
+            if (charCode >= 0xD800 && charCode <= 0xDBFF) {
+                let nextCharCode = text.charCodeAt(index + 1);
+                if (nextCharCode >= 0xDC00 && nextCharCode <= 0xDFFF) {
+                    return index + 2;
+                }
+            }
+        }
+
+        return index + 1;
+    }
+
+    /**
+     * 使用二分法查找新的匹配在已接受的匹配数组里的插入位置
+     *
+     * @param {*} matches 已接受的匹配，按开始位置排序
+     * @param {*} start 新的匹配的开始位置
+     * @returns
+     */
+    static _findInsertIndex(matches, start) {
+        let low = 0;
+        let high = matches.length;
+        while (low < high) {
+            let middle = (low + high) >>> 1;
+            if (matches[middle].start < start) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+}
+
+module.exports = PatternMatcher;
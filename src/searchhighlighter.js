@@ -0,0 +1,312 @@
+const TextStylization = require('./textstylization');
+const PatternMatcher = require('./patternmatcher');
+const OffsetConverter = require('./offsetconverter');
+
+/**
+ * 用于高亮（风格化）搜索结果的模块，即常见的 “查找” 功能。
+ *
+ * - 所有匹配的文本都会被添加 className 样式，当前匹配（current match）的文本
+ *   还会被添加 currentClassName 样式。
+ * - 支持大小写不敏感、全词匹配、正则表达式，以及忽略变音符号（diacritics）和
+ *   Unicode 规范化形式（比如 'é' 和 'é'）的差异的搜索。
+ * - 切换当前匹配时，只会更新原先的当前匹配和新的当前匹配的样式。
+ */
+class SearchHighlighter {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} className 所有匹配的文本的样式的名称
+     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象。
+     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - currentClassName: 当前匹配的文本的样式的名称，默认为 className + '-current'。
+     *     - createRange: 一个用于创建 Range 对象的函数，默认为 DomEnvironment 的 createRange()。
+     *     - 其余的属性（比如文本模型的选项）会传递给内部的 TextStylization。
+     */
+    constructor(rootElement, className, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.className = className;
+        this.currentClassName = options.currentClassName ?? (className + '-current');
+
+        this.matchStylization = new TextStylization(rootElement, this.className,
+            documentObject, nodeFilterObject, options);
+        this.currentStylization = new TextStylization(rootElement, this.currentClassName,
+            documentObject, nodeFilterObject, options);
+
+        this.createRange = options.createRange ?? (() => this.matchStylization.environment.createRange());
+
+        // 所有匹配，{start, end, text} 对象的数组，按位置先后排列
+        this.matches = [];
+
+        // 当前匹配的索引，没有匹配时为 -1
+        this.currentIndex = -1;
+    }
+
+    /**
+     * 搜索并高亮所有匹配
+     *
+     * 先前的搜索结果的样式会被移除。
+     *
+     * @param {*} query 待搜索的文本，或者正则表达式的源码（当 options.regExp 为 true 时）。
+     * @param {*} options 可选参数，一个包含如下属性（均默认为 false）的对象：
+     *     - caseSensitive: 是否大小写敏感；
+     *     - wholeWord: 是否只匹配完整的单词；
+     *     - regExp: query 是否为正则表达式；
+     *     - ignoreDiacritics: 是否忽略变音符号，比如 'resume' 可以匹配 'résumé'；
+     *     - ignoreNormalization: 是否忽略 Unicode 规范化形式的差异，比如 'é'（U+00E9）
+     *       可以匹配 'é'。当 ignoreDiacritics 为 true 时总是忽略。
+     * @returns 返回匹配的个数，只包含虚拟字符（比如块元素之间的换行符）的匹配不计算在内。
+     */
+    search(query, options = {}) {
+        this.clear();
+
+        if (query === '') {
+            return 0;
+        }
+
+        let caseSensitive = options.caseSensitive ?? false;
+        let wholeWord = options.wholeWord ?? false;
+        let isRegExp = options.regExp ?? false;
+        let ignoreDiacritics = options.ignoreDiacritics ?? false;
+        let ignoreNormalization = ignoreDiacritics || (options.ignoreNormalization ?? false);
+
+        let text = this.matchStylization.getText();
+
+        // 当需要忽略变音符号或者规范化形式时，在 “折叠” 之后的文本里搜索，
+        // 然后把结果映射回原文本的位置。
+        let foldedText = ignoreNormalization ?
+            SearchHighlighter._foldText(text, ignoreDiacritics) :
+            { text: text, startIndices: null, endIndices: null };
+
+        let source = query;
+        if (!isRegExp) {
+            let foldedQuery = ignoreNormalization ?
+                SearchHighlighter._foldText(query, ignoreDiacritics).text :
+                query;
+            source = foldedQuery.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+
+        if (wholeWord) {
+            source = '(?<![\\p{L}\\p{N}_])(?:' + source + ')(?![\\p{L}\\p{N}_])';
+        }
+
+        let flags = 'gu' + (caseSensitive ? '' : 'i');
+        let matches = PatternMatcher.findMatches(foldedText.text, [
+            { pattern: new RegExp(source, flags), className: this.className }
+        ]);
+
+        this.matches = matches.map(match => {
+            let start = match.start;
+            let end = match.end;
+
+            if (foldedText.startIndices !== null) {
+                start = foldedText.startIndices[start];
+                end = foldedText.endIndices[end - 1];
+
+                // 被移除的变音符号不在折叠后的文本里，需要把紧随匹配的变音符号
+                // 也包括进来，以免它们被分割到容器元素之外。
+                while (end < text.length && /\p{M}/u.test(text[end])) {
+                    end++;
+                }
+            }
+
+            return { start: start, end: end, text: text.substring(start, end) };
+        });
+
+        // 匹配的位置是 UTF-16 位置，需要转换为风格器的位置单位
+        let offsetUnit = this.matchStylization.offsetUnit;
+        if (offsetUnit !== 'utf16') {
+            let offsetConverter = new OffsetConverter(text, offsetUnit);
+            for (let match of this.matches) {
+                match.start = offsetConverter.fromUtf16(match.start);
+                match.end = offsetConverter.fromUtf16(match.end, true);
+            }
+        }
+
+        if (this.matches.length === 0) {
+            return 0;
+        }
+
+        // 只包含虚拟字符（比如块元素之间的换行符）的匹配没有可以风格化的文本，
+        // 不计入匹配的个数，也不能切换到它。
+        let { outcomes } = this.matchStylization.applyToRanges(this.matches);
+        this.matches = this.matches.filter((match, idx) => outcomes[idx].status === 'applied');
+
+        if (this.matches.length === 0) {
+            return 0;
+        }
+
+        this._setCurrentIndex(0);
+
+        return this.matches.length;
+    }
+
+    /**
+     * 匹配的个数
+     */
+    get matchCount() {
+        return this.matches.length;
+    }
+
+    /**
+     * 当前匹配
+     *
+     * @returns 返回 {start, end, text} 对象，没有匹配时返回 null。
+     */
+    get currentMatch() {
+        return (this.currentIndex === -1) ? null : this.matches[this.currentIndex];
+    }
+
+    /**
+     * 切换到下一个匹配，如果当前已经是最后一个，则切换到第一个。
+     *
+     * @returns 返回新的当前匹配，没有匹配时返回 null。
+     */
+    next() {
+        if (this.matches.length === 0) {
+            return null;
+        }
+
+        return this.goTo((this.currentIndex + 1) % this.matches.length);
+    }
+
+    /**
+     * 切换到上一个匹配，如果当前已经是第一个，则切换到最后一个。
+     *
+     * @returns 返回新的当前匹配，没有匹配时返回 null。
+     */
+    previous() {
+        if (this.matches.length === 0) {
+            return null;
+        }
+
+        return this.goTo((this.currentIndex - 1 + this.matches.length) % this.matches.length);
+    }
+
+    /**
+     * 切换到指定的匹配
+     *
+     * @param {*} index 匹配的索引
+     * @returns 返回新的当前匹配
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.matches.length) {
+            throw new RangeError('Match index out of range: ' + index);
+        }
+
+        this._setCurrentIndex(index);
+        return this.currentMatch;
+    }
+
+    /**
+     * 获取当前匹配的容器元素，可用于滚动到当前匹配的位置，比如：
+     * getCurrentElements()[0].scrollIntoView()
+     *
+     * @returns 返回容器元素的数组，没有匹配时返回空数组。
+     */
+    getCurrentElements() {
+        let currentMatch = this.currentMatch;
+        if (currentMatch === null) {
+            return [];
+        }
+
+        return this.currentStylization._findOwnElements(currentMatch.start, currentMatch.end);
+    }
+
+    /**
+     * 获取当前匹配的 Range 对象
+     *
+     * @returns 没有匹配，或者当前匹配的范围之内没有文本节点时返回 null。
+     */
+    getCurrentRange() {
+        let currentMatch = this.currentMatch;
+        if (currentMatch === null) {
+            return null;
+        }
+
+        let nodeAndOffsets = this.currentStylization._findNodeAndOffsetGroups([currentMatch])[0];
+        if (nodeAndOffsets.length < 2) {
+            // 匹配的范围之内没有文本节点，比如文本在搜索之后被修改
+            return null;
+        }
+
+        let headNodeAndOffset = nodeAndOffsets[0];
+        let tailNodeAndOffset = nodeAndOffsets[nodeAndOffsets.length - 1];
+
+        let range = this.createRange();
+        range.setStart(headNodeAndOffset.node, headNodeAndOffset.offset);
+        range.setEnd(tailNodeAndOffset.node, tailNodeAndOffset.offset);
+        return range;
+    }
+
+    /**
+     * 移除所有匹配的样式
+     */
+    clear() {
+        this.currentStylization.clear();
+        this.matchStylization.clear();
+
+        this.matches = [];
+        this.currentIndex = -1;
+    }
+
+    /**
+     * 更新当前匹配的样式，只更新原先的和新的当前匹配。
+     *
+     * @param {*} index
+     */
+    _setCurrentIndex(index) {
+        if (index === this.currentIndex) {
+            return;
+        }
+
+        if (this.currentIndex !== -1) {
+            this.currentStylization.clearRanges([this.matches[this.currentIndex]]);
+        }
+
+        this.currentIndex = index;
+        this.currentStylization.applyToRanges([this.matches[index]]);
+    }
+
+    /**
+     * “折叠” 文本，即把文本转换为 Unicode 规范分解形式（NFD），并可选地移除
+     * 所有变音符号，同时记录折叠后的每一个字符（UTF-16 code unit）在原文本里的位置。
+     *
+     * @param {*} text
+     * @param {*} ignoreDiacritics 是否移除变音符号
+     * @returns 返回 {text, startIndices, endIndices}，其中 startIndices[i] 和
+     *     endIndices[i] 分别是折叠后的第 i 个字符所对应的原文本的字符的开始位置
+     *     （索引包括）和结束位置（索引不包括）。
+     */
+    static _foldText(text, ignoreDiacritics) {
+        let foldedChars = [];
+        let startIndices = [];
+        let endIndices = [];
+
+        let index = 0;
+        // 按 Unicode 码点遍历
+        for (let char of text) {
+            let foldedChar = char.normalize('NFD');
+            if (ignoreDiacritics) {
+                foldedChar = foldedChar.replace(/\p{M}/gu, '');
+            }
+
+            foldedChars.push(foldedChar);
+            for (let idx = 0; idx < foldedChar.length; idx++) {
+                startIndices.push(index);
+                endIndices.push(index + char.length);
+            }
+
+            index += char.length;
+        }
+
+        return {
+            text: foldedChars.join(''),
+            startIndices: startIndices,
+            endIndices: endIndices
+        };
+    }
+}
+
+module.exports = SearchHighlighter;
@@ -0,0 +1,145 @@
+const TextStylization = require('./textstylization');
+
+/**
+ * 风格化的历史记录，即一个撤销（undo）及重做（redo）栈。
+ *
+ * - 每一次 transact() 方法调用产生一个事务（详细请见 TextStylization.transact()），
+ *   事务被压入撤销栈，同时清空重做栈。
+ * - 连续的、指定了相同的合并键（coalesceKey）并且间隔不超过 coalesceInterval
+ *   的事务会被合并为一条历史记录，即只需撤销一次，比如连续多次的 “切换高亮”。
+ * - 没有修改任何 DOM 的事务不会产生历史记录。
+ *
+ * 因为浏览器原生的撤销栈无法理解风格器对 DOM 的修改，所以对于 contenteditable
+ * 元素，应该拦截原生的撤销及重做（比如 beforeinput 事件的 historyUndo 和
+ * historyRedo），转而调用当前模块的 undo() 和 redo() 方法。
+ */
+class StylizationHistory {
+
+    /**
+     *
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - limit: 撤销栈的最大长度，默认为 100，超出时丢弃最早的历史记录；
+     *     - coalesceInterval: 合并事务的最大间隔（毫秒），默认为 1000；
+     *     - now: 一个获取当前时间（毫秒）的函数，默认为 Date.now()。
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? 100;
+        this.coalesceInterval = options.coalesceInterval ?? 1000;
+        this.now = options.now ?? (() => Date.now());
+
+        // 历史记录，{transaction, coalesceKey, time} 对象的数组
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // 撤销栈顶的历史记录是否可以合并新的事务，撤销及重做之后不再合并
+        this.isCoalescible = false;
+    }
+
+    /**
+     * 是否有可以撤销的历史记录
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * 是否有可以重做的历史记录
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 在一个事务里执行风格器的方法，并添加到历史记录
+     *
+     * @param {*} callback
+     * @param {*} options 可选参数，详细请见 push() 方法。
+     * @returns 返回 Transaction 对象
+     */
+    transact(callback, options = {}) {
+        let transaction = TextStylization.transact(callback);
+        this.push(transaction, options);
+        return transaction;
+    }
+
+    /**
+     * 添加一个事务到历史记录
+     *
+     * @param {*} transaction
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - coalesceKey: 合并键，为 undefined 或者 null 时不合并。
+     * @returns 如果事务没有修改任何 DOM，则返回 false。
+     */
+    push(transaction, options = {}) {
+        if (transaction.isEmpty) {
+            return false;
+        }
+
+        let coalesceKey = options.coalesceKey ?? null;
+        let time = this.now();
+
+        this.redoStack = [];
+
+        let lastEntry = this.undoStack[this.undoStack.length - 1];
+        if (this.isCoalescible && coalesceKey !== null && lastEntry !== undefined &&
+            lastEntry.coalesceKey === coalesceKey &&
+            time - lastEntry.time <= this.coalesceInterval) {
+            lastEntry.transaction.merge(transaction);
+            lastEntry.time = time;
+            return true;
+        }
+
+        this.undoStack.push({ transaction: transaction, coalesceKey: coalesceKey, time: time });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.isCoalescible = true;
+        return true;
+    }
+
+    /**
+     * 撤销最近的一条历史记录
+     *
+     * @returns 如果没有可以撤销的历史记录，则返回 false。
+     */
+    undo() {
+        let entry = this.undoStack.pop();
+        if (entry === undefined) {
+            return false;
+        }
+
+        entry.transaction.undo();
+        this.redoStack.push(entry);
+        this.isCoalescible = false;
+        return true;
+    }
+
+    /**
+     * 重做最近被撤销的一条历史记录
+     *
+     * @returns 如果没有可以重做的历史记录，则返回 false。
+     */
+    redo() {
+        let entry = this.redoStack.pop();
+        if (entry === undefined) {
+            return false;
+        }
+
+        entry.transaction.redo();
+        this.undoStack.push(entry);
+        this.isCoalescible = false;
+        return true;
+    }
+
+    /**
+     * 清空所有历史记录
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isCoalescible = false;
+    }
+}
+
+module.exports = StylizationHistory;
@@ -0,0 +1,267 @@
+/**
+ * 比较两个文本的差异的模块
+ *
+ * - 使用 Myers 差异算法（An O(ND) Difference Algorithm and Its Variations），
+ *   即找出最短的编辑脚本（插入及删除的次数最少）。使用的是线性空间的变体，
+ *   所以即使两个文本完全不同，内存的使用量也跟文本的长度成正比。
+ * - 比较的单位可以是字符（Unicode 码点，所以不会截断代理对）或者单词，
+ *   单词是指连续的字母、数字及下划线，连续的空白字符也算作一个单词，
+ *   其余的字符（比如标点符号）各自算作一个单词。
+ */
+class TextDiff {
+
+    /**
+     * 比较两个文本的差异
+     *
+     * @param {*} oldText
+     * @param {*} newText
+     * @param {*} granularity 比较的单位，'char'（默认）或者 'word'。
+     * @returns 返回 {type, text} 对象的数组，type 为 'equal'、'delete' 或者 'insert'。
+     *     相邻的同类型的对象会被合并，两个 'equal' 之间的修改总是删除排在插入之前。
+     */
+    static diff(oldText, newText, granularity = 'char') {
+        let oldTokens = TextDiff.tokenize(oldText, granularity);
+        let newTokens = TextDiff.tokenize(newText, granularity);
+
+        // 公共前缀及后缀不需要经过差异算法
+        let prefixLength = 0;
+        while (prefixLength < oldTokens.length && prefixLength < newTokens.length &&
+            oldTokens[prefixLength] === newTokens[prefixLength]) {
+            prefixLength++;
+        }
+
+        let suffixLength = 0;
+        while (suffixLength < oldTokens.length - prefixLength &&
+            suffixLength < newTokens.length - prefixLength &&
+            oldTokens[oldTokens.length - 1 - suffixLength] === newTokens[newTokens.length - 1 - suffixLength]) {
+            suffixLength++;
+        }
+
+        let operations = [
+            ...oldTokens.slice(0, prefixLength).map(token => ({ type: 'equal', text: token })),
+            ...TextDiff._diffTokens(
+                oldTokens.slice(prefixLength, oldTokens.length - suffixLength),
+                newTokens.slice(prefixLength, newTokens.length - suffixLength)),
+            ...oldTokens.slice(oldTokens.length - suffixLength).map(token => ({ type: 'equal', text: token }))
+        ];
+
+        return TextDiff._mergeOperations(operations);
+    }
+
+    /**
+     * 把文本分割为比较的单位
+     *
+     * @param {*} text
+     * @param {*} granularity 'char' 或者 'word'
+     * @returns 返回字符串的数组
+     */
+    static tokenize(text, granularity) {
+        switch (granularity) {
+            case 'char':
+                return Array.from(text);
+
+            case 'word':
+                return text.match(/[\p{L}\p{N}_]+|\s+|[^]/gu) ?? [];
+
+            default:
+                throw new TypeError('Unsupported diff granularity: ' + granularity);
+        }
+    }
+
+    /**
+     * 使用 Myers 差异算法比较两个单位的数组
+     *
+     * 使用线性空间的变体，即先找出最短编辑路径的中间蛇形（middle snake），
+     * 然后以它为界分别比较前后两部分，所以内存的使用量跟单位的个数成正比，
+     * 而跟差异的大小无关。
+     *
+     * @param {*} oldTokens
+     * @param {*} newTokens
+     * @returns 返回 {type, text} 对象的数组，每一个对象对应一个单位（尚未合并）。
+     */
+    static _diffTokens(oldTokens, newTokens) {
+        let operations = [];
+        TextDiff._diffRange(oldTokens, 0, oldTokens.length, newTokens, 0, newTokens.length, operations);
+        return operations;
+    }
+
+    /**
+     * 比较两个单位的数组的指定部分，并把结果追加到 operations
+     *
+     * @param {*} oldTokens
+     * @param {*} oldStart
+     * @param {*} oldEnd
+     * @param {*} newTokens
+     * @param {*} newStart
+     * @param {*} newEnd
+     * @param {*} operations
+     */
+    static _diffRange(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd, operations) {
+        // 公共前缀及后缀
+        while (oldStart < oldEnd && newStart < newEnd && oldTokens[oldStart] === newTokens[newStart]) {
+            operations.push({ type: 'equal', text: oldTokens[oldStart] });
+            oldStart++;
+            newStart++;
+        }
+
+        let suffixLength = 0;
+        while (oldStart < oldEnd - suffixLength && newStart < newEnd - suffixLength &&
+            oldTokens[oldEnd - 1 - suffixLength] === newTokens[newEnd - 1 - suffixLength]) {
+            suffixLength++;
+        }
+        oldEnd -= suffixLength;
+        newEnd -= suffixLength;
+
+        if (oldStart === oldEnd || newStart === newEnd) {
+            for (let idx = oldStart; idx < oldEnd; idx++) {
+                operations.push({ type: 'delete', text: oldTokens[idx] });
+            }
+            for (let idx = newStart; idx < newEnd; idx++) {
+                operations.push({ type: 'insert', text: newTokens[idx] });
+            }
+        } else {
+            let { x, y } = TextDiff._findMiddleSnake(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd);
+            TextDiff._diffRange(oldTokens, oldStart, x, newTokens, newStart, y, operations);
+            TextDiff._diffRange(oldTokens, x, oldEnd, newTokens, y, newEnd, operations);
+        }
+
+        for (let idx = oldEnd; idx < oldEnd + suffixLength; idx++) {
+            operations.push({ type: 'equal', text: oldTokens[idx] });
+        }
+    }
+
+    /**
+     * 查找最短编辑路径的中间蛇形
+     *
+     * 同时从两端开始搜索，正向搜索的 D-路径跟反向搜索的 D-路径重叠时，
+     * 重叠的位置就在最短编辑路径上。两个部分的首尾都不能有相同的单位，
+     * 也不能为空，所以返回的位置总是把比较分割为两个更小的部分。
+     *
+     * @param {*} oldTokens
+     * @param {*} oldStart
+     * @param {*} oldEnd
+     * @param {*} newTokens
+     * @param {*} newStart
+     * @param {*} newEnd
+     * @returns 返回 {x, y}，即最短编辑路径经过的位置（oldTokens 及 newTokens 的索引）。
+     */
+    static _findMiddleSnake(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd) {
+        let oldLength = oldEnd - oldStart;
+        let newLength = newEnd - newStart;
+        let maxDistance = Math.ceil((oldLength + newLength) / 2);
+
+        // forwardV[offset + k] 是正向搜索在对角线 k（即 x - y）上能到达的最远的 x，
+        // backwardV[offset + k] 是反向搜索在（从末尾算起的）对角线 k 上能到达的最远的距离，
+        // -1 表示尚未到达。
+        let offset = maxDistance + 1;
+        let forwardV = new Array(2 * offset + 1).fill(-1);
+        let backwardV = new Array(2 * offset + 1).fill(-1);
+        forwardV[offset + 1] = 0;
+        backwardV[offset + 1] = 0;
+
+        // 两个方向的对角线之间的差，为奇数时在正向搜索时检查重叠，否则在反向搜索时检查。
+        let delta = oldLength - newLength;
+        let isOddDelta = (delta % 2 !== 0);
+
+        for (let d = 0; d <= maxDistance; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && forwardV[offset + k - 1] < forwardV[offset + k + 1])) ?
+                    forwardV[offset + k + 1] :
+                    forwardV[offset + k - 1] + 1;
+                let y = x - k;
+
+                if (x > oldLength || y > newLength || y < 0) {
+                    continue;
+                }
+
+                while (x < oldLength && y < newLength &&
+                    oldTokens[oldStart + x] === newTokens[newStart + y]) {
+                    x++;
+                    y++;
+                }
+
+                forwardV[offset + k] = x;
+
+                let backwardIndex = offset + delta - k;
+                if (isOddDelta && backwardIndex >= 0 && backwardIndex < backwardV.length &&
+                    backwardV[backwardIndex] !== -1 && x >= oldLength - backwardV[backwardIndex]) {
+                    return { x: oldStart + x, y: newStart + y };
+                }
+            }
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && backwardV[offset + k - 1] < backwardV[offset + k + 1])) ?
+                    backwardV[offset + k + 1] :
+                    backwardV[offset + k - 1] + 1;
+                let y = x - k;
+
+                if (x > oldLength || y > newLength || y < 0) {
+                    continue;
+                }
+
+                while (x < oldLength && y < newLength &&
+                    oldTokens[oldEnd - 1 - x] === newTokens[newEnd - 1 - y]) {
+                    x++;
+                    y++;
+                }
+
+                backwardV[offset + k] = x;
+
+                let forwardIndex = offset + delta - k;
+                if (!isOddDelta && forwardIndex >= 0 && forwardIndex < forwardV.length &&
+                    forwardV[forwardIndex] !== -1 && forwardV[forwardIndex] >= oldLength - x) {
+                    let forwardX = forwardV[forwardIndex];
+                    return { x: oldStart + forwardX, y: newStart + forwardX - (delta - k) };
+                }
+            }
+        }
+
+        // 不会到达这里，因为最短编辑路径的长度不会超过 oldLength + newLength
+        return { x: oldEnd, y: newStart };
+    }
+
+    /**
+     * 合并相邻的同类型的对象，并把两个 'equal' 之间的删除排在插入之前。
+     *
+     * @param {*} operations
+     * @returns
+     */
+    static _mergeOperations(operations) {
+        let mergedOperations = [];
+        let deletedText = '';
+        let insertedText = '';
+
+        let flushChanges = () => {
+            if (deletedText !== '') {
+                mergedOperations.push({ type: 'delete', text: deletedText });
+            }
+            if (insertedText !== '') {
+                mergedOperations.push({ type: 'insert', text: insertedText });
+            }
+            deletedText = '';
+            insertedText = '';
+        };
+
+        for (let { type, text } of operations) {
+            if (type === 'delete') {
+                deletedText += text;
+            } else if (type === 'insert') {
+                insertedText += text;
+            } else {
+                flushChanges();
+
+                let lastOperation = mergedOperations[mergedOperations.length - 1];
+                if (lastOperation !== undefined && lastOperation.type === 'equal') {
+                    lastOperation.text += text;
+                } else {
+                    mergedOperations.push({ type: 'equal', text: text });
+                }
+            }
+        }
+
+        flushChanges();
+        return mergedOperations;
+    }
+}
+
+module.exports = TextDiff;
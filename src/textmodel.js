@@ -0,0 +1,523 @@
+const DomEnvironment = require('./domenvironment');
+
+// 默认的块元素的标签名称
+const DEFAULT_BLOCK_TAG_NAMES = [
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'dialog',
+    'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'tr', 'ul'];
+
+// 默认的原子元素（即内容不可被风格化的元素）的选择器
+const DEFAULT_ATOMIC_SELECTOR = 'img, [contenteditable="false"]';
+
+// 原子元素的占位字符，即 Unicode 的 OBJECT REPLACEMENT CHARACTER
+const ATOMIC_CHARACTER = '\uFFFC';
+
+/**
+ * 根元素的文本模型，即根元素之内的文本内容及每一个 Text Node 的位置。
+ *
+ * 根元素之内除了纯文本和 <span> 元素，还可以包含：
+ *
+ * - 块元素（比如 <p>、<div>、<li>），块元素的边界算作一个换行符 '\n'，
+ *   即相邻的两个块元素的文本之间有一个换行符，连续的多个边界只算一个；
+ * - <br> 元素，算作一个换行符 '\n'。位于块元素末尾的 <br> 元素（通常是
+ *   contenteditable 元素为空行添加的占位元素）之后的块元素边界不再算作换行符；
+ * - 原子元素（比如 <img>、contenteditable="false" 的元素），算作指定长度的
+ *   占位字符（U+FFFC），长度为 0 时即忽略。原子元素之内的 Text Node 不会被
+ *   风格化。
+ *
+ * 块元素之间的（以及块元素的开头或者末尾的）只包含空白字符并且包含换行的
+ * Text Node，即缩进的 HTML 源代码里的换行及缩进，跟浏览器的渲染一样被忽略，
+ * 但 <pre> 元素之内的除外。不包含换行的空白文本（比如代码编辑器里只有缩进的行）
+ * 以及根元素唯一的子节点不会被忽略。
+ *
+ * 换行符和占位字符都是 “虚拟” 的字符，它们不对应任何 Text Node，所以也不会
+ * 被风格化。
+ */
+class TextModel {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} documentObject 可选参数，默认为根元素所属的文档。
+     * @param {*} nodeFilterObject 可选参数，默认从根元素所属的文档推导，详细请见 DomEnvironment。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - blockTagNames: 块元素的标签名称的数组，默认为常见的块元素；
+     *     - atomicSelector: 原子元素的选择器，默认为 'img, [contenteditable="false"]'；
+     *     - atomicLength: 原子元素的占位字符的长度，默认为 1，为 0 时即忽略原子元素；
+     *     - environment: DomEnvironment 对象，指定时 documentObject 和 nodeFilterObject 会被忽略。
+     */
+    constructor(rootElement, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.environment = options.environment ??
+            DomEnvironment.fromElement(rootElement, { documentObject, nodeFilterObject });
+        this.documentObject = this.environment.documentObject;
+        this.nodeFilterObject = this.environment.nodeFilterObject;
+
+        this.blockTagNames = new Set(options.blockTagNames ?? TextModel.DEFAULT_BLOCK_TAG_NAMES);
+        this.atomicSelector = options.atomicSelector ?? DEFAULT_ATOMIC_SELECTOR;
+        this.atomicLength = options.atomicLength ?? 1;
+
+        // 所有片段，{type, node, start, end} 对象的数组，按位置先后排列，其中
+        // type 为 'text'、'break' 或者 'atomic'。
+        // 对于 'break' 片段，node 是产生换行符的 <br> 元素或者块元素。
+        this.segments = [];
+
+        // 所有长度不为 0 的 'text' 片段
+        this.textSegments = [];
+
+        // Text Node 到它的 'text' 片段的 Map
+        this.textSegmentMap = new Map();
+
+        // 原子元素到它的 'atomic' 片段的 Map
+        this.atomicSegmentMap = new Map();
+
+        // 尚未应用的 Text Node 分割记录，详细请见 recordSplit() 方法
+        this.pendingSplits = new Map();
+
+        // 文本内容，包括换行符和占位字符
+        this.text = '';
+
+        this._build();
+        this._indexTextSegments();
+    }
+
+    /**
+     * 判断元素是否块元素
+     *
+     * @param {*} element
+     * @returns
+     */
+    isBlockElement(element) {
+        return this.blockTagNames.has(element.localName);
+    }
+
+    /**
+     * 判断元素是否原子元素
+     *
+     * @param {*} element
+     * @returns
+     */
+    isAtomicElement(element) {
+        return element.matches(this.atomicSelector);
+    }
+
+    /**
+     * 获取开始位置（索引包括）所在的 Text Node 及偏移值
+     *
+     * 如果位置落在虚拟字符（换行符或者占位字符）上，则返回下一个 Text Node 的开头。
+     *
+     * @param {*} position
+     * @returns 返回 {index, node, offset}，其中 index 是 textSegments 的索引，
+     *     如果位置之后已经没有 Text Node，则返回 null。
+     */
+    findStart(position) {
+        // 第一个结束位置大于 position 的片段
+        let index = this._findFirstIndex(segment => segment.end > position);
+        if (index === this.textSegments.length) {
+            return null;
+        }
+
+        let segment = this.textSegments[index];
+        return {
+            index: index,
+            node: segment.node,
+            offset: Math.max(0, position - segment.start)
+        };
+    }
+
+    /**
+     * 获取结束位置（索引不包括）所在的 Text Node 及偏移值
+     *
+     * 如果位置落在虚拟字符（换行符或者占位字符）上，则返回上一个 Text Node 的末尾。
+     *
+     * @param {*} position
+     * @returns 返回 {index, node, offset}，其中 index 是 textSegments 的索引，
+     *     如果位置之前没有 Text Node，则返回 null。
+     */
+    findEnd(position) {
+        // 最后一个开始位置小于 position 的片段
+        let index = this._findFirstIndex(segment => segment.start >= position) - 1;
+        if (index < 0) {
+            return null;
+        }
+
+        let segment = this.textSegments[index];
+        return {
+            index: index,
+            node: segment.node,
+            offset: Math.min(position, segment.end) - segment.start
+        };
+    }
+
+    /**
+     * 获取 DOM 位置（比如 Selection 的 anchor 或者 focus）所对应的文本位置
+     *
+     * - 如果 node 是一个 Text Node，则 offset 是它的字符偏移值；
+     * - 如果 node 是一个元素，则 offset 是它的子节点的索引，即位置在
+     *   node.childNodes[offset] 之前，或者在 node 的末尾。
+     *
+     * 落在原子元素之内的位置算作位于原子元素之前，落在空的 Text Node 里的位置
+     * 算作位于该 Text Node 之前。
+     *
+     * @param {*} node
+     * @param {*} offset
+     * @returns
+     */
+    getPosition(node, offset) {
+        // 'text' 片段的 Text Node 不会位于原子元素之内
+        let textSegment = this.textSegmentMap.get(node);
+        if (textSegment !== undefined) {
+            return textSegment.start + Math.min(offset, textSegment.end - textSegment.start);
+        }
+
+        let atomicSegment = this._findAtomicSegment(node);
+        if (atomicSegment !== undefined) {
+            return atomicSegment.start;
+        }
+
+        if (node.nodeType === node.TEXT_NODE) {
+            return this._getPositionBefore(node);
+        }
+
+        let childNodes = node.childNodes;
+        if (offset < childNodes.length) {
+            return this._getPositionBefore(childNodes[offset]);
+        }
+
+        // 位于元素的末尾，即第一个在元素之后（且不在元素之内）的片段的开始位置
+        let segment = this._findFirstSegment(({ node: segmentNode }) => {
+            let position = node.compareDocumentPosition(segmentNode);
+            return (position & node.DOCUMENT_POSITION_FOLLOWING) !== 0 &&
+                (position & node.DOCUMENT_POSITION_CONTAINED_BY) === 0;
+        });
+
+        return (segment === undefined) ? this.text.length : segment.start;
+    }
+
+    /**
+     * 获取文本位置所对应的光标（caret）位置
+     *
+     * 跟 findStart() 方法不同，当位置恰好落在两个 Text Node 之间时，优先返回
+     * 前一个 Text Node 的末尾，即光标保持在原先的 Text Node 之内。
+     *
+     * @param {*} position
+     * @returns 返回 {node, offset}，如果根元素之内没有 Text Node，则返回 null。
+     */
+    findCaret(position) {
+        let tail = this.findEnd(position);
+        if (tail !== null && this.textSegments[tail.index].end >= position) {
+            return { node: tail.node, offset: tail.offset };
+        }
+
+        // 位置落在虚拟字符上，或者位于第一个 Text Node 之前
+        let head = this.findStart(position);
+        if (head !== null) {
+            return { node: head.node, offset: head.offset };
+        }
+
+        return (tail === null) ? null : { node: tail.node, offset: tail.offset };
+    }
+
+    /**
+     * 获取位于指定节点之前的文本位置，即第一个位于该节点（或者其子孙节点）
+     * 开始的片段的开始位置。
+     *
+     * @param {*} node
+     * @returns
+     */
+    _getPositionBefore(node) {
+        let segment = this._findFirstSegment(({ node: segmentNode }) =>
+            segmentNode === node ||
+            (node.compareDocumentPosition(segmentNode) & node.DOCUMENT_POSITION_FOLLOWING) !== 0);
+
+        return (segment === undefined) ? this.text.length : segment.start;
+    }
+
+    /**
+     * 获取节点（或者它的祖先元素）所属的 'atomic' 片段
+     *
+     * @param {*} node
+     * @returns 如果节点不在原子元素之内，则返回 undefined。
+     */
+    _findAtomicSegment(node) {
+        if (this.atomicSegmentMap.size === 0) {
+            return undefined;
+        }
+
+        for (let element = node; element !== null && element !== this.rootElement; element = element.parentNode) {
+            let segment = this.atomicSegmentMap.get(element);
+            if (segment !== undefined) {
+                return segment;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * 使用二分法查找第一个满足条件的片段（包括 'break' 和 'atomic' 片段）
+     *
+     * 块元素边界的 'break' 片段的节点是块元素，当它是已结束的块元素时，它在文档里
+     * 的位置在它之前的片段之前，所以二分查找时使用紧随它的片段（总是存在的）代替，
+     * 找到之后再检查它本身。
+     *
+     * @param {*} predicate 对于按文档顺序排列的节点，它的结果必须是先 false 后 true。
+     * @returns 如果没有满足条件的片段，则返回 undefined。
+     */
+    _findFirstSegment(predicate) {
+        let segments = this.segments;
+        let isBlockBreak = (index) => segments[index].type === 'break' &&
+            segments[index].node.localName !== 'br';
+
+        let index = this._findFirstIndex((segment, idx) =>
+            predicate(isBlockBreak(idx) ? segments[idx + 1] : segment), segments);
+
+        if (index < segments.length && isBlockBreak(index) && !predicate(segments[index])) {
+            index++;
+        }
+
+        return segments[index];
+    }
+
+    /**
+     * 记录一次 Text Node 的分割，以便更新文本模型而不需要重新遍历根元素。
+     *
+     * 风格器截断 Text Node 时，文本内容不变，只是原先的一个 Text Node 的文本
+     * 被分配到多个 Text Node。分割记录会在调用 applySplits() 方法时才应用，
+     * 在此之前文本模型仍然对应分割之前的 DOM。
+     *
+     * @param {*} node 被分割的 Text Node
+     * @param {*} offset 分割的位置，即 node 原先的文本内容的索引
+     * @param {*} newNode 新的 Text Node，它的文本内容是 node 原先的文本内容的一部分
+     * @param {*} isNewNodeBefore 新的 Text Node 是否得到 offset 之前的部分，
+     *     为 false 时得到 offset 之后的部分。
+     */
+    recordSplit(node, offset, newNode, isNewNodeBefore) {
+        // 被分割的 Text Node 所属的原先的片段，以及它的文本在片段里的位置
+        let piece = this.pendingSplits.get(node);
+        if (piece === undefined) {
+            piece = { segment: this.textSegmentMap.get(node), offset: 0 };
+            if (piece.segment === undefined) {
+                // 空的 Text Node 没有片段，分割之后的 Text Node 也都是空的
+                return;
+            }
+            this.pendingSplits.set(node, piece);
+        }
+
+        if (isNewNodeBefore) {
+            this.pendingSplits.set(newNode, { segment: piece.segment, offset: piece.offset });
+            piece.offset += offset;
+        } else {
+            this.pendingSplits.set(newNode, { segment: piece.segment, offset: piece.offset + offset });
+        }
+    }
+
+    /**
+     * 应用所有分割记录，使文本模型对应当前的 DOM。
+     *
+     * 只需要遍历一次片段的数组，而不需要重新遍历根元素。
+     */
+    applySplits() {
+        if (this.pendingSplits.size === 0) {
+            return;
+        }
+
+        // 以原先的片段分组的 Text Node
+        let pieceGroups = new Map();
+        for (let [node, { segment, offset }] of this.pendingSplits) {
+            let pieces = pieceGroups.get(segment);
+            if (pieces === undefined) {
+                pieces = [];
+                pieceGroups.set(segment, pieces);
+            }
+            pieces.push({ node: node, offset: offset });
+        }
+
+        let segments = [];
+        for (let segment of this.segments) {
+            let pieces = pieceGroups.get(segment);
+            if (pieces === undefined) {
+                segments.push(segment);
+                continue;
+            }
+
+            pieces.sort((left, right) => left.offset - right.offset);
+            for (let { node, offset } of pieces) {
+                let start = segment.start + offset;
+                let end = start + node.nodeValue.length;
+                if (end > start) {
+                    segments.push({ type: 'text', node: node, start: start, end: end });
+                }
+            }
+        }
+
+        this.segments = segments;
+        this.textSegments = segments.filter(segment => segment.type === 'text');
+        this.pendingSplits = new Map();
+        this._indexTextSegments();
+    }
+
+    /**
+     * 构建 Text Node 到片段的 Map
+     */
+    _indexTextSegments() {
+        this.textSegmentMap = new Map(this.textSegments.map(segment => [segment.node, segment]));
+    }
+
+    /**
+     * 使用二分法查找第一个满足条件的片段
+     *
+     * @param {*} predicate 对于按位置排列的片段，它的结果必须是先 false 后 true，
+     *     参数为片段及它的索引。
+     * @param {*} segments 可选参数，默认为 textSegments。
+     * @returns 返回片段的索引，如果没有满足条件的片段，则返回数组的长度。
+     */
+    _findFirstIndex(predicate, segments = this.textSegments) {
+        let low = 0;
+        let high = segments.length;
+        while (low < high) {
+            let middle = (low + high) >>> 1;
+            if (predicate(segments[middle], middle)) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 遍历根元素，构建文本模型
+     */
+    _build() {
+        let chars = [];
+        let position = 0;
+
+        // 当前所在的（尚未结束的）块元素
+        let openBlockElements = [];
+
+        // 一个标记，表示在输出下一个字符之前需要先输出一个块元素边界的换行符
+        let pendingBreakElement = null;
+
+        let addSegment = (type, node, value) => {
+            if (pendingBreakElement !== null) {
+                let lastSegment = this.segments[this.segments.length - 1];
+                let isAfterLineBreak = (lastSegment !== undefined &&
+                    lastSegment.type === 'break' &&
+                    lastSegment.node.localName === 'br');
+
+                if (!isAfterLineBreak) {
+                    this.segments.push({ type: 'break', node: pendingBreakElement, start: position, end: position + 1 });
+                    chars.push('\n');
+                    position++;
+                }
+                pendingBreakElement = null;
+            }
+
+            let segment = { type: type, node: node, start: position, end: position + value.length };
+            this.segments.push(segment);
+            chars.push(value);
+            position += value.length;
+            return segment;
+        };
+
+        let treeWalker = this.documentObject.createTreeWalker(this.rootElement,
+            this.nodeFilterObject.SHOW_ELEMENT | this.nodeFilterObject.SHOW_TEXT);
+
+        let currentNode = treeWalker.nextNode();
+        while (currentNode !== null) {
+
+            // 检查是否离开了某些块元素
+            while (openBlockElements.length > 0 &&
+                !openBlockElements[openBlockElements.length - 1].contains(currentNode)) {
+                let blockElement = openBlockElements.pop();
+                if (position > 0) {
+                    pendingBreakElement = blockElement;
+                }
+            }
+
+            if (currentNode.nodeType === currentNode.TEXT_NODE) {
+                let nodeValue = currentNode.nodeValue ?? '';
+                if (nodeValue.length > 0 && !this._isInterBlockWhitespace(currentNode)) {
+                    let segment = addSegment('text', currentNode, nodeValue);
+                    this.textSegments.push(segment);
+                }
+
+            } else if (this.isAtomicElement(currentNode)) {
+                let segment = addSegment('atomic', currentNode, ATOMIC_CHARACTER.repeat(this.atomicLength));
+                this.atomicSegmentMap.set(currentNode, segment);
+
+                // 跳过原子元素的所有子孙节点
+                currentNode = this._nextNodeSkippingChildren(treeWalker);
+                continue;
+
+            } else if (currentNode.localName === 'br') {
+                addSegment('break', currentNode, '\n');
+
+            } else if (this.isBlockElement(currentNode)) {
+                if (position > 0) {
+                    pendingBreakElement = currentNode;
+                }
+                openBlockElements.push(currentNode);
+            }
+
+            currentNode = treeWalker.nextNode();
+        }
+
+        this.text = chars.join('');
+    }
+
+    /**
+     * 判断 Text Node 是否位于块元素之间（或者块元素的开头或者末尾）的格式化用的空白文本
+     *
+     * 即 Text Node 只包含空白字符并且包含换行，父元素是块元素（或者根元素，
+     * 这时 Text Node 不能是根元素唯一的子节点），并且前后的兄弟节点都是块元素
+     * （或者不存在）。<pre> 元素之内的空白文本不算。
+     *
+     * @param {*} node
+     * @returns
+     */
+    _isInterBlockWhitespace(node) {
+        if (!/^[ \t\n\f\r]*[\n\r][ \t\n\f\r]*$/.test(node.nodeValue)) {
+            return false;
+        }
+
+        let parentNode = node.parentNode;
+        if ((parentNode !== this.rootElement && !this.isBlockElement(parentNode)) ||
+            (parentNode === this.rootElement && parentNode.childNodes.length === 1) ||
+            parentNode.closest('pre') !== null) {
+            return false;
+        }
+
+        let isBlockBoundary = (siblingNode) => siblingNode === null ||
+            (siblingNode.nodeType === siblingNode.ELEMENT_NODE && this.isBlockElement(siblingNode));
+
+        return isBlockBoundary(node.previousSibling) && isBlockBoundary(node.nextSibling);
+    }
+
+    /**
+     * 移动 TreeWalker 到当前节点之后的（非子孙）节点
+     *
+     * @param {*} treeWalker
+     * @returns 如果已经没有节点，则返回 null。
+     */
+    _nextNodeSkippingChildren(treeWalker) {
+        while (true) {
+            let nextSiblingNode = treeWalker.nextSibling();
+            if (nextSiblingNode !== null) {
+                return nextSiblingNode;
+            }
+
+            if (treeWalker.parentNode() === null) {
+                // 已经回到根元素
+                return null;
+            }
+        }
+    }
+}
+
+TextModel.DEFAULT_BLOCK_TAG_NAMES = DEFAULT_BLOCK_TAG_NAMES;
+
+module.exports = TextModel;
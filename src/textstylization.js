@@ -1,28 +1,138 @@
+const { TextSelection } = require('jstextselection');
 const { NodeAndOffset } = require('jscontenteditableelementtextselection');
 
+const PatternMatcher = require('./patternmatcher');
+const TextModel = require('./textmodel');
+const OffsetConverter = require('./offsetconverter');
+const Transaction = require('./transaction');
+const TextStylizationRangeError = require('./textstylizationrangeerror');
+const LineIndex = require('./lineindex');
+const TextDiff = require('./textdiff');
+const DomEnvironment = require('./domenvironment');
+
+// 记录风格器对元素所作的修改（添加的 class name、属性等），以便 clear() 和
+// clearElement() 方法能够准确地撤销。
+//
+// - 以元素为键，值是一个以风格器的 class name 为键、以修改记录为值的 Map。
+// - 使用模块级别的 WeakMap，所以不同的 TextStylization 实例（只要 class name 相同）
+//   也能撤销彼此所作的修改。
+const decorationRecords = new WeakMap();
+
+// 正在进行的事务（嵌套时有多个），所有风格器对 DOM 的修改都会记录到最内层的事务里。
+// 使用模块级别的变量，所以一个事务可以包含多个风格器的方法调用。
+const activeTransactions = [];
+
+// 缓存的文本模型，详细请见构造函数的 cacheTextModel 选项。
+//
+// - 以根元素为键，值是一个以文本模型的选项为键、以 TextModel 为值的 Map。
+// - 使用模块级别的 WeakMap，所以同一个根元素上的多个风格器共用缓存，任一风格器
+//   修改 DOM 时都能让缓存失效（或者更新缓存）。
+const textModelCache = new WeakMap();
+
+// 已经记录了让缓存失效的操作的事务，值为根元素的 WeakSet，
+// 以便每个事务对每个根元素只记录一次。
+const invalidationRecords = new WeakMap();
+
 /**
  * 用于风格化指定范围之内的文本的模块。
  *
  * - 所谓风格化，即把一段文字的指定范围的文字移入到一个 <span> 元素（下面称容器元素），
  *   然后设置该容器元素的 class name 为指定的名称。
- * - 待风格化的根元素之内必须是纯文本，或者只包含有 <span> 子元素。
+ * - 待风格化的根元素之内可以是纯文本、<span> 等行内元素，也可以包含块元素（比如 <p>、
+ *   <li>）、<br> 元素以及原子元素（比如 <img>、contenteditable="false" 的元素）。
+ *   块元素的边界及 <br> 元素算作换行符，原子元素算作占位字符，详细请见 TextModel。
+ * - 容器元素永远不会跨越块元素的边界，跨越多个块元素的范围会按块元素分割为多个容器元素。
+ * - 除了 class name，还可以使用装饰描述对象（decoration）为容器元素添加多个
+ *   class name、属性（比如 data-*、title、aria-*），或者指定容器元素的
+ *   标签名称（比如 <mark>、<a>），甚至使用一个函数来构建容器元素。
+ *
+ * 装饰描述对象是一个包含如下属性（均为可选）的对象：
+ * - classNames: 额外添加的 class name 的数组；
+ * - attributes: 一个属性名称到属性值的对象，比如 {'data-id': '1', title: 'foo'}，
+ *   值为 null 或者 undefined 的属性会被忽略；
+ * - tagName: 容器元素的标签名称，默认为 'span'；
+ * - createElement: 一个用于构建容器元素的函数，函数签名为
+ *   (documentObject, decoration) => Element，指定了该函数时 tagName 会被忽略。
  */
 class TextStylization {
 
     /**
      *
      * @param {*} rootElement
-     * @param {*} className 待风格化的样式的名称，当前只支持添加一个样式名称。
-     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象，
-     *     它可以由 domino 包的 domino.createDocument() 方法产生。
-     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象，
-     *     它可以由 domino 包导入，如 require('domino/lib/NodeFilter') 获得。
+     * @param {*} className 待风格化的样式的名称，它同时也是当前风格器的标识，
+     *     clear() 方法根据它来寻找需要移除样式的元素。
+     *     也可以是一个装饰描述对象，这时必须包含 className 属性，其余的属性
+     *     将作为所有范围的默认装饰。
+     * @param {*} documentObject 可选参数，默认为根元素所属的文档（ownerDocument），
+     *     所以根元素可以位于 iframe 或者其他文档（比如由 domino、jsdom 产生的文档）之内。
+     * @param {*} nodeFilterObject 可选参数，默认从根元素所属的文档推导，
+     *     详细请见 DomEnvironment。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - autoMerge: 是否在每次风格化或者移除样式之后，自动合并受影响的区域里的
+     *       零碎的容器元素及 Text Node（详细请见 normalize() 方法），默认为 false。
+     *     - blockTagNames、atomicSelector、atomicLength: 文本模型的选项，详细请见 TextModel。
+     *     - offsetUnit: 所有方法的参数及返回值里的文本位置的单位，可以是 'utf16'（默认）、
+     *       'codepoint'、'utf8' 或者 'grapheme'，详细请见 OffsetConverter。
+     *       无论使用哪种单位，容器元素的边界都不会截断代理对（surrogate pair），
+     *       在 'grapheme' 单位时也不会截断字素簇（grapheme cluster）。
+     *     - preserveSelection: 是否在修改 DOM 之后自动恢复光标（以及选中的文本）的位置，
+     *       默认为当根元素是 contenteditable 的元素时恢复，设置为 false 可以关闭。
+     *     - getSelection: 一个用于获取 Selection 对象的函数，默认为 documentObject.getSelection()。
+     *     - strict: 是否使用严格模式，默认为 false。在严格模式下，无效的 TextSelection
+     *       （详细请见 validateRanges() 方法）会导致抛出 TextStylizationRangeError，
+     *       而不是被裁剪或者忽略。
+     *     - cacheTextModel: 是否缓存根元素的文本模型，默认为 false。缓存的文本模型
+     *       会随风格器自己对 DOM 的修改而更新（截断 Text Node 时）或者失效，所以
+     *       连续的方法调用不需要每次都重新遍历根元素。注意如果 DOM 被风格器之外的
+     *       代码修改（比如用户的输入），则需要调用 invalidateTextModel() 方法。
+     *     - environment: DomEnvironment 对象，即风格器用到的所有 DOM 相关对象，
+     *       默认由 DomEnvironment.fromElement() 方法从根元素推导，指定时
+     *       documentObject 和 nodeFilterObject 参数会被忽略。
      */
-    constructor(rootElement, className, documentObject, nodeFilterObject) {
+    constructor(rootElement, className, documentObject, nodeFilterObject, options = {}) {
         this.rootElement = rootElement;
-        this.className = className;
-        this.documentObject = documentObject ?? global.document;
-        this.nodeFilterObject = nodeFilterObject ?? global.NodeFilter;
+
+        if (typeof className === 'string') {
+            this.className = className;
+            this.decoration = {};
+        } else {
+            this.className = className.className;
+            this.decoration = className;
+        }
+
+        this.environment = options.environment ??
+            DomEnvironment.fromElement(rootElement, { documentObject, nodeFilterObject });
+        this.documentObject = this.environment.documentObject;
+        this.nodeFilterObject = this.environment.nodeFilterObject;
+        this.autoMerge = options.autoMerge ?? false;
+
+        this.textModelOptions = {
+            blockTagNames: options.blockTagNames,
+            atomicSelector: options.atomicSelector,
+            atomicLength: options.atomicLength
+        };
+
+        this.blockTagNames = new Set(options.blockTagNames ?? TextModel.DEFAULT_BLOCK_TAG_NAMES);
+
+        this.offsetUnit = options.offsetUnit ?? 'utf16';
+        if (!OffsetConverter.OFFSET_UNITS.includes(this.offsetUnit)) {
+            throw new TypeError('Unsupported offset unit: ' + this.offsetUnit);
+        }
+
+        // 为 undefined 时表示根据根元素是否 contenteditable 决定
+        this.preserveSelection = options.preserveSelection;
+        this.getSelection = options.getSelection ?? (() => this.documentObject.getSelection?.() ?? null);
+
+        // 是否正在保护光标位置，用于避免嵌套的方法调用重复地保存及恢复光标位置
+        this.isPreservingSelection = false;
+
+        this.strict = options.strict ?? false;
+
+        this.cacheTextModel = options.cacheTextModel ?? false;
+        this.textModelKey = JSON.stringify(this.textModelOptions);
+
+        // 正在更新（而不是让其失效）的缓存的文本模型，详细请见 _applyValidatedRanges() 方法
+        this.patchingTextModel = null;
     }
 
     /**
@@ -30,116 +140,523 @@ class TextStylization {
      *
      * 如果待风格化的根元素是一个 contenteditable 的元素，文本被风格化之后，
      * 因为可能会插入了一些新的容器元素（<span class="className">），或者某些
-     * Text Node 被打断，所以光标的位置有可能会发生改变，这时需要使用
-     * jscontenteditableelementtextselection 库的 setSelection() 方法将
-     * 原先的光标位置重新设置一下。
+     * Text Node 被打断，所以光标的位置有可能会发生改变。当前方法会在修改 DOM
+     * 之前以文本位置的形式记录光标（包括反向选中的文本）的位置，修改之后再
+     * 自动恢复，详细请见构造函数的 preserveSelection 选项。
      *
-     * 即假设原先光标位置的值是 {start:5, end:5}，文本被风格之后，光标的位置
-     * 有可能发生变化，这时使用 setSelection({start:5, end:5}) 方法即可把
-     * 光标恢复到原先的位置。
+     * textSelections 会先经过 validateRanges() 方法的验证、排序、裁剪及合并，
+     * 所以它们可以是无序的、相互重叠的。TextSelection 的位置也可以是行列位置，
+     * 比如 {start: {line: 1, column: 0}, end: {line: 1, column: 4}}。
      *
      * @param {*} textSelections
-     * @returns 返回所有受影响的（或者新建的）节点元素，以每一个 TextSelection 分组。
+     * @param {*} decorations 可选参数。一个装饰描述对象，或者一个跟 textSelections
+     *     一一对应的装饰描述对象的数组（其中的元素可以为 null）。它们会跟构造函数
+     *     指定的默认装饰合并。
+     * @returns 返回所有受影响的（或者新建的）节点元素，以每一个 TextSelection 分组，
+     *     被合并的 TextSelection 共用同一个分组。返回的数组还有一个 outcomes 属性，
+     *     即每一个 TextSelection 的处理结果，详细请见 validateRanges() 方法。
+     */
+    applyToRanges(textSelections, decorations) {
+        return this._preserveSelection(() => this._applyToRanges(textSelections, decorations));
+    }
+
+    /**
+     * applyToRanges() 方法的异步版本，用于大量的范围，以免长时间阻塞主线程。
+     *
+     * - 范围经过一次验证（及分割为片段）之后被分为多批，从最后一批开始风格化，每一批之后如果
+     *   当前时间片已经用完，则让出主线程，然后在下一个时间片继续；
+     * - 每一批的片段的个数会根据上一批所用的时间自动调整；
+     * - 取消时已经风格化的范围保持不变（可以调用 clear() 方法移除）；
+     * - 每一批都会重新获取文本模型，建议同时使用构造函数的 cacheTextModel 选项；
+     * - 因为跨越了多个时间片，所以不能在 transact() 方法的回调函数里使用，期间
+     *   也不能有风格器之外的代码修改 DOM。
+     *
+     * @param {*} textSelections 跟 applyToRanges() 方法的一样。
+     * @param {*} decorations 跟 applyToRanges() 方法的一样。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - timeBudget: 每个时间片的时间预算（毫秒），默认为 8；
+     *     - signal: 用于取消的 AbortSignal，取消之后返回的 Promise 会被拒绝，
+     *       原因为 signal.reason；
+     *     - now: 获取当前时间（毫秒）的函数，默认为 performance.now()；
+     *     - schedule: 让出主线程的函数，参数是一个回调函数，默认为
+     *       setTimeout(callback, 0)。
+     * @returns 返回 Promise，它的值跟 applyToRanges() 方法的返回值一样。
      */
-    applyToRanges(textSelections) {
+    async applyToRangesAsync(textSelections, decorations, options = {}) {
+        let timeBudget = options.timeBudget ?? 8;
+        let signal = options.signal ?? null;
+        let now = options.now ?? (() => (global.performance ?? Date).now());
+        let schedule = options.schedule ?? (callback => setTimeout(callback, 0));
+
+        let throwIfAborted = () => {
+            if (signal !== null && signal.aborted) {
+                throw signal.reason ?? new Error('The operation was aborted.');
+            }
+        };
 
-        // 返回的结果，内容是所有受影响的（或者新建的）节点元素，以每一个 TextSelection 分组。
-        let affectedNodeGroups = [];
+        throwIfAborted();
 
         if (textSelections.length === 0) {
+            let affectedNodeGroups = [];
+            affectedNodeGroups.outcomes = [];
             return affectedNodeGroups;
         }
 
-        // 获取每一个 TextSelection 范围之内的所有 Node
-        let nodeAndOffsetGroups = this._findNodeAndOffsetGroups(textSelections);
+        let { ranges, outcomes } = this._validateRanges(textSelections, decorations, this._createTextModel());
+        let segments = TextStylization._toSegments(ranges);
 
-        // 更新每一组 nodeAndOffsets 的样式
-        //
-        // - 必须从最后一组 nodeAndOffsets 开始更新 Node，因为组和组之间有可能发生在
-        //   同一个 Node 之内，更新样式时会截断它。
-        for (let idx = nodeAndOffsetGroups.length - 1; idx >= 0; idx--) {
-            let affectedNodes = [];
-            affectedNodeGroups.push(affectedNodes);
-
-            let nodeAndOffsets = nodeAndOffsetGroups[idx];
-            if (nodeAndOffsets.length === 2 &&
-                nodeAndOffsets[0].node === nodeAndOffsets[1].node) {
-                // 当前组只有两个 NodeAndOffset，而且 Node 相同，说明
-                // 待更新的是某一个 Node
-                let nodes = this._applyToNode(
-                    nodeAndOffsets[0].node,
-                    nodeAndOffsets[0].offset,
-                    nodeAndOffsets[1].offset);
-
-                affectedNodes.push(...nodes);
-
-            } else if (nodeAndOffsets.length >= 2) {
-                // 当前组包含多个 Node，从最后一个开始更新
-
-                // 末尾节点
-                let tailIdx = nodeAndOffsets.length - 1;
-                let tailNodeAndOffset = nodeAndOffsets[tailIdx];
-                if (tailNodeAndOffset.offset > 0) {
-                    // 这里需要判断 offset 值是否大于 0，因为最后一个 NodeAndOffset
-                    // 有可能是无效的，比如有如下文本内容：
-                    // 'abcde\n12345'
-                    //
-                    // 假设 'abcde'、'\n' 和 '12345' 分别属于 3 个不同的（DOM）Node，
-                    // 当 TextSelection 的范围是 'cde' 时，则
-                    // 第 1 个 NodeAndOffset 的内容是 'cde' 且 offset = 2
-                    // 第 2 个 NodeAndOffset 的内容是 '\n' 且 offset = 0
-                    // 所以第 2 个 NodeAndOffset 是无需更新的，跳过即可。
-                    let nodes = this._applyToNode(
-                        tailNodeAndOffset.node,
-                        0,
-                        tailNodeAndOffset.offset);
-
-                    affectedNodes.push(...nodes);
+        let affectedNodeGroups = ranges.map(() => []);
+        let batchSize = 1;
+        let endIndex = segments.length;
+
+        while (endIndex > 0) {
+            let sliceStartTime = now();
+
+            do {
+                let startIndex = Math.max(0, endIndex - batchSize);
+                let batchStartTime = now();
+
+                this._preserveSelection(() => this._applySegments(segments.slice(startIndex, endIndex),
+                    ranges, this._createTextModel(), affectedNodeGroups));
+
+                // 一批所用的时间远少于时间预算时加倍，超出时减半。
+                let elapsedTime = now() - batchStartTime;
+                if (elapsedTime * 4 < timeBudget) {
+                    batchSize *= 2;
+                } else if (elapsedTime > timeBudget) {
+                    batchSize = Math.max(1, Math.floor(batchSize / 2));
                 }
 
-                // 所有中间节点
-                for (let idx = nodeAndOffsets.length - 2; idx > 0; idx--) {
-                    // https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeValue
-                    // https://developer.mozilla.org/en-US/docs/Web/API/Node/textContent
-                    //
-                    // Element 的 nodeValue = null
-                    // Text Node 的 nodeValue = 文本
+                endIndex = startIndex;
+            } while (endIndex > 0 && now() - sliceStartTime < timeBudget);
+
+            if (endIndex > 0) {
+                await new Promise(resolve => schedule(resolve));
+                throwIfAborted();
+            }
+        }
+
+        // 因为是从最后一个片段开始更新的，所以需要反转每一组节点
+        for (let affectedNodes of affectedNodeGroups) {
+            affectedNodes.reverse();
+        }
+
+        if (this.autoMerge) {
+            affectedNodeGroups = this._preserveSelection(() => this._autoNormalize(affectedNodeGroups));
+        }
+
+        return this._toInputGroups(affectedNodeGroups, outcomes);
+    }
+
+    /**
+     * applyToRanges() 方法的实现（不保存及恢复光标的位置）
+     */
+    _applyToRanges(textSelections, decorations) {
+
+        // 返回的结果，内容是所有受影响的（或者新建的）节点元素，以每一个范围分组。
+        let affectedNodeGroups = [];
+
+        if (textSelections.length === 0) {
+            affectedNodeGroups.outcomes = [];
+            return affectedNodeGroups;
+        }
+
+        let textModel = this._createTextModel();
+        let { ranges, outcomes } = this._validateRanges(textSelections, decorations, textModel);
+
+        affectedNodeGroups = this._applyValidatedRanges(ranges, textModel);
+
+        if (this.autoMerge) {
+            affectedNodeGroups = this._autoNormalize(affectedNodeGroups);
+        }
+
+        return this._toInputGroups(affectedNodeGroups, outcomes);
+    }
+
+    /**
+     * 风格化已经过 _validateRanges() 方法处理的范围
+     *
+     * @param {*} ranges
+     * @param {*} textModel 跟当前 DOM 对应的文本模型
+     * @returns 返回所有受影响的（或者新建的）节点元素，以每一个范围分组。
+     */
+    _applyValidatedRanges(ranges, textModel) {
+        let affectedNodeGroups = ranges.map(() => []);
+        this._applySegments(TextStylization._toSegments(ranges), ranges, textModel, affectedNodeGroups);
+
+        // 因为是从最后一个片段开始更新的，所以需要反转每一组节点
+        for (let affectedNodes of affectedNodeGroups) {
+            affectedNodes.reverse();
+        }
+
+        return affectedNodeGroups;
+    }
+
+    /**
+     * 风格化片段，详细请见 _toSegments() 方法
+     *
+     * @param {*} segments 由 _toSegments() 方法产生的片段（或者其中连续的一部分）
+     * @param {*} ranges 片段所属的范围
+     * @param {*} textModel 跟当前 DOM 对应的文本模型
+     * @param {*} affectedNodeGroups 以每一个范围分组的受影响的节点，新的节点会按
+     *     从后往前的顺序追加到所属的范围的分组。
+     */
+    _applySegments(segments, ranges, textModel, affectedNodeGroups) {
+        // 获取每一个片段之内的所有 Node
+        let nodeAndOffsetGroups = this._findNodeAndOffsetGroups(segments, textModel);
+
+        // 如果文本模型是缓存的，则截断 Text Node 时更新它，而不是让它失效。
+        // 使用其他选项的缓存的文本模型无法更新，所以直接丢弃。
+        if (this._getCachedTextModel() === textModel) {
+            this.patchingTextModel = textModel;
+            textModelCache.set(this.rootElement, new Map([[this.textModelKey, textModel]]));
+        }
+
+        try {
+            // 更新每一组 nodeAndOffsets 的样式
+            //
+            // - 必须从最后一组 nodeAndOffsets 开始更新 Node，因为组和组之间有可能发生在
+            //   同一个 Node 之内，更新样式时会截断它。
+            for (let idx = nodeAndOffsetGroups.length - 1; idx >= 0; idx--) {
+                let rangeIndices = segments[idx].rangeIndices;
+                let decorations = rangeIndices.map(rangeIndex => this._resolveDecoration(ranges[rangeIndex].decoration));
+
+                // 当前组包含的 Node 有可能有多个，从最后一个开始更新
+                let nodeRanges = this._findNodeRanges(nodeAndOffsetGroups[idx]);
+                for (let rangeIdx = nodeRanges.length - 1; rangeIdx >= 0; rangeIdx--) {
+                    let { node, startOffset, endOffset } = nodeRanges[rangeIdx];
+
+                    if (decorations.length === 1) {
+                        let nodes = this._applyToNode(node, startOffset, endOffset, decorations[0]);
+                        affectedNodeGroups[rangeIndices[0]].push(...nodes);
+                        continue;
+                    }
 
-                    if (nodeAndOffsets[idx].node.nodeValue === '\n') {
-                        // 跳过换行符节点
+                    if (startOffset === endOffset) {
                         continue;
                     }
 
-                    let node = this._applyToWholeNode(nodeAndOffsets[idx].node);
-                    affectedNodes.push(node);
+                    // 多个范围重叠的片段：先把片段的文本分割为单独的 Text Node，
+                    // 然后从外到内逐一添加每一个范围的装饰。
+                    let textNode = this._splitTextNode(node, startOffset, endOffset);
+                    for (let decorationIdx = 0; decorationIdx < decorations.length; decorationIdx++) {
+                        let affectedNode = this._applyToWholeNode(textNode, decorations[decorationIdx]);
+                        affectedNodeGroups[rangeIndices[decorationIdx]].push(affectedNode);
+                        this._checkPatchedElement(affectedNode);
+                    }
                 }
+            }
+        } finally {
+            this.patchingTextModel = null;
+        }
+    }
 
-                // 头节点
-                let headNodeAndOffset = nodeAndOffsets[0];
-                let nodes = this._applyToNode(
-                    headNodeAndOffset.node,
-                    headNodeAndOffset.offset,
-                    headNodeAndOffset.node.nodeValue.length);
+    /**
+     * 把（装饰不同的范围之间有可能重叠的）范围分割为互不重叠的片段
+     *
+     * 片段的边界是所有范围的开始和结束位置，每一个片段记录覆盖它的范围，
+     * 比如范围 [0, 5) 和 [3, 8) 会被分割为 [0, 3)、[3, 5) 和 [5, 8)，其中
+     * [3, 5) 同时属于两个范围。没有重叠的范围即一个片段。
+     *
+     * @param {*} ranges 由 _validateRanges() 方法返回的范围
+     * @returns 返回 {start, end, rangeIndices} 对象的数组，按位置先后排列，
+     *     rangeIndices 按从外到内排列，即开始位置较前的（开始位置相同时较长的）范围在前。
+     */
+    static _toSegments(ranges) {
+        let boundaries = [...new Set(ranges.flatMap(({ start, end }) => [start, end]))]
+            .sort((left, right) => left - right);
+        let boundaryIndices = new Map(boundaries.map((boundary, idx) => [boundary, idx]));
+
+        let rangeIndexGroups = boundaries.map(() => []);
+        for (let rangeIndex = 0; rangeIndex < ranges.length; rangeIndex++) {
+            let { start, end } = ranges[rangeIndex];
+            for (let idx = boundaryIndices.get(start); boundaries[idx] < end; idx++) {
+                rangeIndexGroups[idx].push(rangeIndex);
+            }
+        }
 
-                affectedNodes.push(...nodes);
+        let segments = [];
+        for (let idx = 0; idx < boundaries.length - 1; idx++) {
+            let rangeIndices = rangeIndexGroups[idx];
+            if (rangeIndices.length === 0) {
+                continue;
             }
 
-            // 因为上面是从尾部开始更新的，所以需要反转 affectedNodes
-            affectedNodes.reverse();
+            rangeIndices.sort((left, right) =>
+                ranges[left].start - ranges[right].start || ranges[right].end - ranges[left].end);
+            segments.push({ start: boundaries[idx], end: boundaries[idx + 1], rangeIndices: rangeIndices });
         }
 
-        // 因为上面是从最后一组开始更新的，所以需要反转 allAffectedNodes
-        affectedNodeGroups.reverse();
-        return affectedNodeGroups;
+        return segments;
+    }
+
+    /**
+     * 验证、排序、裁剪及合并 TextSelection
+     *
+     * - TextSelection 的 start 和 end 可以是文本位置，也可以是行列位置，即
+     *   {line, column} 对象（详细请见 LineIndex）；
+     * - 开始位置大于结束位置，或者位置不是整数（或者行号无效）的 TextSelection
+     *   是无效的，会被忽略；
+     * - 超出文本范围（比如负数，或者大于文本的长度）的位置会被裁剪；
+     * - 相互重叠的、并且装饰相同（按结构比较，即 classNames、attributes、tagName
+     *   及 createElement 相同）的 TextSelection 会被合并为一个范围（相邻的
+     *   TextSelection 不会被合并）；
+     * - 装饰不同的范围之间仍然有可能重叠，风格化时重叠的部分会被分割为单独的
+     *   片段，同时添加每一个范围的装饰（从外到内嵌套，或者合并到同一个容器元素）；
+     * - 在严格模式下，无效的或者超出文本范围的 TextSelection 会导致抛出
+     *   TextStylizationRangeError，这时 DOM 不会被修改。
+     *
+     * 当前方法不会修改 DOM，applyToRanges() 和 clearRanges() 方法会自动调用它。
+     *
+     * @param {*} textSelections
+     * @param {*} decorations 可选参数，跟 applyToRanges() 方法的一样。
+     * @returns 返回一个包含如下属性的对象：
+     *     - ranges: 经过处理的范围，{start, end, decoration} 对象的数组，按开始位置先后
+     *       排列，装饰相同的范围之间不会重叠；
+     *     - outcomes: 跟 textSelections 一一对应的处理结果，{textSelection, status,
+     *       start, end, clamped, rangeIndex} 对象的数组，其中：
+     *       - textSelection: 原始的 TextSelection；
+     *       - status: 'applied'、'empty' 或者 'invalid'，'empty' 表示范围之内
+     *         没有可以风格化的文本（比如长度为 0，或者只有换行符等虚拟字符）；
+     *       - start、end: 经过裁剪之后的文本位置，无效的 TextSelection 为 null；
+     *       - clamped: 位置是否被裁剪过；
+     *       - rangeIndex: 所属的 ranges 的索引，被合并的 TextSelection 有相同的索引，
+     *         无效的 TextSelection 为 -1。
+     */
+    validateRanges(textSelections, decorations) {
+        return this._validateRanges(textSelections, decorations, this._createTextModel());
+    }
+
+    /**
+     * validateRanges() 方法的实现，使用已构建的文本模型
+     */
+    _validateRanges(textSelections, decorations, textModel) {
+        let textLength = new OffsetConverter(textModel.text, this.offsetUnit).length;
+
+        // 只在有行列位置时才构建行索引
+        let lineIndex = null;
+        let toOffset = (position) => {
+            if (typeof position !== 'object' || position === null) {
+                return position;
+            }
+
+            lineIndex = lineIndex ?? new LineIndex(textModel.text, this.offsetUnit);
+            return lineIndex.positionToOffset(position);
+        };
+
+        let outcomes = [];
+        let candidates = [];
+
+        for (let idx = 0; idx < textSelections.length; idx++) {
+            let textSelection = textSelections[idx];
+            let start = toOffset(textSelection.start);
+            let end = toOffset(textSelection.end);
+
+            let outcome = {
+                textSelection: textSelection,
+                status: 'invalid',
+                start: null,
+                end: null,
+                clamped: false,
+                rangeIndex: -1
+            };
+            outcomes.push(outcome);
+
+            let isValid = Number.isInteger(start) && Number.isInteger(end) && start <= end;
+            let isInRange = isValid && start >= 0 && end <= textLength;
+
+            if (this.strict && !isInRange) {
+                throw new TextStylizationRangeError(
+                    (isValid ? 'Text selection out of range: ' : 'Invalid text selection: ') +
+                    '{start: ' + start + ', end: ' + end + '}, text length: ' + textLength,
+                    textSelection, textLength);
+            }
+
+            if (!isValid) {
+                continue;
+            }
+
+            outcome.start = Math.min(Math.max(start, 0), textLength);
+            outcome.end = Math.min(Math.max(end, 0), textLength);
+            outcome.clamped = !isInRange;
+            outcome.status = (outcome.start < outcome.end) ? 'applied' : 'empty';
+
+            if (outcome.status === 'applied') {
+                candidates.push({
+                    outcome: outcome,
+                    decoration: Array.isArray(decorations) ? decorations[idx] : decorations
+                });
+            }
+        }
+
+        // 排序（稳定的），然后合并相互重叠的、并且装饰相同的范围。
+        // 装饰不同的范围即使重叠也不会被合并。
+        candidates.sort((left, right) => left.outcome.start - right.outcome.start);
+
+        let ranges = [];
+
+        // 每一种装饰的最后一个范围的索引，因为已按开始位置排序，所以只有它
+        // 才有可能跟下一个装饰相同的范围重叠。
+        let lastRangeIndices = new Map();
+        let functionIds = new Map();
+
+        for (let { outcome, decoration } of candidates) {
+            let decorationKey = TextStylization._getDecorationKey(decoration, functionIds);
+            let lastRangeIndex = lastRangeIndices.get(decorationKey);
+            let lastRange = ranges[lastRangeIndex];
+
+            if (lastRange !== undefined && lastRange.end > outcome.start) {
+                lastRange.end = Math.max(lastRange.end, outcome.end);
+                outcome.rangeIndex = lastRangeIndex;
+                continue;
+            }
+
+            outcome.rangeIndex = ranges.length;
+            lastRangeIndices.set(decorationKey, ranges.length);
+            ranges.push({ start: outcome.start, end: outcome.end, decoration: decoration });
+        }
+
+        return { ranges: ranges, outcomes: outcomes };
+    }
+
+    /**
+     * 获取装饰描述对象的结构的键，结构相同的装饰描述对象的键相同。
+     *
+     * @param {*} decoration 装饰描述对象，可以为 null 或者 undefined。
+     * @param {*} functionIds createElement 函数到序号的 Map，函数只能按引用比较。
+     * @returns
+     */
+    static _getDecorationKey(decoration, functionIds) {
+        decoration = decoration ?? {};
+
+        let createElement = decoration.createElement ?? null;
+        if (createElement !== null && !functionIds.has(createElement)) {
+            functionIds.set(createElement, functionIds.size);
+        }
+
+        let attributes = Object.entries(decoration.attributes ?? {})
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => [name, String(value)])
+            .sort(([left], [right]) => (left < right) ? -1 : (left > right) ? 1 : 0);
+
+        return JSON.stringify([
+            decoration.classNames ?? [],
+            attributes,
+            decoration.tagName ?? null,
+            (createElement === null) ? null : functionIds.get(createElement)
+        ]);
+    }
+
+    /**
+     * 把以每一个范围分组的节点转换为以每一个 TextSelection 分组
+     *
+     * 没有节点的分组所对应的 TextSelection 的处理结果会被标记为 'empty'。
+     *
+     * @param {*} nodeGroups 以 validateRanges() 方法返回的每一个范围分组的节点
+     * @param {*} outcomes validateRanges() 方法返回的处理结果
+     * @returns 返回以每一个 TextSelection 分组的节点，数组的 outcomes 属性即为处理结果。
+     */
+    _toInputGroups(nodeGroups, outcomes) {
+        let inputGroups = outcomes.map(outcome => {
+            if (outcome.rangeIndex === -1) {
+                return [];
+            }
+
+            let nodes = nodeGroups[outcome.rangeIndex];
+            if (nodes.length === 0 && outcome.status === 'applied') {
+                outcome.status = 'empty';
+            }
+            return nodes;
+        });
+
+        inputGroups.outcomes = outcomes;
+        return inputGroups;
+    }
+
+    /**
+     * 把一组 NodeAndOffset 转换为每一个 Node 的待更新范围
+     *
+     * @param {*} nodeAndOffsets 一个 TextSelection 的所有 NodeAndOffset
+     * @returns 返回 {node, startOffset, endOffset} 对象的数组，按文档顺序排列，
+     *     其中 startOffset 是索引包括的，endOffset 是索引不包括的。
+     */
+    _findNodeRanges(nodeAndOffsets) {
+        let nodeRanges = [];
+
+        if (nodeAndOffsets.length === 2 &&
+            nodeAndOffsets[0].node === nodeAndOffsets[1].node) {
+            // 当前组只有两个 NodeAndOffset，而且 Node 相同，说明
+            // 待更新的是某一个 Node
+            nodeRanges.push({
+                node: nodeAndOffsets[0].node,
+                startOffset: nodeAndOffsets[0].offset,
+                endOffset: nodeAndOffsets[1].offset
+            });
+
+        } else if (nodeAndOffsets.length >= 2) {
+            // 当前组包含多个 Node
+
+            // 头节点
+            let headNodeAndOffset = nodeAndOffsets[0];
+            nodeRanges.push({
+                node: headNodeAndOffset.node,
+                startOffset: headNodeAndOffset.offset,
+                endOffset: headNodeAndOffset.node.nodeValue.length
+            });
+
+            // 所有中间节点
+            for (let idx = 1; idx < nodeAndOffsets.length - 1; idx++) {
+                // https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeValue
+                // https://developer.mozilla.org/en-US/docs/Web/API/Node/textContent
+                //
+                // Element 的 nodeValue = null
+                // Text Node 的 nodeValue = 文本
+
+                let node = nodeAndOffsets[idx].node;
+                if (node.nodeValue === '\n') {
+                    // 跳过换行符节点
+                    continue;
+                }
+
+                nodeRanges.push({
+                    node: node,
+                    startOffset: 0,
+                    endOffset: node.nodeValue.length
+                });
+            }
+
+            // 末尾节点
+            let tailNodeAndOffset = nodeAndOffsets[nodeAndOffsets.length - 1];
+            if (tailNodeAndOffset.offset > 0) {
+                // 这里需要判断 offset 值是否大于 0，因为最后一个 NodeAndOffset
+                // 有可能是无效的，比如有如下文本内容：
+                // 'abcde\n12345'
+                //
+                // 假设 'abcde'、'\n' 和 '12345' 分别属于 3 个不同的（DOM）Node，
+                // 当 TextSelection 的范围是 'cde' 时，则
+                // 第 1 个 NodeAndOffset 的内容是 'cde' 且 offset = 2
+                // 第 2 个 NodeAndOffset 的内容是 '\n' 且 offset = 0
+                // 所以第 2 个 NodeAndOffset 是无需更新的，跳过即可。
+                nodeRanges.push({
+                    node: tailNodeAndOffset.node,
+                    startOffset: 0,
+                    endOffset: tailNodeAndOffset.offset
+                });
+            }
+        }
+
+        return nodeRanges;
     }
 
     /**
      * 搜索每一个 TextSelection 范围之内的节点及偏移值
      *
      * @param {*} textSelections
-     * @returns 返回一个 NodeAndOffset 对象的数组的集合（数组的数组）
+     * @param {*} textModel 可选参数。根元素的文本模型。
+     * @returns 返回一个 NodeAndOffset 对象的数组的集合（数组的数组），跟 textSelections
+     *     一一对应。
      */
-    _findNodeAndOffsetGroups(textSelections) {
+    _findNodeAndOffsetGroups(textSelections, textModel = this._createTextModel()) {
         // 返回的结果，一个 NodeAndOffset 对象的数组的集合（数组的数组）
         let nodeAndOffsetGroups = [];
 
@@ -151,109 +668,193 @@ class TextStylization {
         // - 一个组里可能有两个 NodeAndOffset，但其实它们都是同一个 Node，只是
         //   偏移值（offset）不同而已。即某个 TextSelection 落在某个 Node 的
         //   中间位置。
-
-        // 一个 TextSelection 的所有 NodeAndOffset
-        let nodeAndOffsets = [];
-        nodeAndOffsetGroups.push(nodeAndOffsets);
-
-        // 为了简化程序，将 TextSelection 的 start 和 end 都放进一个 position 数组里，
-        // 然后共用同一个搜索过程。
+        // - 无效的 TextSelection（比如范围超出了文本的长度，或者范围之内只有
+        //   换行符等虚拟字符）对应的组是空的。
+        //
         // 详细原理请见 jscontenteditableelementtextselection 包的
         // findNodeAndOffsets() 方法。
         // https://github.com/hemashushu/jscontenteditableelementtextselection
 
-        let positions = [];
-        for (let textSelection of textSelections) {
-            positions.push(textSelection.start);
-            positions.push(textSelection.end);
-        }
+        let textLength = textModel.text.length;
+        let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
 
-        let position = positions.shift(); // current searching postition.
-        let workerPosStart = 0; // current node start position, equals to 'offset', include
-        let workerPosEnd = 0; // current node end position, equals to 'offset', include
+        for (let textSelection of textSelections) {
+            // 一个 TextSelection 的所有 NodeAndOffset
+            let nodeAndOffsets = [];
+            nodeAndOffsetGroups.push(nodeAndOffsets);
 
-        // 一个标记，用来断定当前是在搜索 start position 还是 end position
-        let isFindingTextSelectionEndPos = false;
+            if (textSelection.start > textSelection.end) {
+                continue;
+            }
 
-        let treeWalker = this.documentObject.createTreeWalker(this.rootElement, this.nodeFilterObject.SHOW_TEXT);
-        while (treeWalker.nextNode()) {
-            let currentNode = treeWalker.currentNode;
-            let nodeValue = currentNode.nodeValue;
+            // 把位置转换为 UTF-16 位置（即 Text Node 的偏移值的单位），
+            // 开始位置向前对齐，结束位置向后对齐，以免截断代理对或者字素簇。
+            let start = offsetConverter.toUtf16(textSelection.start);
+            let end = (textSelection.start === textSelection.end) ?
+                start : offsetConverter.toUtf16(textSelection.end, true);
+
+            // 开始位置是字符包括的，如果它落在换行符等虚拟字符上，则使用下一个
+            // Text Node 的开头。
+            let head = textModel.findStart(start);
+            if (head === null) {
+                continue;
+            }
 
-            let nodeValueLength = (nodeValue === null) ? 0 : nodeValue.length;
-            workerPosEnd = workerPosStart + nodeValueLength - 1; // 因为 end position 对应的字符也是被包含的，所以需要减去 1。
+            if (start === end) {
+                nodeAndOffsets.push(new NodeAndOffset(head.node, head.offset));
+                nodeAndOffsets.push(new NodeAndOffset(head.node, head.offset));
+                continue;
+            }
 
-            if (isFindingTextSelectionEndPos && position > workerPosEnd) {
-                // 当前节点位于当前 TextSelection 范围之内
-                // 添加到组里。
-                nodeAndOffsets.push(new NodeAndOffset(currentNode, 0));
+            // 结束位置是字符不包括的，如果它落在换行符等虚拟字符上，则使用上一个
+            // Text Node 的末尾。
+            //
+            // 有可能 end 的值超出了文本的范围，对于这种情况，直接使用文本
+            // 的实际长度代替请求的位置。
+            let tail = textModel.findEnd(Math.min(end, textLength));
+            if (tail === null || tail.index < head.index) {
+                continue;
             }
 
-            // 检查当前搜索位置是否在当前节点之内
-            while (position >= workerPosStart && position <= workerPosEnd) {
-                // 添加到结果
-                nodeAndOffsets.push(new NodeAndOffset(currentNode, position - workerPosStart));
+            nodeAndOffsets.push(new NodeAndOffset(head.node, head.offset));
 
-                if (isFindingTextSelectionEndPos) {
-                    // 已完成当前 TextSelection 的搜索
-                    isFindingTextSelectionEndPos = false;
+            for (let index = head.index + 1; index < tail.index; index++) {
+                nodeAndOffsets.push(new NodeAndOffset(textModel.textSegments[index].node, 0));
+            }
 
-                    // 准备搜索下一个 TextSelection
-                    nodeAndOffsets = [];
-                    nodeAndOffsetGroups.push(nodeAndOffsets);
+            nodeAndOffsets.push(new NodeAndOffset(tail.node, tail.offset));
+        }
 
-                } else {
-                    isFindingTextSelectionEndPos = true;
-                }
+        return nodeAndOffsetGroups;
+    }
 
-                if (positions.length === 0) {
-                    // 已经到达待搜索位置的尽头，返回结果
-                    return nodeAndOffsetGroups;
-                }
+    /**
+     * 创建根元素的文本模型
+     *
+     * @returns
+     */
+    _createTextModel() {
+        let textModelOptions = { ...this.textModelOptions, environment: this.environment };
+        if (!this.cacheTextModel) {
+            return new TextModel(this.rootElement, this.documentObject, this.nodeFilterObject,
+                textModelOptions);
+        }
 
-                // 检查下一个搜索位置是否也在当前节点之内
-                position = positions.shift();
+        let textModel = this._getCachedTextModel();
+        if (textModel === null) {
+            textModel = new TextModel(this.rootElement, this.documentObject, this.nodeFilterObject,
+                textModelOptions);
+
+            let textModels = textModelCache.get(this.rootElement);
+            if (textModels === undefined) {
+                textModels = new Map();
+                textModelCache.set(this.rootElement, textModels);
             }
+            textModels.set(this.textModelKey, textModel);
 
-            // 搜索下一个节点
-            workerPosStart += nodeValueLength;
+        } else {
+            textModel.applySplits();
         }
 
-        // 为什么程序会运行到这里呢？
-        //
-        // 1. 因为上面 workerPosEnd 被设定为字符包括
-        //    （什么是字符包括？比如函数 String.substring(start, end) 当中的
-        //    start 是字符包括的，而 end是不包括的。），
-        //    而 endPosition 参数是位置值，有可能其值刚好是文本的末尾，比如：
-        //
-        //    0 1 2 3 4 5 <-- endPosition: 5
-        //     a b[c d e] <-- text
-        //     0 1 2 3 4  <-- workerPosStart/workerPosEnd，相当于字符索引（offset）
-        //
-        //    上面的搜索只能到达字母 “e”，即 offset 4，而 endPosition 5 因为大于 4 而
-        //    导致来到这里。
-        //    至于 workerPosEnd 为什么要设定为字符包含，而不是类似 substring() 函数的 end
-        //    设定为索引值 +1，因为比较 startPosition 时是字符包含的，所以为简化程序，
-        //    在比较时都设定为字符包含。
-        //
-        // 2. 有可能 endPosition 的值超出了文本的范围，对于这种情况，当前方法直接忽略，使用文本
-        //    的实际长度代替请求的位置。
+        return textModel;
+    }
+
+    /**
+     * 获取缓存的文本模型（可能还有尚未应用的分割记录）
+     *
+     * @returns 没有缓存时返回 null。
+     */
+    _getCachedTextModel() {
+        return textModelCache.get(this.rootElement)?.get(this.textModelKey) ?? null;
+    }
+
+    /**
+     * 让根元素的缓存的文本模型失效
+     *
+     * 当根元素之内的 DOM 被风格器之外的代码修改之后（比如用户的输入），需要调用
+     * 当前方法，详细请见构造函数的 cacheTextModel 选项。同一个根元素上的所有风格器
+     * 共用缓存，所以只需调用其中一个风格器的当前方法。
+     */
+    invalidateTextModel() {
+        textModelCache.delete(this.rootElement);
+    }
 
-        let lastNode = treeWalker.currentNode;
-        let lastNodeValue = lastNode.nodeValue;
-        let lastNodeValueLength = (lastNodeValue === null) ? 0 : lastNode.nodeValue.length;
-        let lastOffset = lastNodeValueLength; // exclude
-        let lastNodeAndOffset = new NodeAndOffset(lastNode, lastOffset);
+    /**
+     * 执行一个会修改 DOM 的函数，并在执行前后保存及恢复光标的位置
+     *
+     * - 光标的 anchor 和 focus 分别以文本位置的形式保存，所以反向选中（即 focus
+     *   在 anchor 之前）的文本也能被正确地恢复；
+     * - 位于根元素之外的 anchor 或者 focus 保持不变；
+     * - 嵌套调用时只在最外层保存及恢复。
+     *
+     * @param {*} callback
+     * @returns 返回 callback 的返回值
+     */
+    _preserveSelection(callback) {
+        if (this.isPreservingSelection || !this._shouldPreserveSelection()) {
+            return callback();
+        }
 
-        // 上面的 lastOffset 是字符 **不包括** 的，所以不需要减去 1。
-        // 至于为什么要设定为字符不包括，因为当前方法主要用来获取一对光标/位置然后
-        // 用于构建一个 DOM Range，对于 Range，第 2 个位置是字符不包含的。
+        let selection = this.getSelection();
+        if (selection === null || selection === undefined || selection.rangeCount === 0 ||
+            selection.anchorNode === null || selection.focusNode === null) {
+            return callback();
+        }
 
-        nodeAndOffsets.push(lastNodeAndOffset);
+        let anchorNode = selection.anchorNode;
+        let anchorOffset = selection.anchorOffset;
+        let focusNode = selection.focusNode;
+        let focusOffset = selection.focusOffset;
+        let isAnchorInside = this.rootElement.contains(anchorNode);
+        let isFocusInside = this.rootElement.contains(focusNode);
 
-        // 如果到这里还有未搜索的 TextSelection，应该是它们的范围超出了
-        // 文本的长度，直接忽略它们即可。
-        return nodeAndOffsetGroups;
+        if (!isAnchorInside && !isFocusInside) {
+            return callback();
+        }
+
+        let textModel = this._createTextModel();
+        let anchorPosition = isAnchorInside ? textModel.getPosition(anchorNode, anchorOffset) : -1;
+        let focusPosition = isFocusInside ? textModel.getPosition(focusNode, focusOffset) : -1;
+
+        this.isPreservingSelection = true;
+        try {
+            return callback();
+        } finally {
+            this.isPreservingSelection = false;
+
+            let newTextModel = this._createTextModel();
+            let anchor = isAnchorInside ?
+                newTextModel.findCaret(anchorPosition) :
+                { node: anchorNode, offset: anchorOffset };
+            let focus = isFocusInside ?
+                newTextModel.findCaret(focusPosition) :
+                { node: focusNode, offset: focusOffset };
+
+            // 根元素之内已经没有 Text Node 时，保持浏览器自动调整的位置
+            if (anchor !== null && focus !== null) {
+                selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+            }
+        }
+    }
+
+    /**
+     * 判断是否需要保存及恢复光标的位置
+     *
+     * @returns
+     */
+    _shouldPreserveSelection() {
+        if (this.preserveSelection !== undefined) {
+            return this.preserveSelection;
+        }
+
+        if (typeof this.rootElement.isContentEditable === 'boolean') {
+            return this.rootElement.isContentEditable;
+        }
+
+        // 非浏览器环境（比如 domino）没有 isContentEditable 属性
+        let editableElement = this.rootElement.closest('[contenteditable]');
+        return editableElement !== null &&
+            editableElement.getAttribute('contenteditable') !== 'false';
     }
 
     /**
@@ -262,9 +863,10 @@ class TextStylization {
      * @param {*} node 目标 Node
      * @param {*} startOffset 开始位置偏移值（索引包括）
      * @param {*} endOffset 结束位置偏移值（索引不包括）
+     * @param {*} decoration 由 _resolveDecoration() 方法合并之后的装饰描述对象
      * @returns 返回受到影响的或者新建的 Text Node 容器元素
      */
-    _applyToNode(node, startOffset, endOffset) {
+    _applyToNode(node, startOffset, endOffset, decoration) {
         let affectedNodes = [];
 
         if (startOffset === endOffset) {
@@ -275,8 +877,9 @@ class TextStylization {
         let nodeValue = node.nodeValue;
         if (startOffset === 0 && endOffset === nodeValue.length) {
             // 整个 Node 都需要更新
-            let affectedNode = this._applyToWholeNode(node);
+            let affectedNode = this._applyToWholeNode(node, decoration);
             affectedNodes.push(affectedNode);
+            this._checkPatchedElement(affectedNode);
 
         } else {
             let parentNode = node.parentNode;
@@ -285,72 +888,113 @@ class TextStylization {
                 // 只有前半部分 Node 需要更新
 
                 // 创建一个装载 Node 前半部分内容的容器元素
-                let headNodeContainer = this.documentObject.createElement('span');
-                headNodeContainer.classList.add(this.className);
+                let headNodeContainer = this._createContainerElement(decoration);
 
                 let headNodeValue = nodeValue.substring(startOffset, endOffset);
                 // https://developer.mozilla.org/en-US/docs/Web/API/Document/createTextNode
                 let headTextNode = this.documentObject.createTextNode(headNodeValue);
-                headNodeContainer.appendChild(headTextNode);
-                parentNode.insertBefore(headNodeContainer, node);
+                this._insertBefore(headNodeContainer, headTextNode, null);
+                this._insertBefore(parentNode, headNodeContainer, node);
 
                 affectedNodes.push(headNodeContainer);
 
                 // 更新原 Node 后半部分的文本内容
                 let originalTextNodeValueRemain = nodeValue.substring(endOffset, nodeValue.length);
-                node.nodeValue = originalTextNodeValueRemain;
+                this._setNodeValue(node, originalTextNodeValueRemain);
+
+                this.patchingTextModel?.recordSplit(node, endOffset, headTextNode, true);
+                this._checkPatchedElement(headNodeContainer);
 
             } else {
                 // 中间或者后半部分需要更新
 
                 // 先更新前半部分 Node 的文本内容
                 let headNodeValue = nodeValue.substring(0, startOffset);
-                node.nodeValue = headNodeValue;
+                this._setNodeValue(node, headNodeValue);
 
                 // nextSibling 属性有可能返回 null，正好给 insertBefore() 函数使用
                 let nextSiblingNode = node.nextSibling;
 
                 // 创建中间部分 Text Node 的容器元素
-                let middleNodeContainer = this.documentObject.createElement('span');
-                middleNodeContainer.classList.add(this.className);
+                let middleNodeContainer = this._createContainerElement(decoration);
 
                 let middleNodeValue = nodeValue.substring(startOffset, endOffset);
                 // https://developer.mozilla.org/en-US/docs/Web/API/Document/createTextNode
                 let middleTextNode = this.documentObject.createTextNode(middleNodeValue);
-                middleNodeContainer.appendChild(middleTextNode);
-                parentNode.insertBefore(middleNodeContainer, nextSiblingNode);
+                this._insertBefore(middleNodeContainer, middleTextNode, null);
+                this._insertBefore(parentNode, middleNodeContainer, nextSiblingNode);
 
                 affectedNodes.push(middleNodeContainer);
 
+                this.patchingTextModel?.recordSplit(node, startOffset, middleTextNode, false);
+
                 // 检查是否存在剩余的部分 Node
                 if (endOffset < nodeValue.length) {
                     // 创建尾部 Text Node
                     let tailTextNodeValue = nodeValue.substring(endOffset, nodeValue.length);
                     let tailTextNode = this.documentObject.createTextNode(tailTextNodeValue);
-                    parentNode.insertBefore(tailTextNode, nextSiblingNode);
+                    this._insertBefore(parentNode, tailTextNode, nextSiblingNode);
+
+                    this.patchingTextModel?.recordSplit(middleTextNode, endOffset - startOffset, tailTextNode, false);
                 }
+
+                this._checkPatchedElement(middleNodeContainer);
             }
         }
 
         return affectedNodes;
     }
 
+    /**
+     * 检查容器元素（或者被添加了装饰的父元素）是否改变了文本模型，
+     * 比如装饰指定的标签名称是块元素或者 <br>，属性使它成为了原子元素，或者
+     * 自定义的容器元素包含其他子节点，
+     * 这时只截断 Text Node 的记录不足以更新缓存的文本模型，需要让它失效。
+     *
+     * @param {*} element
+     */
+    _checkPatchedElement(element) {
+        let textModel = this.patchingTextModel;
+        if (textModel === null) {
+            return;
+        }
+
+        // 自定义的容器元素有可能包含其他子节点
+        if (textModel.isBlockElement(element) ||
+            textModel.isAtomicElement(element) ||
+            element.localName === 'br' ||
+            element.childNodes.length !== 1) {
+            this.patchingTextModel = null;
+            this.invalidateTextModel();
+        }
+    }
+
     /**
      * 更新整个 Node
      *
      * @param {*} node
+     * @param {*} decoration 由 _resolveDecoration() 方法合并之后的装饰描述对象
      * @returns
      */
-    _applyToWholeNode(node) {
+    _applyToWholeNode(node, decoration) {
         let parentNode = node.parentNode;
         let affectedNode = null;
 
         // https://developer.mozilla.org/en-US/docs/Web/API/Node/childNodes
         // https://developer.mozilla.org/en-US/docs/Web/API/NodeList
-        if (parentNode.childNodes.length === 1) {
+        if (parentNode.childNodes.length === 1 &&
+            !decoration.isCustomElement &&
+            parentNode !== this.rootElement &&
+            !this.blockTagNames.has(parentNode.localName)) {
             // Node 的父节点只有当前这个子节点，
             // 所以只需往父节点添加指定 class name 即完成任务。
-            parentNode.classList.add(this.className);
+            //
+            // 以下情况不能借用父节点，需要跟下面一样把 Text Node 放在新的容器里：
+            // - 装饰描述对象指定了容器元素的标签名称或者构建函数；
+            // - 父节点是根元素（clear() 方法不会搜索根元素）；
+            // - 父节点是块元素（比如 <p>），往块元素添加样式会影响整个块，
+            //   而不仅仅是文本。
+            this._decorateElement(parentNode, decoration, false);
             affectedNode = parentNode;
 
         } else {
@@ -369,14 +1013,13 @@ class TextStylization {
             // https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement
             // https://developer.mozilla.org/en-US/docs/Web/API/Node/appendChild
             // https://developer.mozilla.org/en-US/docs/Web/API/Node/insertBefore
-            let textNodeContainer = this.documentObject.createElement('span');
-            textNodeContainer.classList.add(this.className);
+            let textNodeContainer = this._createContainerElement(decoration);
 
             // 把容器元素插入到原先 Node 的地方。
-            parentNode.insertBefore(textNodeContainer, node);
+            this._insertBefore(parentNode, textNodeContainer, node);
 
             // 将当前 Text Node 移动到容器里
-            textNodeContainer.appendChild(node);
+            this._insertBefore(textNodeContainer, node, null);
 
             affectedNode = textNodeContainer;
         }
@@ -385,74 +1028,1928 @@ class TextStylization {
     }
 
     /**
-     * 移除所有元素当前风格器指定的 class name
+     * 合并构造函数指定的默认装饰和指定的装饰
      *
-     * @returns 返回受影响的元素的个数，如果没有元素受到影响，则返回 0。
+     * @param {*} decoration 装饰描述对象，可以为 null 或者 undefined。
+     * @returns 返回一个包含 classNames、attributes、tagName、createElement 以及
+     *     isCustomElement 属性的对象。
      */
-    clear() {
-        // see also:
-        // https://developer.mozilla.org/en-US/docs/Web/API/Element/querySelectorAll
-        // https://developer.mozilla.org/en-US/docs/Web/API/NodeList
-        let spanElementList = this.rootElement.querySelectorAll('span.' + this.className);
-        let spanElementCount = spanElementList.length;
-        for (let idx = spanElementCount - 1; idx >= 0; idx--) {
-            this.clearElement(spanElementList[idx]);
-        }
+    _resolveDecoration(decoration) {
+        let defaultDecoration = this.decoration;
+        decoration = decoration ?? {};
+
+        let tagName = decoration.tagName ?? defaultDecoration.tagName ?? 'span';
+        let createElement = decoration.createElement ?? defaultDecoration.createElement ?? null;
+
+        return {
+            classNames: [
+                ...(defaultDecoration.classNames ?? []),
+                ...(decoration.classNames ?? [])],
+            attributes: {
+                ...defaultDecoration.attributes,
+                ...decoration.attributes
+            },
+            tagName: tagName,
+            createElement: createElement,
+            isCustomElement: (tagName.toLowerCase() !== 'span' || createElement !== null)
+        };
+    }
 
-        return spanElementCount;
+    /**
+     * 创建容器元素
+     *
+     * @param {*} decoration 由 _resolveDecoration() 方法合并之后的装饰描述对象
+     * @returns
+     */
+    _createContainerElement(decoration) {
+        // https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement
+        let element = (decoration.createElement !== null) ?
+            decoration.createElement(this.documentObject, decoration) :
+            this.documentObject.createElement(decoration.tagName);
+
+        this._decorateElement(element, decoration, true);
+        return element;
     }
 
     /**
-     * 移除指定元素的指定 class name
+     * 往元素添加当前风格器的 class name 以及装饰描述对象指定的 class name 和属性，
+     * 并记录所作的修改。
      *
      * @param {*} element
+     * @param {*} decoration 由 _resolveDecoration() 方法合并之后的装饰描述对象
+     * @param {*} isContainer 元素是否由当前风格器创建
      */
-    clearElement(element) {
-        // element 有可能只有一个 class name，也可能有多个 class name。
-        //
-        // - 只有一个 class name 时，将 span 之内的文本移出，然后删除 span 元素，
-        //   比如：
-        //   <span class="parent"><span class="style1">Hello</span></span>
-        //   变为
-        //   <span class="parent">Hello</span>
-        //
-        // - 有多个 class name 时，只移除当前风格器指定的 class name，
-        //   比如：
-        //   <span class="parent"><span class="style1 other-style">Hello</span></span>
-        //   变为
-        //   <span class="parent"><span class="other-style">Hello</span></span>
-
-        if (element.className === this.className &&
-            element.childNodes.length === 1 &&
-            element.firstChild.nodeType === Node.TEXT_NODE) {
-            // 只有一个 class name，移出文本，移除 span 元素
+    _decorateElement(element, decoration, isContainer) {
+        this._recordAttributes(element);
+        this._recordDecorationRecords(element);
+
+        let classNameRecords = decorationRecords.get(element);
+        if (classNameRecords === undefined) {
+            classNameRecords = new Map();
+            decorationRecords.set(element, classNameRecords);
+        }
 
-            let parentNode = element.parentNode;
-            // https://developer.mozilla.org/en-US/docs/Web/API/Node/firstChild
-            let textNode = element.firstChild;
+        let record = classNameRecords.get(this.className);
+        if (record === undefined) {
+            // 同一个元素有可能会被同一个风格器多次添加装饰，比如对同一个范围
+            // 多次调用 applyToRanges()，这时需要保留第一次的记录。
+            record = {
+                isContainer: isContainer,
+                classNames: [],
+                attributes: new Map() // 属性名称到原先的属性值（不存在时为 null）
+            };
+            classNameRecords.set(this.className, record);
+        }
 
-            parentNode.insertBefore(textNode, element);
-            parentNode.removeChild(element);
+        element.classList.add(this.className);
 
-            // 合并前后 text node
-            let previousSiblingNode = textNode.previousSibling;
-            if (previousSiblingNode !== null && previousSiblingNode.nodeType === Node.TEXT_NODE) {
-                textNode.nodeValue = previousSiblingNode.nodeValue + textNode.nodeValue;
-                parentNode.removeChild(previousSiblingNode);
+        for (let name of decoration.classNames) {
+            if (!element.classList.contains(name)) {
+                element.classList.add(name);
+                record.classNames.push(name);
             }
+        }
 
-            let nextSiblingNode = textNode.nextSibling;
-            if (nextSiblingNode !== null && nextSiblingNode.nodeType === Node.TEXT_NODE) {
-                textNode.nodeValue += nextSiblingNode.nodeValue;
-                parentNode.removeChild(nextSiblingNode);
+        for (let [name, value] of Object.entries(decoration.attributes)) {
+            if (value === null || value === undefined || name === 'class') {
+                continue;
             }
 
-        } else {
-            // 有多个 class name，只移除当前风格器指定的 class name
-            element.classList.remove(this.className);
+            if (!record.attributes.has(name)) {
+                record.attributes.set(name, element.getAttribute(name));
+            }
+            element.setAttribute(name, String(value));
         }
     }
 
+    /**
+     * 移除所有元素当前风格器指定的 class name
+     *
+     * 跟 applyToRanges() 方法一样，光标的位置会被自动恢复。
+     *
+     * @returns 返回受影响的元素的个数，如果没有元素受到影响，则返回 0。
+     */
+    clear() {
+        return this._preserveSelection(() => this._clear());
+    }
+
+    /**
+     * clear() 方法的实现（不保存及恢复光标的位置）
+     */
+    _clear() {
+        // see also:
+        // https://developer.mozilla.org/en-US/docs/Web/API/Element/querySelectorAll
+        // https://developer.mozilla.org/en-US/docs/Web/API/NodeList
+        //
+        // 容器元素有可能不是 <span>（比如装饰描述对象指定了 tagName），
+        // 所以这里只按 class name 搜索。
+        let spanElementList = this.rootElement.querySelectorAll('.' + this.className);
+        let spanElementCount = spanElementList.length;
+        for (let idx = spanElementCount - 1; idx >= 0; idx--) {
+            this._clearElement(spanElementList[idx], new Map());
+        }
+
+        if (this.autoMerge && spanElementCount > 0) {
+            this.normalize();
+        }
+
+        return spanElementCount;
+    }
+
+    /**
+     * 移除指定元素的指定 class name
+     *
+     * - 如果元素已经没有其他 class name，并且它是容器元素，则它的所有子节点（包括
+     *   元素子节点）会被移出，然后移除该元素；
+     * - 没有装饰记录的元素（比如由其他程序生成的 HTML），只要是不包含其他属性的
+     *   span 元素就被视为容器元素，比如 <span class="foo"><b>a</b>b</span> 变为
+     *   <b>a</b>b；
+     * - 跟 applyToRanges() 方法一样，光标的位置会被自动恢复。
+     *
+     * @param {*} element
+     */
+    clearElement(element) {
+        this._preserveSelection(() => this._clearElementAndNormalize(element));
+    }
+
+    /**
+     * clearElement() 方法的实现（不保存及恢复光标的位置）
+     */
+    _clearElementAndNormalize(element) {
+        let parentNode = element.parentNode;
+        this._clearElement(element, new Map());
+
+        if (this.autoMerge) {
+            this._autoNormalize([[parentNode]]);
+        }
+    }
+
+    /**
+     * 移除指定范围之内的文本的当前风格器指定的 class name
+     *
+     * - 范围之外的文本保持原来的样式，即如果一个容器元素只有部分文本位于范围之内，
+     *   则该容器元素会被分割为有样式和无样式的几个部分，比如移除范围 'bc' 的样式：
+     *   <span class="foo">abcd</span>
+     *   变为
+     *   <span class="foo">a</span>bc<span class="foo">d</span>
+     * - 被移除样式的文本会跟前后相邻的 Text Node 合并。
+     * - 跟 applyToRanges() 方法一样，光标的位置会被自动恢复。
+     *
+     * @param {*} textSelections 跟 applyToRanges() 方法一样，会先经过 validateRanges()
+     *     方法的处理。
+     * @returns 返回所有被移除样式的 Text Node（合并之后的），以每一个 TextSelection 分组。
+     *     返回的数组还有一个 outcomes 属性，即每一个 TextSelection 的处理结果，
+     *     其中 'empty' 表示范围之内没有文本被移除样式。
+     */
+    clearRanges(textSelections) {
+        return this._preserveSelection(() => this._clearRanges(textSelections));
+    }
+
+    /**
+     * clearRanges() 方法的实现（不保存及恢复光标的位置）
+     */
+    _clearRanges(textSelections) {
+
+        // 返回的结果，内容是所有被移除样式的 Text Node，以每一个范围分组。
+        let clearedNodeGroups = [];
+
+        if (textSelections.length === 0) {
+            clearedNodeGroups.outcomes = [];
+            return clearedNodeGroups;
+        }
+
+        // 记录被合并（移除）的 Text Node 及合并之后的 Text Node
+        let mergedNodeMap = new Map();
+
+        let textModel = this._createTextModel();
+        let { ranges, outcomes } = this._validateRanges(textSelections, undefined, textModel);
+        let nodeAndOffsetGroups = this._findNodeAndOffsetGroups(ranges, textModel);
+
+        // 跟 applyToRanges() 方法一样，必须从最后一组开始更新
+        for (let idx = nodeAndOffsetGroups.length - 1; idx >= 0; idx--) {
+            let clearedNodes = [];
+            clearedNodeGroups.push(clearedNodes);
+
+            let nodeRanges = this._findNodeRanges(nodeAndOffsetGroups[idx]);
+            for (let rangeIdx = nodeRanges.length - 1; rangeIdx >= 0; rangeIdx--) {
+                let { node, startOffset, endOffset } = nodeRanges[rangeIdx];
+                if (startOffset === endOffset) {
+                    continue;
+                }
+
+                let textNode = this._clearNode(node, startOffset, endOffset, mergedNodeMap);
+                if (textNode !== null) {
+                    clearedNodes.push(textNode);
+                }
+            }
+
+            clearedNodes.reverse();
+        }
+
+        clearedNodeGroups.reverse();
+
+        // 被移除样式的 Text Node 有可能在后续的处理过程中被合并到别的 Text Node，
+        // 所以需要替换为合并之后的 Text Node。
+        clearedNodeGroups = clearedNodeGroups.map(clearedNodes => {
+            let survivingNodes = clearedNodes.map(node => this._findSurvivingNode(node, mergedNodeMap));
+            return [...new Set(survivingNodes)];
+        });
+
+        if (this.autoMerge) {
+            clearedNodeGroups = this._autoNormalize(clearedNodeGroups);
+        }
+
+        return this._toInputGroups(clearedNodeGroups, outcomes);
+    }
+
+    /**
+     * 移除 Text Node 指定范围之内的文本的样式
+     *
+     * @param {*} node 目标 Text Node
+     * @param {*} startOffset 开始位置偏移值（索引包括）
+     * @param {*} endOffset 结束位置偏移值（索引不包括）
+     * @param {*} mergedNodeMap
+     * @returns 返回被移除样式的 Text Node，如果指定范围的文本本来就没有当前
+     *     风格器的样式，则返回 null。
+     */
+    _clearNode(node, startOffset, endOffset, mergedNodeMap) {
+        // 寻找所有拥有当前风格器的 class name 的祖先元素（不包括根元素）
+        let styledElements = [];
+        for (let element = node.parentNode;
+            element !== this.rootElement && element !== null;
+            element = element.parentNode) {
+            if (element.classList.contains(this.className)) {
+                styledElements.push(element);
+            }
+        }
+
+        if (styledElements.length === 0) {
+            return null;
+        }
+
+        let textNode = this._splitTextNode(node, startOffset, endOffset);
+
+        // 把 Text Node 从最外层的样式元素里 “孤立” 出来，即从 Text Node 开始，
+        // 逐层把它的前后兄弟节点移到父元素的副本里，使得最外层的样式元素之内
+        // 只剩下 Text Node（以及它的各层父元素）。比如孤立 'bc'：
+        //
+        // <span class="foo">a<span class="bar">bcd</span></span>
+        //
+        // 会变为：
+        //
+        // <span class="foo">a</span>
+        // <span class="foo"><span class="bar">bc</span></span>
+        // <span class="foo"><span class="bar">d</span></span>
+        let outermostElement = styledElements[styledElements.length - 1];
+        let childNode = textNode;
+        let parentElement = textNode.parentNode;
+        while (true) {
+            this._splitElementAround(parentElement, childNode);
+            if (parentElement === outermostElement) {
+                break;
+            }
+            childNode = parentElement;
+            parentElement = parentElement.parentNode;
+        }
+
+        // 从内到外移除样式
+        for (let element of styledElements) {
+            this._clearElement(element, mergedNodeMap);
+        }
+
+        return textNode;
+    }
+
+    /**
+     * 截断 Text Node，使得指定范围的文本成为一个独立的 Text Node
+     *
+     * - 原 Text Node 保留头部的文本，以保证其他（位置较前的）NodeAndOffset
+     *   仍然有效。
+     *
+     * @param {*} node
+     * @param {*} startOffset 开始位置偏移值（索引包括）
+     * @param {*} endOffset 结束位置偏移值（索引不包括）
+     * @returns 返回包含指定范围文本的 Text Node
+     */
+    _splitTextNode(node, startOffset, endOffset) {
+        let nodeValue = node.nodeValue;
+        let parentNode = node.parentNode;
+        let nextSiblingNode = node.nextSibling;
+
+        let middleTextNode = node;
+
+        if (startOffset > 0) {
+            this._setNodeValue(node, nodeValue.substring(0, startOffset));
+            middleTextNode = this.documentObject.createTextNode(nodeValue.substring(startOffset, endOffset));
+            this._insertBefore(parentNode, middleTextNode, nextSiblingNode);
+            this.patchingTextModel?.recordSplit(node, startOffset, middleTextNode, false);
+        } else if (endOffset < nodeValue.length) {
+            this._setNodeValue(middleTextNode, nodeValue.substring(0, endOffset));
+        }
+
+        if (endOffset < nodeValue.length) {
+            let tailTextNode = this.documentObject.createTextNode(nodeValue.substring(endOffset));
+            this._insertBefore(parentNode, tailTextNode, nextSiblingNode);
+            this.patchingTextModel?.recordSplit(middleTextNode, endOffset - startOffset, tailTextNode, false);
+        }
+
+        return middleTextNode;
+    }
+
+    /**
+     * 以指定的子节点为界分割元素
+     *
+     * 子节点之前的兄弟节点被移到元素的一个副本（插入到元素之前），之后的兄弟节点
+     * 被移到另一个副本（插入到元素之后），然后元素之内就只剩下指定的子节点。
+     *
+     * @param {*} element
+     * @param {*} childNode
+     */
+    _splitElementAround(element, childNode) {
+        let parentNode = element.parentNode;
+
+        if (childNode.previousSibling !== null) {
+            // https://developer.mozilla.org/en-US/docs/Web/API/Node/cloneNode
+            let headElement = element.cloneNode(false);
+            this._copyDecorationRecords(element, headElement);
+            while (element.firstChild !== childNode) {
+                this._insertBefore(headElement, element.firstChild, null);
+            }
+            this._insertBefore(parentNode, headElement, element);
+        }
+
+        if (childNode.nextSibling !== null) {
+            let tailElement = element.cloneNode(false);
+            this._copyDecorationRecords(element, tailElement);
+            while (childNode.nextSibling !== null) {
+                this._insertBefore(tailElement, childNode.nextSibling, null);
+            }
+            this._insertBefore(parentNode, tailElement, element.nextSibling);
+        }
+    }
+
+    /**
+     * 复制元素的装饰记录
+     *
+     * @param {*} sourceElement
+     * @param {*} targetElement
+     */
+    _copyDecorationRecords(sourceElement, targetElement) {
+        let classNameRecords = decorationRecords.get(sourceElement);
+        if (classNameRecords === undefined) {
+            return;
+        }
+
+        this._recordDecorationRecords(targetElement);
+        decorationRecords.set(targetElement, TextStylization._cloneDecorationRecords(classNameRecords));
+    }
+
+    /**
+     * 复制一个元素的所有装饰记录
+     *
+     * @param {*} classNameRecords 以风格器的 class name 为键、以修改记录为值的 Map
+     * @returns
+     */
+    static _cloneDecorationRecords(classNameRecords) {
+        let copiedRecords = new Map();
+        for (let [className, record] of classNameRecords) {
+            copiedRecords.set(className, {
+                isContainer: record.isContainer,
+                classNames: [...record.classNames],
+                attributes: new Map(record.attributes)
+            });
+        }
+        return copiedRecords;
+    }
+
+    /**
+     * 移除指定元素的指定 class name
+     *
+     * @param {*} element
+     * @param {*} mergedNodeMap 用于记录被合并（移除）的 Text Node 及合并之后的 Text Node
+     */
+    _clearElement(element, mergedNodeMap) {
+        // element 有可能只有一个 class name，也可能有多个 class name。
+        //
+        // - 只有一个 class name 时，将 span 之内的节点移出，然后删除 span 元素，
+        //   比如：
+        //   <span class="parent"><span class="style1">Hello</span></span>
+        //   变为
+        //   <span class="parent">Hello</span>
+        //
+        // - 有多个 class name 时，只移除当前风格器指定的 class name，
+        //   比如：
+        //   <span class="parent"><span class="style1 other-style">Hello</span></span>
+        //   变为
+        //   <span class="parent"><span class="other-style">Hello</span></span>
+        //
+        // 对于有装饰记录的元素，还需要移除装饰添加的 class name 以及恢复原先的属性值。
+        // 当前风格器创建的容器元素（不一定是 span）如果已经没有其他 class name，
+        // 则同样会被移除。
+
+        this._recordAttributes(element);
+        this._recordDecorationRecords(element);
+
+        let classNameRecords = decorationRecords.get(element);
+        let record = classNameRecords?.get(this.className);
+
+        element.classList.remove(this.className);
+
+        if (record !== undefined) {
+            classNameRecords.delete(this.className);
+
+            for (let name of record.classNames) {
+                element.classList.remove(name);
+            }
+
+            for (let [name, value] of record.attributes) {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            }
+        }
+
+        if (element.classList.length > 0) {
+            return;
+        }
+
+        element.removeAttribute('class');
+
+        // 没有装饰记录的元素（比如由其他程序生成的），只有不包含其他属性的
+        // span 元素才被视为容器元素。
+        let isContainer = (record !== undefined) ?
+            record.isContainer :
+            (element.localName === 'span' && element.attributes.length === 0);
+
+        if (!isContainer) {
+            // 不是当前风格器创建的容器元素（比如 _applyToWholeNode() 方法把 class name
+            // 添加到已存在的父元素），只移除 class 属性。
+            return;
+        }
+
+        // 移出所有子节点，移除容器元素
+
+        let parentNode = element.parentNode;
+        // https://developer.mozilla.org/en-US/docs/Web/API/Node/firstChild
+        let firstChildNode = element.firstChild;
+        let lastChildNode = element.lastChild;
+
+        while (element.firstChild !== null) {
+            this._insertBefore(parentNode, element.firstChild, element);
+        }
+        this._removeChild(element);
+
+        // 合并前后 text node
+        if (lastChildNode !== null) {
+            this._mergeAdjacentTextNodes(lastChildNode, mergedNodeMap);
+        }
+
+        if (firstChildNode !== null && firstChildNode !== lastChildNode) {
+            this._mergeAdjacentTextNodes(firstChildNode, mergedNodeMap);
+        }
+    }
+
+    /**
+     * 合并指定 Text Node 及其前后相邻的 Text Node
+     *
+     * - 后面的 Text Node 合并到前面的 Text Node，以保证位置较前的 Node
+     *   引用仍然有效。
+     *
+     * @param {*} node
+     * @param {*} mergedNodeMap 用于记录被合并（移除）的 Text Node 及合并之后的 Text Node
+     */
+    _mergeAdjacentTextNodes(node, mergedNodeMap) {
+        if (node.nodeType !== node.TEXT_NODE) {
+            return;
+        }
+
+        let parentNode = node.parentNode;
+
+        let nextSiblingNode = node.nextSibling;
+        if (nextSiblingNode !== null && nextSiblingNode.nodeType === node.TEXT_NODE) {
+            this._setNodeValue(node, node.nodeValue + nextSiblingNode.nodeValue);
+            this._removeChild(nextSiblingNode);
+            mergedNodeMap.set(nextSiblingNode, node);
+        }
+
+        let previousSiblingNode = node.previousSibling;
+        if (previousSiblingNode !== null && previousSiblingNode.nodeType === node.TEXT_NODE) {
+            this._setNodeValue(previousSiblingNode, previousSiblingNode.nodeValue + node.nodeValue);
+            this._removeChild(node);
+            mergedNodeMap.set(node, previousSiblingNode);
+        }
+    }
+
+    /**
+     * 插入或者移动节点，并记录到当前事务
+     *
+     * @param {*} parentNode
+     * @param {*} node
+     * @param {*} referenceNode 为 null 时即插入到末尾
+     */
+    _insertBefore(parentNode, node, referenceNode) {
+        this._beforeMutation();
+        TextStylization._getActiveTransaction()?.recordMove(node);
+        parentNode.insertBefore(node, referenceNode);
+    }
+
+    /**
+     * 移除节点，并记录到当前事务
+     *
+     * @param {*} node
+     */
+    _removeChild(node) {
+        this._beforeMutation();
+        TextStylization._getActiveTransaction()?.recordMove(node);
+        node.parentNode.removeChild(node);
+    }
+
+    /**
+     * 更新 Text Node 的文本内容，并记录到当前事务
+     *
+     * @param {*} node
+     * @param {*} nodeValue
+     */
+    _setNodeValue(node, nodeValue) {
+        this._beforeMutation();
+        TextStylization._getActiveTransaction()?.recordNodeValue(node);
+        node.nodeValue = nodeValue;
+    }
+
+    /**
+     * 在修改元素的属性之前，把元素的所有属性记录到当前事务
+     *
+     * @param {*} element
+     */
+    _recordAttributes(element) {
+        this._beforeMutation();
+        TextStylization._getActiveTransaction()?.recordAttributes(element);
+    }
+
+    /**
+     * 在修改 DOM 之前，让缓存的文本模型失效
+     *
+     * - 正在更新缓存的文本模型时（详细请见 _applyValidatedRanges() 方法），
+     *   由调用者记录修改，不需要让它失效；
+     * - 在事务里修改 DOM 时，还要记录一个让缓存失效的操作，因为撤销及重做
+     *   也会修改 DOM。
+     */
+    _beforeMutation() {
+        if (this.patchingTextModel === null) {
+            this.invalidateTextModel();
+        }
+
+        let transaction = TextStylization._getActiveTransaction();
+        if (transaction === null) {
+            return;
+        }
+
+        let rootElements = invalidationRecords.get(transaction);
+        if (rootElements === undefined) {
+            rootElements = new WeakSet();
+            invalidationRecords.set(transaction, rootElements);
+        }
+
+        if (!rootElements.has(this.rootElement)) {
+            rootElements.add(this.rootElement);
+
+            let rootElement = this.rootElement;
+            transaction.recordState(
+                () => undefined,
+                () => textModelCache.delete(rootElement));
+        }
+    }
+
+    /**
+     * 在修改元素的装饰记录之前，把它记录到当前事务
+     *
+     * @param {*} element
+     */
+    _recordDecorationRecords(element) {
+        TextStylization._getActiveTransaction()?.recordState(
+            () => {
+                let classNameRecords = decorationRecords.get(element);
+                return (classNameRecords === undefined) ?
+                    undefined :
+                    TextStylization._cloneDecorationRecords(classNameRecords);
+            },
+            classNameRecords => {
+                if (classNameRecords === undefined) {
+                    decorationRecords.delete(element);
+                } else {
+                    decorationRecords.set(element, classNameRecords);
+                }
+            });
+    }
+
+    /**
+     * 获取最内层的正在进行的事务
+     *
+     * @returns 没有正在进行的事务时返回 null。
+     */
+    static _getActiveTransaction() {
+        return activeTransactions[activeTransactions.length - 1] ?? null;
+    }
+
+    /**
+     * 获取 Text Node 经过（可能的多次）合并之后的 Text Node
+     *
+     * @param {*} node
+     * @param {*} mergedNodeMap
+     * @returns
+     */
+    _findSurvivingNode(node, mergedNodeMap) {
+        while (mergedNodeMap.has(node)) {
+            node = mergedNodeMap.get(node);
+        }
+        return node;
+    }
+
+    /**
+     * 增量更新当前风格器的风格化
+     *
+     * 比较新的范围和当前已风格化的范围（即 getRanges() 方法的返回值），只移除
+     * 已经不存在的范围的样式，只风格化新增加的范围，而保持不变的范围则不会被改动。
+     * 适用于需要频繁地重新风格化整段文本的场合，比如语法高亮。
+     *
+     * - 当前已风格化的范围是从 DOM 获取的，所以即使用户在风格化之后修改了文本
+     *   （比如在某个范围之前输入了文字），也能得到正确的比较结果。
+     * - 新的范围会先经过 validateRanges() 方法的处理，然后被展开为跟 getRanges()
+     *   方法的结果一样的形式，即互不重叠的、相邻的并且 class name 相同的会被合并的
+     *   范围，其中重叠的部分的 class name 是所有重叠的范围的 class name 的并集。
+     *   所以使用同样的参数重复调用时不会有任何改动。
+     * - 范围的比较只考虑开始位置、结束位置以及 class name，装饰描述对象的属性
+     *   （attributes）不参与比较。
+     * - 只有样式改变了的文本才会被改动，比如大小改变了的范围只会移除或者风格化
+     *   它的边缘的文本，新风格化的文本的容器元素会跟相邻的相同的容器元素合并。
+     *
+     * @param {*} textSelections 新的范围
+     * @param {*} decorations 可选参数。跟 applyToRanges() 方法的同名参数一样。
+     * @returns 返回一个包含如下属性的对象：
+     *     - addedRanges、removedRanges、unchangedRanges: 新增加的、被移除的以及
+     *       保持不变的范围，均为 {start, end, classes} 对象的数组；
+     *     - addedNodeGroups: 新增加的范围之内被风格化的文本所影响的（或者新建的，
+     *       以及合并之后的）节点元素，以每一个范围分组；
+     *     - removedNodeGroups: 被移除的范围之内被移除样式的 Text Node，以每一个范围分组；
+     *     - unchangedNodeGroups: 保持不变的范围所在的容器元素，以每一个范围分组。
+     */
+    update(textSelections, decorations) {
+        return this._preserveSelection(() => this._update(textSelections, decorations));
+    }
+
+    /**
+     * update() 方法的实现（不保存及恢复光标的位置）
+     */
+    _update(textSelections, decorations) {
+        // 跟 applyToRanges() 方法一样验证、裁剪及合并新的范围
+        let { ranges } = this._validateRanges(textSelections, decorations, this._createTextModel());
+        let newRanges = ranges.map(({ start, end, decoration }) => ({
+            start: start,
+            end: end,
+            classNames: [this.className, ...this._resolveDecoration(decoration).classNames],
+            decoration: decoration
+        }));
+
+        let toKey = (range) => range.start + ':' + range.end + ':' + range.classes.join(' ');
+
+        let currentRanges = this.getRanges();
+        let flattenedRanges = TextStylization._flattenRanges(newRanges);
+        let currentRangeKeys = new Set(currentRanges.map(toKey));
+        let newRangeKeys = new Set(flattenedRanges.map(toKey));
+
+        let removedRanges = currentRanges.filter(range => !newRangeKeys.has(toKey(range)));
+        let unchangedRanges = currentRanges.filter(range => newRangeKeys.has(toKey(range)));
+        let addedRanges = flattenedRanges.filter(range => !currentRangeKeys.has(toKey(range)));
+
+        // 找出样式改变了的文本，即新旧两组范围的所有边界之间的、classes 不同的区间。
+        // 每一个区间只属于（最多）一个被移除的范围以及（最多）一个新增加的范围。
+        let boundaries = [...new Set([...removedRanges, ...addedRanges].flatMap(({ start, end }) => [start, end]))]
+            .sort((left, right) => left - right);
+
+        let clearedSelections = [];
+        let clearedRangeIndices = [];
+        let appliedSelections = [];
+        let appliedDecorations = [];
+        let appliedRangeIndices = [];
+
+        let removedIdx = 0;
+        let addedIdx = 0;
+        for (let idx = 0; idx < boundaries.length - 1; idx++) {
+            let start = boundaries[idx];
+            let end = boundaries[idx + 1];
+
+            while (removedIdx < removedRanges.length && removedRanges[removedIdx].end <= start) {
+                removedIdx++;
+            }
+            while (addedIdx < addedRanges.length && addedRanges[addedIdx].end <= start) {
+                addedIdx++;
+            }
+
+            let removedRange = (removedRanges[removedIdx]?.start <= start) ? removedRanges[removedIdx] : null;
+            let addedRange = (addedRanges[addedIdx]?.start <= start) ? addedRanges[addedIdx] : null;
+
+            // 被移除的范围跟新增加的范围在这个区间之内的 classes 相同，即文本的样式没有改变
+            if (removedRange !== null && addedRange !== null &&
+                removedRange.classes.join(' ') === addedRange.classes.join(' ')) {
+                continue;
+            }
+
+            if (removedRange !== null) {
+                // 合并属于同一个范围的相邻区间
+                let lastSelection = clearedSelections[clearedSelections.length - 1];
+                if (lastSelection !== undefined && lastSelection.end === start &&
+                    clearedRangeIndices[clearedRangeIndices.length - 1] === removedIdx) {
+                    lastSelection.end = end;
+                } else {
+                    clearedSelections.push({ start, end });
+                    clearedRangeIndices.push(removedIdx);
+                }
+            }
+
+            if (addedRange !== null) {
+                for (let range of addedRange.ranges) {
+                    if (range.start < end && range.end > start) {
+                        appliedSelections.push({ start: Math.max(range.start, start), end: Math.min(range.end, end) });
+                        appliedDecorations.push(range.decoration);
+                        appliedRangeIndices.push(addedIdx);
+                    }
+                }
+            }
+        }
+
+        // 先移除旧的样式，再风格化新的样式。因为文本内容不会改变，所以
+        // 两个步骤之间各个区间的位置仍然有效。
+        let removedNodeGroups = removedRanges.map(() => []);
+        if (clearedSelections.length > 0) {
+            let clearedNodeGroups = this.clearRanges(clearedSelections);
+            for (let idx = 0; idx < clearedSelections.length; idx++) {
+                removedNodeGroups[clearedRangeIndices[idx]].push(...clearedNodeGroups[idx]);
+            }
+        }
+
+        let addedNodeGroups = addedRanges.map(() => []);
+        if (appliedSelections.length > 0) {
+            let appliedNodeGroups = this.applyToRanges(appliedSelections, appliedDecorations);
+            for (let idx = 0; idx < appliedSelections.length; idx++) {
+                addedNodeGroups[appliedRangeIndices[idx]].push(...appliedNodeGroups[idx]);
+            }
+
+            // 新风格化的文本（比如范围扩大时增加的部分）跟相邻的相同的容器元素合并
+            if (!this.autoMerge) {
+                addedNodeGroups = this._autoNormalize(addedNodeGroups);
+            }
+        }
+
+        addedNodeGroups = addedNodeGroups.map(nodes => [...new Set(nodes)]);
+        removedNodeGroups = removedNodeGroups.map(nodes => [...new Set(nodes)].filter(node => node.parentNode !== null));
+
+        // 保持不变的范围所在的容器元素需要在上面的步骤完成之后再获取，因为
+        // 容器元素有可能在上面的步骤中被分割或者合并。
+        let unchangedNodeGroups = unchangedRanges.map(range =>
+            this._findOwnElements(range.start, range.end));
+
+        return {
+            addedRanges: addedRanges.map(({ start, end, classes }) => ({ start, end, classes })),
+            removedRanges: removedRanges,
+            unchangedRanges: unchangedRanges,
+            addedNodeGroups: addedNodeGroups,
+            removedNodeGroups: removedNodeGroups,
+            unchangedNodeGroups: unchangedNodeGroups
+        };
+    }
+
+    /**
+     * 把（有可能重叠的）范围展开为跟 getRanges() 方法的结果一样的形式
+     *
+     * @param {*} ranges {start, end, classNames, decoration} 对象的数组
+     * @returns 返回 {start, end, classes, ranges} 对象的数组，按位置先后排列，互不重叠，
+     *     相邻的并且 classes 相同的会被合并。其中 classes 是覆盖该范围的所有范围的
+     *     class name 的并集（按字母排序），ranges 是跟它重叠的原来的范围。
+     */
+    static _flattenRanges(ranges) {
+        let flattenedRanges = [];
+
+        for (let { start, end, rangeIndices } of TextStylization._toSegments(ranges)) {
+            let coveringRanges = rangeIndices.map(rangeIndex => ranges[rangeIndex]);
+            let classes = [...new Set(coveringRanges.flatMap(range => range.classNames))].sort();
+
+            let lastRange = flattenedRanges[flattenedRanges.length - 1];
+            if (lastRange !== undefined &&
+                lastRange.end === start &&
+                lastRange.classes.join(' ') === classes.join(' ')) {
+                lastRange.end = end;
+                lastRange.ranges = [...new Set([...lastRange.ranges, ...coveringRanges])];
+            } else {
+                flattenedRanges.push({ start, end, classes, ranges: coveringRanges });
+            }
+        }
+
+        return flattenedRanges;
+    }
+
+    /**
+     * 获取指定范围之内的文本所在的当前风格器的容器元素
+     *
+     * @param {*} start
+     * @param {*} end
+     * @returns 返回容器元素的数组，按文档顺序排列。
+     */
+    _findOwnElements(start, end) {
+        let elements = new Set();
+
+        let textModel = this._createTextModel();
+        let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
+        start = offsetConverter.toUtf16(start);
+        end = offsetConverter.toUtf16(end, true);
+
+        for (let textNode of textModel.textSegments) {
+            if (textNode.end <= start || textNode.start >= end) {
+                continue;
+            }
+
+            // 寻找最近的拥有当前风格器的 class name 的祖先元素，根元素不会被风格化
+            // （详细请见 _applyToWholeNode() 方法），所以不包括根元素。
+            for (let element = textNode.node.parentNode;
+                element !== this.rootElement && element !== null;
+                element = element.parentNode) {
+                if (element.classList.contains(this.className)) {
+                    elements.add(element);
+                    break;
+                }
+            }
+        }
+
+        return [...elements];
+    }
+
+    /**
+     * 风格化所有匹配指定正则表达式或者规则的文本
+     *
+     * - 正则表达式或者规则在根元素的文本内容（即 getText() 方法的返回值）
+     *   里搜索，匹配的结果经由 applyToRanges() 方法风格化。
+     * - 规则的 class name 作为装饰描述对象的 classNames，即所有匹配的文本都会带有
+     *   当前风格器的 class name，所以 clear() 方法可以移除所有匹配的样式。
+     * - 规则的格式以及重叠的处理方法请见 PatternMatcher。
+     *
+     * 示例：
+     * applyToMatches(/\bTODO\b/g)
+     * applyToMatches([
+     *     { pattern: /https?:\/\/\S+/g, className: 'url' },
+     *     { pattern: /@(\w+)/g, groups: { 1: 'mention' } },
+     *     { tokenize: (text) => [...], className: 'token' }
+     * ])
+     *
+     * @param {*} patternOrRules 一个正则表达式（匹配的文本只带有当前风格器的 class name），
+     *     或者一个规则的数组。
+     * @returns 返回一个包含如下属性的对象：
+     *     - matches: {start, end, className, text} 对象的数组，按位置先后排列；
+     *     - affectedNodeGroups: 所有受影响的（或者新建的）节点元素，以每一个匹配分组。
+     */
+    applyToMatches(patternOrRules) {
+        let rules = (patternOrRules instanceof RegExp) ?
+            [{ pattern: patternOrRules, className: this.className }] :
+            patternOrRules;
+
+        let text = this.getText();
+        let matches = PatternMatcher.findMatches(text, rules);
+
+        // 匹配的位置是 UTF-16 位置，需要转换为当前风格器的位置单位
+        if (this.offsetUnit !== 'utf16') {
+            let offsetConverter = new OffsetConverter(text, this.offsetUnit);
+            for (let match of matches) {
+                match.start = offsetConverter.fromUtf16(match.start);
+                match.end = offsetConverter.fromUtf16(match.end, true);
+            }
+        }
+
+        let decorations = matches.map(match =>
+            (match.className === undefined || match.className === this.className) ?
+                null : { classNames: [match.className] });
+
+        let affectedNodeGroups = this.applyToRanges(matches, decorations)
+            .slice(0, matches.length);
+
+        return {
+            matches: matches,
+            affectedNodeGroups: affectedNodeGroups
+        };
+    }
+
+    /**
+     * 风格化整行的文本，比如 “错误行” 或者 “当前行” 的背景
+     *
+     * - 行号从 0 开始，行以换行符（包括块元素的边界及 <br> 元素）分隔，详细请见 LineIndex；
+     * - 当一行恰好是一个块元素（比如 <p>、<li>）的全部内容时，样式直接添加到块元素，
+     *   所以背景可以覆盖整行的宽度；
+     * - 其他行经由 applyToRanges() 方法风格化，所以已存在的行内元素不会被截断，
+     *   跨越行内元素的行会被分割为多个容器元素。
+     *
+     * @param {*} lineNumbers 行号的数组
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - includeNewline: 是否包括行末的换行符，默认为 false；
+     *     - decorateBlocks: 是否把样式直接添加到跟行对应的块元素，默认为 true；
+     *     - decoration: 装饰描述对象。
+     * @returns 返回所有受影响的（或者新建的）节点元素，以每一个行号分组。
+     *     无效的（比如超出行的数目的）行号对应的分组是空的，在严格模式下则会抛出
+     *     TextStylizationRangeError。
+     */
+    applyToLines(lineNumbers, options = {}) {
+        return this._preserveSelection(() => this._applyToLines(lineNumbers, options));
+    }
+
+    /**
+     * applyToLines() 方法的实现（不保存及恢复光标的位置）
+     */
+    _applyToLines(lineNumbers, options) {
+        let includeNewline = options.includeNewline ?? false;
+        let decorateBlocks = options.decorateBlocks ?? true;
+        let decoration = options.decoration ?? null;
+
+        let textModel = this._createTextModel();
+        let lineIndex = new LineIndex(textModel.text, this.offsetUnit);
+        let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
+
+        // 以每一个行号分组的块元素，或者待风格化的范围在 textSelections 里的索引
+        let lineTargets = [];
+        let textSelections = [];
+
+        for (let line of lineNumbers) {
+            if (!Number.isInteger(line) || line < 0 || line >= lineIndex.lineCount) {
+                if (this.strict) {
+                    throw new TextStylizationRangeError(
+                        'Line number out of range: ' + line + ', line count: ' + lineIndex.lineCount,
+                        { start: { line: line, column: 0 }, end: { line: line, column: 0 } },
+                        lineIndex.textLength);
+                }
+
+                lineTargets.push(null);
+                continue;
+            }
+
+            let start = lineIndex.getLineStart(line);
+            let end = lineIndex.getLineEnd(line, includeNewline);
+
+            let blockElement = decorateBlocks ?
+                this._findLineBlockElement(textModel,
+                    offsetConverter.toUtf16(start),
+                    offsetConverter.toUtf16(lineIndex.getLineEnd(line), true)) :
+                null;
+
+            if (blockElement !== null) {
+                lineTargets.push({ blockElement: blockElement });
+            } else {
+                lineTargets.push({ index: textSelections.length });
+                textSelections.push({ start: start, end: end });
+            }
+        }
+
+        // 先风格化行内的范围，因为块元素不会被截断，所以它们的先后顺序不影响结果
+        let affectedNodeGroups = this._applyToRanges(textSelections,
+            textSelections.map(() => decoration));
+
+        let resolvedDecoration = this._resolveDecoration(decoration);
+
+        return lineTargets.map(lineTarget => {
+            if (lineTarget === null) {
+                return [];
+            }
+
+            if (lineTarget.blockElement !== undefined) {
+                this._decorateElement(lineTarget.blockElement, resolvedDecoration, false);
+                return [lineTarget.blockElement];
+            }
+
+            return affectedNodeGroups[lineTarget.index];
+        });
+    }
+
+    /**
+     * 获取恰好包含一行的全部内容的块元素
+     *
+     * @param {*} textModel
+     * @param {*} start 行的开始位置（UTF-16）
+     * @param {*} end 行的结束位置（UTF-16，不包括换行符）
+     * @returns 如果行不是一个块元素的全部内容，则返回 null。
+     */
+    _findLineBlockElement(textModel, start, end) {
+        let head = textModel.findStart(start);
+        if (head === null || textModel.textSegments[head.index].start >= end) {
+            return null;
+        }
+
+        // 第一个 Text Node 最近的块元素祖先（不包括根元素）
+        let blockElement = null;
+        let node = head.node.parentNode;
+        while (node !== null && node !== this.rootElement) {
+            if (textModel.isBlockElement(node)) {
+                blockElement = node;
+                break;
+            }
+            node = node.parentNode;
+        }
+
+        if (blockElement === null) {
+            return null;
+        }
+
+        // 块元素之内的所有片段都必须位于行之内，块元素末尾的 <br> 元素除外
+        let innerSegments = textModel.segments.filter(segment =>
+            segment.node !== blockElement && blockElement.contains(segment.node));
+
+        for (let idx = 0; idx < innerSegments.length; idx++) {
+            let segment = innerSegments[idx];
+            let isTrailingLineBreak = (segment.type === 'break' &&
+                idx === innerSegments.length - 1 &&
+                segment.start === end);
+
+            if (!isTrailingLineBreak && (segment.start < start || segment.end > end)) {
+                return null;
+            }
+        }
+
+        return blockElement;
+    }
+
+    /**
+     * 比较两个文本的差异，并把结果渲染到根元素，比如用于审阅修改建议或者查看修订历史。
+     *
+     * - 根元素原有的所有子节点会被移除，然后按先后插入差异的各个部分：没有改变的
+     *   文本作为普通的 Text Node，插入的文本放在有 insertClassName 的容器元素里，
+     *   被删除的文本则放在有 deleteClassName 的容器元素里；
+     * - 如果 deletion 选项为 'marker'，则被删除的文本不会显示，而是只插入一个空的
+     *   （零宽度的）标记元素，被删除的文本保存在它的 data-deleted 属性里，此时根元素
+     *   的文本内容跟新的文本一样。注意 normalize() 方法会移除空的容器元素，包括标记元素；
+     * - 容器元素同时也有当前风格器的 class name，所以 clear() 方法会移除它们，但是
+     *   行内显示的被删除的文本会作为普通文本保留下来；
+     * - 因为根元素的内容被整个替换，所以光标的位置不会被恢复。
+     *
+     * @param {*} oldText
+     * @param {*} newText
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - granularity: 比较的单位，'char'（默认）或者 'word'，详细请见 TextDiff；
+     *     - insertClassName: 插入的文本的 class name，默认为 'diff-insert'；
+     *     - deleteClassName: 被删除的文本的 class name，默认为 'diff-delete'；
+     *     - deletion: 被删除的文本的显示方式，'inline'（默认）或者 'marker'。
+     * @returns 返回每一处修改（hunk）的 TextSelection 对象的数组，按位置先后排列。
+     *     start 和 end 是修改在根元素的文本内容里的范围（包括行内显示的被删除的文本），
+     *     每一个对象还有 oldText 和 newText 属性，即被删除的及插入的文本。
+     */
+    applyDiff(oldText, newText, options = {}) {
+        let granularity = options.granularity ?? 'char';
+        let insertClassName = options.insertClassName ?? 'diff-insert';
+        let deleteClassName = options.deleteClassName ?? 'diff-delete';
+        let isInlineDeletion = (options.deletion ?? 'inline') === 'inline';
+
+        let operations = TextDiff.diff(oldText, newText, granularity);
+
+        for (let childNode of Array.from(this.rootElement.childNodes)) {
+            this._removeChild(childNode);
+        }
+
+        let hunks = [];
+        let lastHunk = null;
+        let position = 0; // UTF-16 位置
+
+        for (let { type, text } of operations) {
+            if (type === 'equal') {
+                this._insertBefore(this.rootElement, this.documentObject.createTextNode(text), null);
+                position += text.length;
+                lastHunk = null;
+                continue;
+            }
+
+            let isInserted = (type === 'insert');
+            let containerElement = this._createContainerElement(this._resolveDecoration({
+                classNames: [isInserted ? insertClassName : deleteClassName],
+                attributes: (isInserted || isInlineDeletion) ? {} : { 'data-deleted': text }
+            }));
+
+            if (isInserted || isInlineDeletion) {
+                this._insertBefore(containerElement, this.documentObject.createTextNode(text), null);
+            }
+            this._insertBefore(this.rootElement, containerElement, null);
+
+            // 删除及紧随其后的插入属于同一处修改
+            if (lastHunk === null) {
+                lastHunk = { start: position, end: position, oldText: '', newText: '' };
+                hunks.push(lastHunk);
+            }
+
+            if (isInserted) {
+                lastHunk.newText = text;
+            } else {
+                lastHunk.oldText = text;
+            }
+
+            if (isInserted || isInlineDeletion) {
+                position += text.length;
+                lastHunk.end = position;
+            }
+        }
+
+        // 把 UTF-16 位置转换为当前风格器的位置单位
+        if (this.offsetUnit !== 'utf16') {
+            let offsetConverter = new OffsetConverter(this.getText(), this.offsetUnit);
+            for (let hunk of hunks) {
+                hunk.start = offsetConverter.fromUtf16(hunk.start);
+                hunk.end = offsetConverter.fromUtf16(hunk.end, true);
+            }
+        }
+
+        return hunks.map(({ start, end, oldText, newText }) => {
+            let textSelection = new TextSelection(start, end);
+            textSelection.oldText = oldText;
+            textSelection.newText = newText;
+            return textSelection;
+        });
+    }
+
+    /**
+     * 获取当前风格器已风格化的文本范围
+     *
+     * - 返回的范围可以保存（比如转换为 JSON），然后使用 applyToRanges() 方法
+     *   或者 TextStylization.importRanges() 方法恢复。
+     * - 返回的对象含有 start 和 end 属性，所以可以直接当作 TextSelection 使用。
+     *
+     * @returns 返回 {start, end, classes} 对象的数组，按位置先后排列，其中 classes 是
+     *     当前风格器的 class name 以及装饰描述对象添加的 class name（按字母排序）。
+     *     相邻的并且 classes 相同的范围会被合并。
+     */
+    getRanges() {
+        return this._collectRanges(node => this._findOwnClassNames(node));
+    }
+
+    /**
+     * 获取覆盖指定位置的字符的当前风格器的装饰
+     *
+     * @param {*} offset
+     * @returns 返回装饰信息的数组，按从外到内排列（嵌套的容器元素）。装饰信息是一个
+     *     包含如下属性的对象：
+     *     - element: 容器元素（或者被添加了当前风格器的 class name 的元素）；
+     *     - start、end: 元素所覆盖的文本范围；
+     *     - text: 元素所覆盖的文本；
+     *     - classes: 当前风格器的 class name 以及装饰描述对象添加的 class name（按字母排序）；
+     *     - attributes: 装饰描述对象添加的属性的当前值。
+     *     如果位置超出了文本的范围，则返回空数组。
+     */
+    getDecorationsAt(offset) {
+        let textModel = this._createTextModel();
+        let position = new OffsetConverter(textModel.text, this.offsetUnit).toUtf16(offset);
+        return this._findDecorations(position, position + 1,
+            (start, end) => start <= offset && offset < end, textModel);
+    }
+
+    /**
+     * 获取光标（即 Selection 的 focus）所在位置的当前风格器的装饰
+     *
+     * 光标位于装饰的开头或者末尾时也算作在装饰之内。
+     *
+     * @returns 返回值跟 getDecorationsAt() 方法的一样。如果没有光标，或者光标
+     *     不在根元素之内，则返回空数组。
+     */
+    getDecorationsAtCaret() {
+        let selection = this.getSelection();
+        let focusNode = selection?.focusNode ?? null;
+        if (focusNode === null || !this.rootElement.contains(focusNode)) {
+            return [];
+        }
+
+        let textModel = this._createTextModel();
+        let position = textModel.getPosition(focusNode, selection.focusOffset);
+        let caret = new OffsetConverter(textModel.text, this.offsetUnit).fromUtf16(position);
+
+        return this._findDecorations(position, position,
+            (start, end) => start <= caret && caret <= end, textModel);
+    }
+
+    /**
+     * 获取元素所覆盖的文本范围
+     *
+     * 元素通常是由 _applyToNode() 等方法创建的容器元素，但也可以是根元素之内的
+     * 任意元素。
+     *
+     * @param {*} element
+     * @returns 返回 {start, end} 对象（可以直接当作 TextSelection 使用），如果元素
+     *     不在根元素之内，则返回 null。
+     */
+    getRangeOfElement(element) {
+        if (!this.rootElement.contains(element)) {
+            return null;
+        }
+
+        let textModel = this._createTextModel();
+        let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
+        let { start, end } = this._toDecorationInfo(element, textModel, offsetConverter);
+
+        return { start, end };
+    }
+
+    /**
+     * 监听已风格化的文本的点击及鼠标悬停事件
+     *
+     * 事件监听函数只添加到根元素上（即事件委托），所以之后才创建的容器元素也有效。
+     * 点击嵌套的容器元素时以最内层的为准。
+     *
+     * @param {*} handlers 一个包含如下可选属性的对象：
+     *     - onClick: 点击装饰时调用；
+     *     - onHover: 鼠标移入装饰时调用，跟 mouseenter 事件一样，在同一个装饰之内
+     *       （包括在它的嵌套的装饰之间）移动时不会重复调用，同时移入多层嵌套的装饰时
+     *       按从外到内的顺序调用；
+     *     - onLeave: 鼠标移出装饰时调用，跟 mouseleave 事件一样，同时移出多层嵌套的
+     *       装饰时按从内到外的顺序调用。
+     *
+     *     它们的参数均为装饰信息（详细请见 getDecorationsAt() 方法）及事件对象。
+     * @returns 返回一个用于移除事件监听函数的函数。
+     */
+    listen(handlers) {
+        let listeners = {
+            click: (event) => {
+                let element = this._findDecorationElement(event.target);
+                if (element !== null) {
+                    handlers.onClick?.(this._getDecorationInfo(element), event);
+                }
+            },
+
+            // 鼠标在装饰之间移动时，先触发离开的装饰的 mouseout，再触发进入的装饰的
+            // mouseover，relatedTarget 分别是对方的元素。只有不包含 relatedTarget
+            // 的装饰才是真正被移出或者移入的装饰。
+            mouseover: (event) => {
+                let elements = this._findDecorationElements(event.target)
+                    .filter(element => !this._containsNode(element, event.relatedTarget));
+                for (let element of elements.reverse()) {
+                    handlers.onHover?.(this._getDecorationInfo(element), event);
+                }
+            },
+
+            mouseout: (event) => {
+                let elements = this._findDecorationElements(event.target)
+                    .filter(element => !this._containsNode(element, event.relatedTarget));
+                for (let element of elements) {
+                    handlers.onLeave?.(this._getDecorationInfo(element), event);
+                }
+            }
+        };
+
+        for (let [type, listener] of Object.entries(listeners)) {
+            this.rootElement.addEventListener(type, listener);
+        }
+
+        return () => {
+            for (let [type, listener] of Object.entries(listeners)) {
+                this.rootElement.removeEventListener(type, listener);
+            }
+        };
+    }
+
+    /**
+     * 查找所有符合条件的当前风格器的装饰
+     *
+     * 只检查位于指定的位置范围之内的片段的节点的祖先元素，而不是所有容器元素。
+     *
+     * @param {*} start 候选的片段的范围的开始位置（UTF-16）
+     * @param {*} end 候选的片段的范围的结束位置（UTF-16），开始位置或者结束位置
+     *     恰好位于片段的边界时，该片段也算作候选的片段。
+     * @param {*} predicate 一个判断装饰的范围是否符合条件的函数，签名为 (start, end) => boolean。
+     * @param {*} textModel
+     * @returns 返回装饰信息的数组，按文档顺序（即从外到内）排列。
+     */
+    _findDecorations(start, end, predicate, textModel) {
+        let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
+        let segments = textModel.segments;
+
+        // 使用二分法查找第一个结束位置不小于 start 的片段
+        let low = 0;
+        let high = segments.length;
+        while (low < high) {
+            let middle = (low + high) >>> 1;
+            if (segments[middle].end < start) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        let elements = new Set();
+        for (let idx = low; idx < segments.length && segments[idx].start <= end; idx++) {
+            for (let element of this._findDecorationElements(segments[idx].node)) {
+                elements.add(element);
+            }
+        }
+
+        return [...elements]
+            .sort((left, right) =>
+                (left.compareDocumentPosition(right) & left.DOCUMENT_POSITION_FOLLOWING) !== 0 ? -1 : 1)
+            .map(element => this._toDecorationInfo(element, textModel, offsetConverter))
+            .filter(({ start, end }) => predicate(start, end));
+    }
+
+    /**
+     * 查找节点所在的（最内层的）当前风格器的容器元素
+     *
+     * @param {*} node 可以为 null，或者位于根元素之外的节点。
+     * @returns 如果节点不在当前风格器的容器元素之内，则返回 null。
+     */
+    _findDecorationElement(node) {
+        return this._findDecorationElements(node)[0] ?? null;
+    }
+
+    /**
+     * 查找节点所在的所有当前风格器的容器元素（包括节点本身）
+     *
+     * 根元素不会被风格化（详细请见 _applyToWholeNode() 方法），所以不包括根元素。
+     *
+     * @param {*} node 可以为 null，或者位于根元素之外的节点。
+     * @returns 返回容器元素的数组，按从内到外排列。
+     */
+    _findDecorationElements(node) {
+        let elements = [];
+        if (!this._containsNode(this.rootElement, node)) {
+            return elements;
+        }
+
+        for (let element = node; element !== this.rootElement; element = element.parentNode) {
+            if (element.nodeType === element.ELEMENT_NODE &&
+                element.classList.contains(this.className)) {
+                elements.push(element);
+            }
+        }
+
+        return elements;
+    }
+
+    /**
+     * 判断节点是否为元素本身或者它的子孙节点
+     *
+     * @param {*} element
+     * @param {*} node 可以为 null 或者 undefined（比如事件的 relatedTarget）。
+     * @returns
+     */
+    _containsNode(element, node) {
+        return node !== null && node !== undefined && element.contains(node);
+    }
+
+    /**
+     * 获取一个元素的装饰信息
+     *
+     * @param {*} element
+     * @returns
+     */
+    _getDecorationInfo(element) {
+        let textModel = this._createTextModel();
+        return this._toDecorationInfo(element, textModel,
+            new OffsetConverter(textModel.text, this.offsetUnit));
+    }
+
+    /**
+     * 构建一个元素的装饰信息，详细请见 getDecorationsAt() 方法。
+     *
+     * @param {*} element
+     * @param {*} textModel
+     * @param {*} offsetConverter
+     * @returns
+     */
+    _toDecorationInfo(element, textModel, offsetConverter) {
+        let start = textModel.getPosition(element, 0);
+        let end = textModel.getPosition(element, element.childNodes.length);
+        let record = decorationRecords.get(element)?.get(this.className);
+
+        let attributes = {};
+        for (let name of record?.attributes.keys() ?? []) {
+            attributes[name] = element.getAttribute(name);
+        }
+
+        return {
+            element: element,
+            start: offsetConverter.fromUtf16(start),
+            end: offsetConverter.fromUtf16(end, true),
+            text: textModel.text.substring(start, end),
+            classes: [...new Set([this.className, ...(record?.classNames ?? [])])].sort(),
+            attributes: attributes
+        };
+    }
+
+    /**
+     * 获取根元素之内所有已风格化的文本范围（即不限于某一个风格器）
+     *
+     * @param {*} rootElement
+     * @param {*} documentObject 可选参数。
+     * @param {*} nodeFilterObject 可选参数。
+     * @returns 返回 {start, end, classes} 对象的数组，按位置先后排列，其中 classes 是
+     *     文本的所有祖先元素（不包括根元素）的 class name（按字母排序）。
+     *     相邻的并且 classes 相同的范围会被合并。
+     */
+    static exportRanges(rootElement, documentObject, nodeFilterObject) {
+        let textStylization = new TextStylization(rootElement, '', documentObject, nodeFilterObject);
+        return textStylization._collectRanges(node => textStylization._findAllClassNames(node));
+    }
+
+    /**
+     * 把 exportRanges() 方法或者 getRanges() 方法导出的范围重新应用到根元素
+     *
+     * - 根元素之内应该是纯文本（比如从服务端加载的原始文本）。
+     * - 每一个 class name 都会使用一个单独的风格器来风格化。
+     *
+     * @param {*} rootElement
+     * @param {*} ranges {start, end, classes} 对象的数组
+     * @param {*} documentObject 可选参数。
+     * @param {*} nodeFilterObject 可选参数。
+     * @returns 返回一个 class name 到风格器（TextStylization 对象）的 Map，
+     *     可用于后续移除样式。
+     */
+    static importRanges(rootElement, ranges, documentObject, nodeFilterObject) {
+        // 按 class name 分组，class name 的顺序即为它首次出现的顺序
+        let textSelectionGroups = new Map();
+        for (let range of ranges) {
+            for (let className of range.classes) {
+                let textSelections = textSelectionGroups.get(className);
+                if (textSelections === undefined) {
+                    textSelections = [];
+                    textSelectionGroups.set(className, textSelections);
+                }
+                textSelections.push({ start: range.start, end: range.end });
+            }
+        }
+
+        let textStylizations = new Map();
+        for (let [className, textSelections] of textSelectionGroups) {
+            let textStylization = new TextStylization(rootElement, className, documentObject, nodeFilterObject);
+            textStylization.applyToRanges(textSelections);
+            textStylizations.set(className, textStylization);
+        }
+
+        return textStylizations;
+    }
+
+    /**
+     * 在一个事务里执行风格器的方法，以便撤销及重做
+     *
+     * 回调函数里（任一）风格器对 DOM 所作的所有修改（截断 Text Node、插入容器元素、
+     * 添加 class name 及属性、合并 Text Node 等）都会被记录，然后可以通过返回的
+     * 事务对象的 undo() 和 redo() 方法撤销及重做，比如：
+     *
+     * let transaction = TextStylization.transact(() => {
+     *     ts1.applyToRanges([...]);
+     *     ts2.clear();
+     * });
+     * transaction.undo();
+     * transaction.redo();
+     *
+     * - 事务可以嵌套，内层事务的记录同时也会追加到外层事务。
+     * - 如果回调函数抛出异常，则已作的修改会被撤销，然后异常被重新抛出。
+     * - 撤销及重做之后，DOM 跟原先的完全一样，详细请见 Transaction。
+     *
+     * @param {*} callback 一个（同步的）函数，它的返回值保存在事务对象的 result 属性。
+     * @returns 返回 Transaction 对象
+     */
+    static transact(callback) {
+        let transaction = new Transaction();
+
+        activeTransactions.push(transaction);
+        try {
+            transaction.result = callback();
+        } catch (error) {
+            activeTransactions.pop();
+            transaction.undo();
+            throw error;
+        }
+        activeTransactions.pop();
+
+        let parentTransaction = TextStylization._getActiveTransaction();
+        if (parentTransaction !== null) {
+            parentTransaction.merge(transaction);
+        }
+
+        return transaction;
+    }
+
+    /**
+     * 遍历所有 Text Node，收集已风格化的文本范围
+     *
+     * @param {*} findClassNames 一个用于获取 Text Node 的样式的函数，签名为
+     *     (textNode) => [className]，如果 Text Node 未被风格化则返回空数组。
+     * @returns 返回 {start, end, classes} 对象的数组
+     */
+    _collectRanges(findClassNames) {
+        let ranges = [];
+        let lastRange = null;
+
+        let textModel = this._createTextModel();
+
+        for (let { node, start, end } of textModel.textSegments) {
+            if (start === end) {
+                continue;
+            }
+
+            let classes = findClassNames(node);
+            if (classes.length === 0) {
+                lastRange = null;
+                continue;
+            }
+
+            if (lastRange !== null &&
+                lastRange.end === start &&
+                lastRange.classes.join(' ') === classes.join(' ')) {
+                // 合并相邻的并且样式相同的范围
+                lastRange.end = end;
+            } else {
+                lastRange = { start: start, end: end, classes: classes };
+                ranges.push(lastRange);
+            }
+        }
+
+        // 把 UTF-16 位置转换为当前风格器的位置单位
+        if (this.offsetUnit !== 'utf16') {
+            let offsetConverter = new OffsetConverter(textModel.text, this.offsetUnit);
+            for (let range of ranges) {
+                range.start = offsetConverter.fromUtf16(range.start);
+                range.end = offsetConverter.fromUtf16(range.end, true);
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * 获取根元素的文本内容
+     *
+     * 块元素的边界以及 <br> 元素算作换行符，原子元素算作占位字符，
+     * 详细请见 TextModel。
+     *
+     * @returns
+     */
+    getText() {
+        return this._createTextModel().text;
+    }
+
+    /**
+     * 把当前风格器的位置单位的位置转换为 UTF-16 位置（即 JavaScript 字符串的索引）
+     *
+     * @param {*} offset
+     * @param {*} isEnd 可选参数。是否结束位置，落在字符中间的结束位置会向后对齐。
+     * @returns
+     */
+    toUtf16Offset(offset, isEnd = false) {
+        return new OffsetConverter(this.getText(), this.offsetUnit).toUtf16(offset, isEnd);
+    }
+
+    /**
+     * 把 UTF-16 位置转换为当前风格器的位置单位的位置
+     *
+     * @param {*} offset
+     * @param {*} isEnd 可选参数。是否结束位置，落在字符中间的结束位置会向后对齐。
+     * @returns
+     */
+    fromUtf16Offset(offset, isEnd = false) {
+        return new OffsetConverter(this.getText(), this.offsetUnit).fromUtf16(offset, isEnd);
+    }
+
+    /**
+     * 把文本位置转换为行列位置
+     *
+     * 行号和列号均从 0 开始，列号的单位跟当前风格器的位置单位一样，详细请见 LineIndex。
+     *
+     * @param {*} offset
+     * @returns 返回 {line, column}
+     */
+    offsetToPosition(offset) {
+        return new LineIndex(this.getText(), this.offsetUnit).offsetToPosition(offset);
+    }
+
+    /**
+     * 把行列位置转换为文本位置
+     *
+     * @param {*} position {line, column} 对象
+     * @returns 如果行号无效，则返回 NaN。
+     */
+    positionToOffset(position) {
+        return new LineIndex(this.getText(), this.offsetUnit).positionToOffset(position);
+    }
+
+    /**
+     * 获取 Text Node 的属于当前风格器的样式
+     *
+     * @param {*} node
+     * @returns 返回当前风格器的 class name 以及装饰描述对象添加的 class name（按字母排序），
+     *     如果 Text Node 未被当前风格器风格化，则返回空数组。
+     */
+    _findOwnClassNames(node) {
+        let classNames = new Set();
+
+        // 根元素不会被风格化（详细请见 _applyToWholeNode() 方法），所以不包括根元素。
+        for (let element = node.parentNode;
+            element !== this.rootElement && element !== null;
+            element = element.parentNode) {
+            if (element.classList.contains(this.className)) {
+                classNames.add(this.className);
+
+                let record = decorationRecords.get(element)?.get(this.className);
+                if (record !== undefined) {
+                    for (let name of record.classNames) {
+                        classNames.add(name);
+                    }
+                }
+            }
+        }
+
+        return [...classNames].sort();
+    }
+
+    /**
+     * 获取 Text Node 的所有样式
+     *
+     * @param {*} node
+     * @returns 返回 Text Node 的所有祖先元素（不包括根元素）的 class name（按字母排序），
+     *     如果 Text Node 未被风格化，则返回空数组。
+     */
+    _findAllClassNames(node) {
+        let classNames = new Set();
+
+        for (let element = node.parentNode;
+            element !== this.rootElement && element !== null;
+            element = element.parentNode) {
+            for (let name of element.className.split(/\s+/)) {
+                if (name !== '') {
+                    classNames.add(name);
+                }
+            }
+        }
+
+        return [...classNames].sort();
+    }
+
+    /**
+     * 规范化根元素之内的所有节点
+     *
+     * 多次调用 applyToRanges() 之后，DOM 里会出现很多零碎的容器元素，比如：
+     * <span class="bar">abc</span><span class="bar">def</span>
+     * 当前方法会：
+     *
+     * - 合并相邻的、标签名称、class name（不分先后顺序）和属性都相同的容器元素；
+     * - 移除空的容器元素；
+     * - 移出没有任何属性（包括 class）的 span 元素的子节点，然后移除该 span 元素；
+     * - 合并相邻的 Text Node，移除空的 Text Node。
+     *
+     * 所谓容器元素，是指 span 元素，或者由（任一）风格器创建的元素（比如装饰描述对象
+     * 指定了 tagName 时创建的 <mark> 元素）。
+     *
+     * 规范化不会改变文本内容及其位置（offset）。
+     *
+     * @returns 返回一个包含如下属性的对象：
+     *     - removedNodes: 所有被移除的节点的数组；
+     *     - modifiedNodes: 所有内容被改变（比如合并了其他节点）的节点的数组，
+     *       不包括已被移除的节点；
+     *     - replacedNodeMap: 一个 Map，键是因为合并而被移除的节点，值是合并之后的节点。
+     *       被移除的空元素或者被移出子节点的 span 元素不在这个 Map 里。
+     */
+    normalize() {
+        return this._preserveSelection(() => this._normalize());
+    }
+
+    /**
+     * normalize() 方法的实现（不保存及恢复光标的位置）
+     */
+    _normalize() {
+        let changes = {
+            removedNodes: [],
+            modifiedNodes: new Set(),
+            replacedNodeMap: new Map()
+        };
+
+        this._normalizeChildren(this.rootElement, changes);
+        return this._toNormalizationResult(changes);
+    }
+
+    /**
+     * 规范化指定元素的所有子孙节点
+     *
+     * @param {*} element
+     * @param {*} changes
+     */
+    _normalizeChildren(element, changes) {
+        // 先（深度优先）规范化每一个子元素，并移除空的容器元素、没有属性的 span 元素
+        // 以及空的 Text Node。
+        let childNode = element.firstChild;
+        while (childNode !== null) {
+            let nextSiblingNode = childNode.nextSibling;
+
+            if (childNode.nodeType === childNode.TEXT_NODE) {
+                if (childNode.nodeValue === '') {
+                    this._removeChild(childNode);
+                    changes.removedNodes.push(childNode);
+                    changes.modifiedNodes.add(element);
+                }
+
+            } else if (childNode.nodeType === childNode.ELEMENT_NODE) {
+                this._normalizeChildren(childNode, changes);
+
+                if (childNode.firstChild === null && this._isContainerElement(childNode)) {
+                    this._removeChild(childNode);
+                    changes.removedNodes.push(childNode);
+                    changes.modifiedNodes.add(element);
+
+                } else if (childNode.localName === 'span' && childNode.attributes.length === 0) {
+                    while (childNode.firstChild !== null) {
+                        this._insertBefore(element, childNode.firstChild, childNode);
+                    }
+                    this._removeChild(childNode);
+                    changes.removedNodes.push(childNode);
+                    changes.modifiedNodes.add(element);
+                }
+            }
+
+            childNode = nextSiblingNode;
+        }
+
+        // 然后合并相邻的 Text Node 以及相同的容器元素
+        childNode = element.firstChild;
+        while (childNode !== null && childNode.nextSibling !== null) {
+            let nextSiblingNode = childNode.nextSibling;
+
+            if (childNode.nodeType === childNode.TEXT_NODE &&
+                nextSiblingNode.nodeType === childNode.TEXT_NODE) {
+                this._setNodeValue(childNode, childNode.nodeValue + nextSiblingNode.nodeValue);
+                this._removeChild(nextSiblingNode);
+
+                changes.removedNodes.push(nextSiblingNode);
+                changes.replacedNodeMap.set(nextSiblingNode, childNode);
+                changes.modifiedNodes.add(childNode);
+
+                // 继续检查合并之后的 Text Node 跟下一个节点
+                continue;
+            }
+
+            if (this._isSameContainerElement(childNode, nextSiblingNode)) {
+                while (nextSiblingNode.firstChild !== null) {
+                    this._insertBefore(childNode, nextSiblingNode.firstChild, null);
+                }
+                this._removeChild(nextSiblingNode);
+                this._mergeDecorationRecords(nextSiblingNode, childNode);
+
+                changes.removedNodes.push(nextSiblingNode);
+                changes.replacedNodeMap.set(nextSiblingNode, childNode);
+                changes.modifiedNodes.add(childNode);
+
+                // 合并之后，原先分属两个容器元素的子节点变为相邻，它们也有可能需要合并，
+                // 比如：
+                // <span class="foo"><span class="bar">a</span></span><span class="foo"><span class="bar">b</span></span>
+                this._normalizeChildren(childNode, changes);
+                continue;
+            }
+
+            childNode = nextSiblingNode;
+        }
+    }
+
+    /**
+     * 判断元素是否为容器元素
+     *
+     * @param {*} element
+     * @returns 如果元素是 span 元素，或者由（任一）风格器创建，则返回 true。
+     */
+    _isContainerElement(element) {
+        if (element.localName === 'span') {
+            return true;
+        }
+
+        let classNameRecords = decorationRecords.get(element);
+        if (classNameRecords === undefined) {
+            return false;
+        }
+
+        for (let record of classNameRecords.values()) {
+            if (record.isContainer) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 判断两个节点是否为相同的（即可以合并的）容器元素
+     *
+     * @param {*} node1
+     * @param {*} node2
+     * @returns
+     */
+    _isSameContainerElement(node1, node2) {
+        if (node1.nodeType !== node1.ELEMENT_NODE ||
+            node2.nodeType !== node2.ELEMENT_NODE ||
+            node1.localName !== node2.localName ||
+            !this._isContainerElement(node1) ||
+            !this._isContainerElement(node2)) {
+            return false;
+        }
+
+        let attributes1 = node1.attributes;
+        let attributes2 = node2.attributes;
+        if (attributes1.length !== attributes2.length) {
+            return false;
+        }
+
+        for (let idx = 0; idx < attributes1.length; idx++) {
+            let name = attributes1[idx].name;
+            if (name === 'class') {
+                continue;
+            }
+
+            if (node2.getAttribute(name) !== attributes1[idx].value) {
+                return false;
+            }
+        }
+
+        // class name 不分先后顺序
+        let classNames1 = node1.className.split(/\s+/).filter(name => name !== '').sort();
+        let classNames2 = node2.className.split(/\s+/).filter(name => name !== '').sort();
+        return classNames1.join(' ') === classNames2.join(' ');
+    }
+
+    /**
+     * 把源元素的装饰记录合并到目标元素
+     *
+     * @param {*} sourceElement
+     * @param {*} targetElement
+     */
+    _mergeDecorationRecords(sourceElement, targetElement) {
+        let sourceRecords = decorationRecords.get(sourceElement);
+        if (sourceRecords === undefined) {
+            return;
+        }
+
+        this._recordDecorationRecords(targetElement);
+
+        let targetRecords = decorationRecords.get(targetElement);
+        if (targetRecords === undefined) {
+            decorationRecords.set(targetElement, sourceRecords);
+            return;
+        }
+
+        for (let [className, record] of sourceRecords) {
+            if (!targetRecords.has(className)) {
+                targetRecords.set(className, record);
+            }
+        }
+    }
+
+    /**
+     * 把规范化的过程记录转换为 normalize() 方法的返回值
+     *
+     * @param {*} changes
+     * @returns
+     */
+    _toNormalizationResult(changes) {
+        let removedNodeSet = new Set(changes.removedNodes);
+        return {
+            removedNodes: changes.removedNodes,
+            modifiedNodes: [...changes.modifiedNodes].filter(node => !removedNodeSet.has(node)),
+            replacedNodeMap: changes.replacedNodeMap
+        };
+    }
+
+    /**
+     * 自动规范化受影响的区域（即受影响的节点的父元素之内）
+     *
+     * @param {*} nodeGroups 受影响的节点，以每一个 TextSelection 分组。
+     * @returns 返回规范化之后的节点（被合并的节点替换为合并之后的节点，
+     *     被移除的节点则被删除），以每一个 TextSelection 分组。
+     */
+    _autoNormalize(nodeGroups) {
+        let parentElements = new Set();
+        for (let nodes of nodeGroups) {
+            for (let node of nodes) {
+                let parentElement = (node.parentNode === null) ? null :
+                    (node === this.rootElement ? node : node.parentNode);
+
+                if (parentElement !== null) {
+                    parentElements.add(parentElement);
+                }
+            }
+        }
+
+        let changes = {
+            removedNodes: [],
+            modifiedNodes: new Set(),
+            replacedNodeMap: new Map()
+        };
+
+        for (let parentElement of parentElements) {
+            // 父元素有可能已经在规范化其他父元素时被合并或者移除了
+            if (parentElement === this.rootElement || this.rootElement.contains(parentElement)) {
+                this._normalizeChildren(parentElement, changes);
+            }
+        }
+
+        let removedNodeSet = new Set(changes.removedNodes);
+        return nodeGroups.map(nodes => {
+            let survivingNodes = nodes
+                .map(node => this._findSurvivingNode(node, changes.replacedNodeMap))
+                .filter(node => !removedNodeSet.has(node));
+            return [...new Set(survivingNodes)];
+        });
+    }
+
 }
 
 module.exports = TextStylization;
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * 无效的 TextSelection 的错误
+ *
+ * 只在严格模式（构造函数的 strict 选项为 true）下抛出，比如开始位置大于结束位置，
+ * 位置不是整数，或者范围超出了文本的长度。
+ */
+class TextStylizationRangeError extends RangeError {
+
+    /**
+     *
+     * @param {*} message
+     * @param {*} textSelection 无效的 TextSelection
+     * @param {*} textLength 文本的长度（以风格器的位置单位计算）
+     */
+    constructor(message, textSelection, textLength) {
+        super(message);
+        this.name = 'TextStylizationRangeError';
+        this.textSelection = textSelection;
+        this.textLength = textLength;
+    }
+}
+
+module.exports = TextStylizationRangeError;
@@ -0,0 +1,499 @@
+const TextStylization = require('./textstylization');
+const OffsetConverter = require('./offsetconverter');
+
+/**
+ * 跟随文本编辑而移动的装饰（live anchored decorations）
+ *
+ * TextStylization 的范围只在风格化的那一刻有效，当用户在 contenteditable 元素里
+ * 输入或者删除文本之后，范围的位置就会失效。当前模块记录每一个装饰的范围，并使用
+ * MutationObserver 观察根元素：
+ *
+ * - 每当文本内容改变，就比较修改前后的文本（公共前缀及后缀）找出被修改的位置，
+ *   然后移动、扩大或者缩小每一个装饰的范围，再重新渲染。
+ * - 在装饰的边界处输入的文本是否属于装饰，由装饰的 inclusiveStart 及
+ *   inclusiveEnd 决定，比如默认在装饰的末尾输入的文本属于装饰（跟编辑器里的
+ *   粗体一样），而在装饰的开头输入的文本不属于装饰。
+ * - 当装饰的文本被全部删除时，装饰被移除并触发 'collapse' 事件；当在装饰的中间
+ *   插入换行（比如按下回车键）时，装饰被分割为两个并触发 'split' 事件。
+ * - 同一批修改记录被当作一次编辑，如果一批记录里包含多处修改，则它们之间的文本
+ *   被当作被替换的文本。
+ *
+ * 在没有 MutationObserver 的环境里（比如 domino），可以通过 mutationObserverClass
+ * 选项指定实现了相同接口的类，也可以不使用 MutationObserver，而是在修改文本之后
+ * 手动调用 sync() 方法。
+ */
+class TrackedDecorations {
+
+    /**
+     *
+     * @param {*} rootElement
+     * @param {*} className 装饰的样式的名称，也可以是一个装饰描述对象，详细请见 TextStylization。
+     * @param {*} documentObject 可选参数。如果用在非浏览器环境，需要设置 Document 对象。
+     * @param {*} nodeFilterObject 可选参数。如果用在非浏览器环境，需要设置 NodeFilter 对象。
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - inclusiveStart: 在装饰的开头输入的文本是否属于装饰，默认为 false；
+     *     - inclusiveEnd: 在装饰的末尾输入的文本是否属于装饰，默认为 true；
+     *     - mutationObserverClass: MutationObserver 类（构造函数），默认为
+     *       DomEnvironment 的 MutationObserver，如果当前环境不存在，则需要手动调用
+     *       sync() 方法。
+     *
+     *     其余的属性会传递给内部的 TextStylization。
+     */
+    constructor(rootElement, className, documentObject, nodeFilterObject, options = {}) {
+        this.rootElement = rootElement;
+        this.textStylization = new TextStylization(rootElement, className,
+            documentObject, nodeFilterObject, options);
+
+        this.inclusiveStart = options.inclusiveStart ?? false;
+        this.inclusiveEnd = options.inclusiveEnd ?? true;
+
+        // 装饰的 id 到装饰对象的 Map，装饰对象的 start 和 end 均为 UTF-16 位置，
+        // 以免在文本改变之后还要使用旧的文本转换位置单位。
+        this.decorations = new Map();
+        this.nextId = 1;
+
+        // 事件类型到监听函数的 Set 的 Map
+        this.listeners = new Map();
+
+        // 最近一次同步时的文本内容
+        this.text = this.textStylization.getText();
+
+        let mutationObserverClass = options.mutationObserverClass ??
+            this.textStylization.environment.mutationObserverClass;
+        this.observer = null;
+
+        if (mutationObserverClass !== null) {
+            this.observer = new mutationObserverClass(records => this._handleMutations(records));
+            this.observer.observe(rootElement, {
+                childList: true,
+                characterData: true,
+                subtree: true
+            });
+        }
+    }
+
+    /**
+     * 添加一个装饰
+     *
+     * @param {*} textSelection
+     * @param {*} options 可选参数，一个包含如下属性的对象：
+     *     - inclusiveStart、inclusiveEnd: 默认为构造函数的同名选项；
+     *     - decoration: 装饰描述对象，详细请见 TextStylization；
+     *     - data: 任意的附加数据，会原样出现在 getDecoration() 方法的返回值及事件对象里。
+     * @returns 返回装饰的 id，如果范围为空，则返回 null。
+     */
+    add(textSelection, options = {}) {
+        this.sync();
+
+        let offsetConverter = this._createOffsetConverter();
+        let start = offsetConverter.toUtf16(Math.max(textSelection.start, 0));
+        let end = offsetConverter.toUtf16(Math.min(textSelection.end, offsetConverter.length), true);
+
+        if (start >= end) {
+            return null;
+        }
+
+        let id = this.nextId++;
+        this.decorations.set(id, {
+            id: id,
+            start: start,
+            end: end,
+            inclusiveStart: options.inclusiveStart ?? this.inclusiveStart,
+            inclusiveEnd: options.inclusiveEnd ?? this.inclusiveEnd,
+            decoration: options.decoration,
+            data: options.data
+        });
+
+        this._render();
+        return id;
+    }
+
+    /**
+     * 移除一个装饰
+     *
+     * @param {*} id
+     * @returns 如果装饰不存在，则返回 false。
+     */
+    remove(id) {
+        this.sync();
+
+        if (!this.decorations.delete(id)) {
+            return false;
+        }
+
+        this._render();
+        return true;
+    }
+
+    /**
+     * 移除所有装饰
+     */
+    clear() {
+        this.sync();
+
+        this.decorations.clear();
+        this.textStylization.clear();
+    }
+
+    /**
+     * 获取一个装饰的当前状态
+     *
+     * @param {*} id
+     * @returns 返回 {id, start, end, inclusiveStart, inclusiveEnd, decoration, data} 对象，
+     *     位置的单位跟内部的 TextStylization 一样。如果装饰不存在，则返回 null。
+     */
+    getDecoration(id) {
+        this.sync();
+
+        let decoration = this.decorations.get(id);
+        return (decoration === undefined) ? null :
+            this._toDecorationInfo(decoration, this._createOffsetConverter());
+    }
+
+    /**
+     * 获取所有装饰的当前状态
+     *
+     * @returns 返回 getDecoration() 方法的返回值的数组，按装饰的开始位置排列。
+     */
+    getDecorations() {
+        this.sync();
+
+        let offsetConverter = this._createOffsetConverter();
+        return this._getSortedDecorations().map(decoration =>
+            this._toDecorationInfo(decoration, offsetConverter));
+    }
+
+    /**
+     * 获取一个装饰的当前范围
+     *
+     * @param {*} id
+     * @returns 返回 {start, end} 对象，如果装饰不存在，则返回 null。
+     */
+    getRange(id) {
+        let decoration = this.getDecoration(id);
+        return (decoration === null) ? null : { start: decoration.start, end: decoration.end };
+    }
+
+    /**
+     * 添加事件监听函数
+     *
+     * 事件对象包含 type 属性以及：
+     * - 'collapse': decoration，即被移除的装饰（范围为空）；
+     * - 'split': decoration 及 newDecoration，即分割之后的前后两个装饰，
+     *   前一个装饰保留原先的 id。
+     *
+     * @param {*} type 'collapse' 或者 'split'
+     * @param {*} listener
+     */
+    on(type, listener) {
+        let listeners = this.listeners.get(type);
+        if (listeners === undefined) {
+            listeners = new Set();
+            this.listeners.set(type, listeners);
+        }
+        listeners.add(listener);
+    }
+
+    /**
+     * 移除事件监听函数
+     *
+     * @param {*} type
+     * @param {*} listener
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * 立即处理尚未传递给 MutationObserver 回调函数的修改
+     *
+     * 获取装饰的方法会自动调用当前方法，所以通常不需要手动调用，除非当前环境
+     * 不存在 MutationObserver。
+     */
+    sync() {
+        let records = (this.observer === null) ? [] : this.observer.takeRecords();
+        this._handleMutations(records);
+    }
+
+    /**
+     * 停止观察根元素，已有的装饰及样式保持不变。
+     */
+    disconnect() {
+        if (this.observer !== null) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    /**
+     * 处理 DOM 的修改
+     *
+     * 当前模块自己渲染装饰时的修改也会被观察到，但是它们不会改变文本内容，
+     * 所以会被忽略。
+     *
+     * @param {*} records MutationRecord 的数组
+     */
+    _handleMutations(records) {
+        // DOM 被风格器之外的代码修改过，缓存的文本模型（如果有）已经过时。
+        this.textStylization.invalidateTextModel();
+
+        let textModel = this.textStylization._createTextModel();
+        let oldText = this.text;
+        let newText = textModel.text;
+
+        if (newText === oldText) {
+            return;
+        }
+
+        this.text = newText;
+
+        let edit = TrackedDecorations._findEdit(oldText, newText,
+            TrackedDecorations._findEditedRange(records, textModel));
+        let insertedText = newText.substring(edit.start, edit.start + edit.insertedLength);
+
+        let events = [];
+        for (let decoration of [...this.decorations.values()]) {
+            events.push(...this._mapDecoration(decoration, edit, insertedText));
+        }
+
+        this._render();
+
+        let offsetConverter = this._createOffsetConverter();
+        for (let event of events) {
+            let { type, decoration, newDecoration } = event;
+            this._emit(type, (type === 'split') ? {
+                type: type,
+                decoration: this._toDecorationInfo(decoration, offsetConverter),
+                newDecoration: this._toDecorationInfo(newDecoration, offsetConverter)
+            } : {
+                type: type,
+                decoration: this._toDecorationInfo(decoration, offsetConverter)
+            });
+        }
+    }
+
+    /**
+     * 根据一次编辑修改装饰的范围
+     *
+     * @param {*} decoration
+     * @param {*} edit _findEdit() 方法的返回值
+     * @param {*} insertedText
+     * @returns 返回需要触发的事件的数组，事件对象的装饰尚未转换位置单位。
+     */
+    _mapDecoration(decoration, edit, insertedText) {
+        let deletedEnd = edit.start + edit.deletedLength;
+
+        // 编辑的范围是否完全位于装饰之内（不接触装饰的边界）
+        let isInside = (decoration.start < edit.start && deletedEnd < decoration.end);
+
+        decoration.start = TrackedDecorations._mapPosition(decoration.start, edit,
+            decoration.inclusiveStart ? -1 : 1);
+        decoration.end = TrackedDecorations._mapPosition(decoration.end, edit,
+            decoration.inclusiveEnd ? 1 : -1);
+
+        if (decoration.start >= decoration.end) {
+            this.decorations.delete(decoration.id);
+            return [{ type: 'collapse', decoration: decoration }];
+        }
+
+        let firstNewlineIdx = insertedText.indexOf('\n');
+        if (!isInside || firstNewlineIdx === -1) {
+            return [];
+        }
+
+        // 在装饰的中间插入了换行，换行之前（同一行）的文本属于前一个装饰，
+        // 换行之后的文本属于后一个装饰。
+        let id = this.nextId++;
+        let newDecoration = {
+            ...decoration,
+            id: id,
+            start: edit.start + insertedText.lastIndexOf('\n') + 1
+        };
+        decoration.end = edit.start + firstNewlineIdx;
+
+        this.decorations.set(id, newDecoration);
+        return [{ type: 'split', decoration: decoration, newDecoration: newDecoration }];
+    }
+
+    /**
+     * 重新渲染所有装饰
+     */
+    _render() {
+        let offsetConverter = this._createOffsetConverter();
+        let decorations = this._getSortedDecorations();
+
+        this.textStylization.update(
+            decorations.map(decoration => ({
+                start: offsetConverter.fromUtf16(decoration.start),
+                end: offsetConverter.fromUtf16(decoration.end, true)
+            })),
+            decorations.map(decoration => decoration.decoration));
+    }
+
+    /**
+     * 触发事件
+     *
+     * @param {*} type
+     * @param {*} event
+     */
+    _emit(type, event) {
+        let listeners = this.listeners.get(type);
+        if (listeners === undefined) {
+            return;
+        }
+
+        for (let listener of [...listeners]) {
+            listener(event);
+        }
+    }
+
+    /**
+     * 获取所有装饰，按开始位置排列（开始位置相同时按 id）。
+     *
+     * @returns
+     */
+    _getSortedDecorations() {
+        return [...this.decorations.values()].sort((left, right) =>
+            (left.start - right.start) || (left.id - right.id));
+    }
+
+    /**
+     * 把装饰对象转换为对外的格式，即位置使用内部的 TextStylization 的位置单位。
+     *
+     * @param {*} decoration
+     * @param {*} offsetConverter
+     * @returns
+     */
+    _toDecorationInfo(decoration, offsetConverter) {
+        return {
+            id: decoration.id,
+            start: offsetConverter.fromUtf16(decoration.start),
+            end: offsetConverter.fromUtf16(decoration.end, true),
+            inclusiveStart: decoration.inclusiveStart,
+            inclusiveEnd: decoration.inclusiveEnd,
+            decoration: decoration.decoration,
+            data: decoration.data
+        };
+    }
+
+    /**
+     * 创建当前文本的位置单位转换器
+     *
+     * @returns
+     */
+    _createOffsetConverter() {
+        return new OffsetConverter(this.text, this.textStylization.offsetUnit);
+    }
+
+    /**
+     * 找出被修改的 Text Node 在新文本里的范围
+     *
+     * @param {*} records MutationRecord 的数组
+     * @param {*} textModel 新文本的 TextModel
+     * @returns 返回 {start, end} 对象，如果没有 Text Node 的内容被修改，则返回 null。
+     */
+    static _findEditedRange(records, textModel) {
+        let editedRange = null;
+
+        for (let record of records) {
+            let node = record.target;
+            if (record.type !== 'characterData' || !textModel.rootElement.contains(node)) {
+                continue;
+            }
+
+            let start = textModel.getPosition(node, 0);
+            let end = textModel.getPosition(node, node.nodeValue.length);
+
+            editedRange = (editedRange === null) ? { start, end } : {
+                start: Math.min(editedRange.start, start),
+                end: Math.max(editedRange.end, end)
+            };
+        }
+
+        return editedRange;
+    }
+
+    /**
+     * 比较修改前后的文本，找出被修改的位置
+     *
+     * 公共前缀使编辑的位置尽量靠后，但是在重复的字符之间编辑的位置是有歧义的，
+     * 比如在 'aa' 的中间或者末尾插入 'a' 得到的文本是一样的。此时如果编辑的范围
+     * 超出了被修改的 Text Node 的范围，则把它向前移动。
+     *
+     * @param {*} oldText
+     * @param {*} newText
+     * @param {*} editedRange 可选参数，被修改的 Text Node 在新文本里的范围。
+     * @returns 返回 {start, deletedLength, insertedLength} 对象，均为 UTF-16 位置及长度。
+     */
+    static _findEdit(oldText, newText, editedRange = null) {
+        let minLength = Math.min(oldText.length, newText.length);
+
+        let start = 0;
+        while (start < minLength && oldText[start] === newText[start]) {
+            start++;
+        }
+
+        let suffixLength = 0;
+        while (suffixLength < minLength - start &&
+            oldText[oldText.length - 1 - suffixLength] === newText[newText.length - 1 - suffixLength]) {
+            suffixLength++;
+        }
+
+        let oldEnd = oldText.length - suffixLength;
+        let newEnd = newText.length - suffixLength;
+
+        if (editedRange !== null) {
+            while (newEnd > editedRange.end && start > 0 &&
+                (oldEnd === start || oldText[start - 1] === oldText[oldEnd - 1]) &&
+                (newEnd === start || newText[start - 1] === newText[newEnd - 1])) {
+                start--;
+                oldEnd--;
+                newEnd--;
+            }
+        }
+
+        return {
+            start: start,
+            deletedLength: oldEnd - start,
+            insertedLength: newEnd - start
+        };
+    }
+
+    /**
+     * 把编辑之前的位置映射为编辑之后的位置
+     *
+     * - 位于被删除的文本的开头的位置映射到插入的文本的开头，位于被删除的文本的末尾的
+     *   位置映射到插入的文本的末尾；
+     * - 恰好位于插入点（没有删除文本）或者位于被删除的文本之内的位置由 side 决定，
+     *   -1 表示映射到插入的文本的开头，1 表示映射到插入的文本的末尾。
+     *
+     * @param {*} position
+     * @param {*} edit
+     * @param {*} side -1 或者 1
+     * @returns
+     */
+    static _mapPosition(position, edit, side) {
+        let { start, deletedLength, insertedLength } = edit;
+        let deletedEnd = start + deletedLength;
+
+        if (position < start) {
+            return position;
+        }
+
+        if (position > deletedEnd) {
+            return position - deletedLength + insertedLength;
+        }
+
+        if (deletedLength > 0) {
+            if (position === start) {
+                side = -1;
+            } else if (position === deletedEnd) {
+                side = 1;
+            }
+        }
+
+        return (side < 0) ? start : start + insertedLength;
+    }
+}
+
+module.exports = TrackedDecorations;
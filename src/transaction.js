@@ -0,0 +1,194 @@
+/**
+ * 风格化事务，即一次或者多次风格器方法调用所作的所有 DOM 修改的记录。
+ *
+ * - 事务由 TextStylization.transact() 方法创建，风格器在修改 DOM 之前，会把
+ *   即将被修改的节点的状态记录到当前事务里，包括：
+ *   - 'move': 节点的位置（父节点及下一个兄弟节点），用于插入、移动及移除节点；
+ *   - 'attributes': 元素的所有属性（包括 class 属性），按原先的顺序；
+ *   - 'nodeValue': Text Node 的文本内容，用于截断及合并 Text Node；
+ *   - 'state': 其他状态，比如风格器的装饰记录。
+ * - undo() 方法按相反的顺序把每一个记录跟节点的当前状态交换，交换之后记录保存的
+ *   就是修改之后的状态，所以 redo() 方法只需按原先的顺序再交换一次。
+ * - 撤销及重做都会使用原先的节点对象，而不是副本，所以撤销之后的 DOM 跟事务开始
+ *   之前完全一样（包括 outerHTML 及节点的引用）。
+ *
+ * 注意撤销及重做之前，DOM 必须处于事务结束（或者撤销）时的状态，即期间不能有
+ * 其他（未被记录的）修改。
+ */
+class Transaction {
+
+    constructor() {
+        // 所有记录，{type, node, saved} 对象的数组，按修改的先后排列
+        this.operations = [];
+
+        // 事务的回调函数的返回值
+        this.result = undefined;
+
+        this.isUndone = false;
+    }
+
+    /**
+     * 事务是否没有任何记录
+     */
+    get isEmpty() {
+        return this.operations.length === 0;
+    }
+
+    /**
+     * 记录节点的位置，须在插入、移动或者移除节点之前调用。
+     *
+     * @param {*} node
+     */
+    recordMove(node) {
+        this.operations.push({
+            type: 'move',
+            node: node,
+            saved: { parentNode: node.parentNode, nextSibling: node.nextSibling }
+        });
+    }
+
+    /**
+     * 记录元素的所有属性，须在修改元素的属性（包括 class name）之前调用。
+     *
+     * @param {*} element
+     */
+    recordAttributes(element) {
+        this.operations.push({
+            type: 'attributes',
+            node: element,
+            saved: Transaction._getAttributes(element)
+        });
+    }
+
+    /**
+     * 记录 Text Node 的文本内容，须在修改文本内容之前调用。
+     *
+     * @param {*} node
+     */
+    recordNodeValue(node) {
+        this.operations.push({
+            type: 'nodeValue',
+            node: node,
+            saved: node.nodeValue
+        });
+    }
+
+    /**
+     * 记录其他状态
+     *
+     * @param {*} getState 一个获取当前状态的函数，返回的状态不能被后续的修改影响，
+     *     即如果状态是可变的对象，则需要返回一个副本。
+     * @param {*} setState 一个恢复状态的函数
+     */
+    recordState(getState, setState) {
+        this.operations.push({
+            type: 'state',
+            node: null,
+            saved: getState(),
+            getState: getState,
+            setState: setState
+        });
+    }
+
+    /**
+     * 把另一个事务的所有记录追加到当前事务
+     *
+     * @param {*} transaction
+     */
+    merge(transaction) {
+        this.operations.push(...transaction.operations);
+    }
+
+    /**
+     * 撤销事务所作的所有修改
+     */
+    undo() {
+        if (this.isUndone) {
+            throw new Error('The transaction has already been undone.');
+        }
+
+        for (let idx = this.operations.length - 1; idx >= 0; idx--) {
+            Transaction._swap(this.operations[idx]);
+        }
+
+        this.isUndone = true;
+    }
+
+    /**
+     * 重做已被撤销的事务
+     */
+    redo() {
+        if (!this.isUndone) {
+            throw new Error('The transaction has not been undone.');
+        }
+
+        for (let operation of this.operations) {
+            Transaction._swap(operation);
+        }
+
+        this.isUndone = false;
+    }
+
+    /**
+     * 交换记录保存的状态和节点的当前状态
+     *
+     * @param {*} operation
+     */
+    static _swap(operation) {
+        let node = operation.node;
+        let saved = operation.saved;
+
+        switch (operation.type) {
+            case 'move': {
+                operation.saved = { parentNode: node.parentNode, nextSibling: node.nextSibling };
+
+                if (saved.parentNode === null) {
+                    if (node.parentNode !== null) {
+                        node.parentNode.removeChild(node);
+                    }
+                } else {
+                    // nextSibling 为 null 时即插入到末尾
+                    saved.parentNode.insertBefore(node, saved.nextSibling);
+                }
+                break;
+            }
+
+            case 'attributes': {
+                operation.saved = Transaction._getAttributes(node);
+
+                // 先移除所有属性再按原先的顺序添加，以保证属性的顺序也一样
+                for (let [name] of operation.saved) {
+                    node.removeAttribute(name);
+                }
+                for (let [name, value] of saved) {
+                    node.setAttribute(name, value);
+                }
+                break;
+            }
+
+            case 'nodeValue': {
+                operation.saved = node.nodeValue;
+                node.nodeValue = saved;
+                break;
+            }
+
+            case 'state': {
+                operation.saved = operation.getState();
+                operation.setState(saved);
+                break;
+            }
+        }
+    }
+
+    /**
+     * 获取元素的所有属性
+     *
+     * @param {*} element
+     * @returns 返回 [name, value] 的数组，按属性的先后排列。
+     */
+    static _getAttributes(element) {
+        return Array.from(element.attributes, attribute => [attribute.name, attribute.value]);
+    }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,225 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { AnnotationStylization, TextStylization } = require('../index');
+
+describe('AnnotationStylization Test', () => {
+
+    let createSelection = () => ({
+        anchorNode: null,
+        anchorOffset: 0,
+        focusNode: null,
+        focusOffset: 0,
+        rangeCount: 0,
+        setBaseAndExtent(anchorNode, anchorOffset, focusNode, focusOffset) {
+            Object.assign(this, {
+                anchorNode: anchorNode,
+                anchorOffset: anchorOffset,
+                focusNode: focusNode,
+                focusOffset: focusOffset,
+                rangeCount: 1
+            });
+        }
+    });
+
+    it('Test setAnnotations() and clear()', () => {
+        let documentObject = domino.createDocument('<div>teh quick brwn fox</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let as1 = new AnnotationStylization(rootElement, 'lint', documentObject, NodeFilter, {
+            severityClassNames: { warning: 'squiggly' }
+        });
+
+        assert.equal(as1.setAnnotations([
+            { range: { start: 10, end: 14 }, severity: 2, message: 'Unknown word', source: 'cspell' },
+            { start: 0, end: 3, severity: 'error', message: 'Unknown word' },
+            { start: 5, end: 5, message: 'Empty' }
+        ]), 2);
+
+        let [annotation1, annotation2] = as1.annotations;
+        assert.deepEqual([annotation1.start, annotation1.end, annotation1.severity], [0, 3, 'error']);
+        assert.deepEqual([annotation2.start, annotation2.end, annotation2.severity], [10, 14, 'warning']);
+
+        let id1 = annotation1.descriptionElement.id;
+        let id2 = annotation2.descriptionElement.id;
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="lint lint-error" aria-describedby="' + id1 + '">teh</span> quick ' +
+            '<span class="lint squiggly" aria-describedby="' + id2 + '">brwn</span> fox</div>');
+
+        // 说明容器位于根元素之后
+        let descriptionContainer = rootElement.nextElementSibling;
+        assert.equal(descriptionContainer.outerHTML,
+            '<div class="lint-descriptions" hidden="">' +
+            '<div id="' + id2 + '">warning: Unknown word (cspell)</div>' +
+            '<div id="' + id1 + '">error: Unknown word</div></div>');
+
+        assert.deepEqual(as1.getElements(1), [rootElement.querySelector('.squiggly')]);
+
+        // 重新标注时先移除原先的说明元素
+        as1.setAnnotations([{ start: 4, end: 9, severity: 'hint', message: 'Style' }]);
+        assert.equal(documentObject.getElementById(id1), null);
+        assert.equal(rootElement.nextElementSibling.childNodes.length, 1);
+
+        as1.clear();
+        assert.equal(rootElement.outerHTML, '<div>teh quick brwn fox</div>');
+        assert.equal(rootElement.nextElementSibling, null);
+        assert.equal(as1.annotationCount, 0);
+    });
+
+    it('Test overlapping annotations, <mark> and custom description container', () => {
+        let documentObject = domino.createDocument(
+            '<div><b>0123456789</b></div><div id="notes"><p>keep</p></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let notesElement = documentObject.getElementById('notes');
+
+        let as1 = new AnnotationStylization(rootElement, 'note', documentObject, NodeFilter, {
+            useMark: true,
+            descriptionContainer: notesElement,
+            formatDescription: annotation => annotation.message
+        });
+
+        as1.setAnnotations([
+            { start: 0, end: 10, message: 'outer' },
+            { start: 0, end: 10, message: 'inner' }
+        ]);
+
+        // 重叠的标注各自有容器元素，不会借用 <b> 元素，也不会互相覆盖属性
+        let [outerId, innerId] = as1.annotations.map(({ descriptionElement }) => descriptionElement.id);
+        let markElements = rootElement.querySelectorAll('mark');
+        assert.equal(markElements.length, 2);
+        assert.deepEqual(Array.from(markElements).map(element => element.getAttribute('aria-describedby')).sort(),
+            [outerId, innerId].sort());
+        assert.equal(rootElement.querySelector('b').attributes.length, 0);
+        assert.equal(notesElement.textContent, 'keepouterinner');
+
+        // 指定的说明容器不会被移除
+        as1.clear();
+        assert.equal(rootElement.outerHTML, '<div><b>0123456789</b></div>');
+        assert.equal(notesElement.outerHTML, '<div id="notes"><p>keep</p></div>');
+    });
+
+    it('Test partially overlapping annotations', () => {
+        let documentObject = domino.createDocument('<div>0123456789</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let as1 = new AnnotationStylization(rootElement, 'lint', documentObject, NodeFilter);
+        assert.equal(as1.setAnnotations([
+            { start: 3, end: 8, severity: 'warning', message: 'B' },
+            { start: 0, end: 5, severity: 'error', message: 'A' }
+        ]), 2);
+
+        let [idA, idB] = as1.annotations.map(({ descriptionElement }) => descriptionElement.id);
+        assert.deepEqual(as1.annotations.map(({ start, end }) => [start, end]), [[0, 5], [3, 8]]);
+
+        // 重叠部分被嵌套的容器元素包围，两个标注都完整覆盖各自的文本
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="lint lint-error" aria-describedby="' + idA + '">012</span>' +
+            '<span class="lint lint-error" aria-describedby="' + idA + '">' +
+            '<span class="lint lint-warning" aria-describedby="' + idB + '">34</span></span>' +
+            '<span class="lint lint-warning" aria-describedby="' + idB + '">567</span>89</div>');
+
+        let getCoveredText = (index) => as1.getElements(index).map(element => element.textContent).join('');
+        assert.equal(as1.getElements(0).length, 2);
+        assert.equal(getCoveredText(0), '01234');
+        assert.equal(getCoveredText(1), '34567');
+
+        as1.clear();
+        assert.equal(rootElement.outerHTML, '<div>0123456789</div>');
+    });
+
+    it('Test setAnnotations() and clear() in transact()', () => {
+        let documentObject = domino.createDocument('<div>teh quick brwn fox</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let bodyHtml = documentObject.body.innerHTML;
+
+        let as1 = new AnnotationStylization(rootElement, 'lint', documentObject, NodeFilter);
+        let transaction1 = TextStylization.transact(() => as1.setAnnotations([
+            { start: 0, end: 3, severity: 'error', message: 'Unknown word' }
+        ]));
+        let html1 = documentObject.body.innerHTML;
+        let descriptionElement = as1.annotations[0].descriptionElement;
+
+        // 撤销之后，说明元素及说明容器也被移除，不会遗留孤立的元素
+        transaction1.undo();
+        assert.equal(documentObject.body.innerHTML, bodyHtml);
+        assert.equal(as1.annotationCount, 0);
+        assert.equal(as1.descriptionContainer, null);
+
+        transaction1.redo();
+        assert.equal(documentObject.body.innerHTML, html1);
+        assert.equal(as1.annotationCount, 1);
+        assert.ok(as1.annotations[0].descriptionElement === descriptionElement);
+        assert.deepEqual(as1.getElements(0), [rootElement.firstChild]);
+
+        // 重新标注及清除也可以撤销
+        let transaction2 = TextStylization.transact(() => as1.setAnnotations([
+            { start: 10, end: 14, severity: 'warning', message: 'Unknown word' }
+        ]));
+        let html2 = documentObject.body.innerHTML;
+        let transaction3 = TextStylization.transact(() => as1.clear());
+        assert.equal(documentObject.body.innerHTML, bodyHtml);
+
+        transaction3.undo();
+        assert.equal(documentObject.body.innerHTML, html2);
+        assert.equal(as1.annotations[0].severity, 'warning');
+
+        transaction2.undo();
+        assert.equal(documentObject.body.innerHTML, html1);
+        assert.ok(as1.annotations[0].descriptionElement === descriptionElement);
+        assert.ok(rootElement.nextElementSibling === as1.descriptionContainer);
+
+        as1.clear();
+        assert.equal(documentObject.body.innerHTML, bodyHtml);
+    });
+
+    it('Test keyboard navigation', () => {
+        let documentObject = domino.createDocument('<div><p>foo bar</p><p>baz</p></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let selection = createSelection();
+        let as1 = new AnnotationStylization(rootElement, 'lint', documentObject, NodeFilter, {
+            getSelection: () => selection
+        });
+
+        assert.equal(as1.next(), null);
+
+        as1.setAnnotations([
+            { start: 8, end: 11, message: 'baz' },
+            { start: 4, end: 7, message: 'bar' }
+        ]);
+
+        let pressKey = (key, shiftKey) => {
+            let event = documentObject.createEvent('Event');
+            event.initEvent('keydown', true, true);
+            event.key = key;
+            event.shiftKey = shiftKey;
+            rootElement.dispatchEvent(event);
+            return event.defaultPrevented;
+        };
+
+        let removeListener = as1.listenKeyboard();
+
+        assert.equal(pressKey('F8', false), true);
+        assert.equal(as1.currentIndex, 0);
+        assert.equal(as1.currentAnnotation.annotation.message, 'bar');
+        assert.ok(selection.anchorNode === as1.getElements(0)[0].firstChild);
+        assert.deepEqual([selection.anchorOffset, selection.focusOffset], [0, 3]);
+
+        assert.equal(pressKey('F8', false), true);
+        assert.equal(as1.currentIndex, 1);
+        assert.ok(selection.focusNode === rootElement.lastChild.firstChild.firstChild);
+
+        assert.equal(pressKey('F8', false), true);
+        assert.equal(as1.currentIndex, 0);
+        assert.equal(pressKey('F8', true), true);
+        assert.equal(as1.currentIndex, 1);
+
+        assert.equal(pressKey('a', false), false);
+        assert.throws(() => as1.goTo(2), RangeError);
+
+        removeListener();
+        pressKey('F8', false);
+        assert.equal(as1.currentIndex, 1);
+    });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { DecorationManager } = require('../index');
+
+describe('DecorationManager Test', () => {
+
+    let createDecorationManager = () => {
+        let documentObject = domino.createDocument(
+            '<div>0123456789abcdefghij</div>', true);
+        //    01234567890123456789
+        let rootElement = documentObject.body.firstElementChild;
+
+        let decorationManager = new DecorationManager(rootElement, documentObject, NodeFilter);
+        decorationManager.addLayer('foo');
+        decorationManager.addLayer('bar');
+        return decorationManager;
+    };
+
+    it('Test setRanges() - flat and order-independent', () => {
+        let decorationManager1 = createDecorationManager();
+        decorationManager1.setRanges('foo', [new TextSelection(5, 13)]); // '56789abc'
+        decorationManager1.setRanges('bar', [new TextSelection(10, 16)]); // 'abcdef'
+
+        let expectedHTML = '<div>01234<span class="foo">56789</span><span class="foo bar">abc</span>' +
+            '<span class="bar">def</span>ghij</div>';
+        assert.equal(decorationManager1.rootElement.outerHTML, expectedHTML);
+
+        // 相反的顺序
+        let decorationManager2 = createDecorationManager();
+        decorationManager2.setRanges('bar', [new TextSelection(10, 16)]);
+        decorationManager2.setRanges('foo', [new TextSelection(5, 13)]);
+        assert.equal(decorationManager2.rootElement.outerHTML, expectedHTML);
+
+        // 逐步修改之后
+        let decorationManager3 = createDecorationManager();
+        decorationManager3.setRanges('foo', [new TextSelection(0, 20)]);
+        decorationManager3.setRanges('bar', [new TextSelection(10, 16)]);
+        decorationManager3.setRanges('foo', [new TextSelection(5, 8), new TextSelection(7, 13)]);
+        assert.equal(decorationManager3.rootElement.outerHTML, expectedHTML);
+
+        assert.deepEqual(decorationManager3.getSegments(), [
+            { start: 5, end: 10, layers: ['foo'], classes: ['foo'] },
+            { start: 10, end: 13, layers: ['foo', 'bar'], classes: ['foo', 'bar'] },
+            { start: 13, end: 16, layers: ['bar'], classes: ['bar'] }
+        ]);
+    });
+
+    it('Test priority', () => {
+        let decorationManager = createDecorationManager();
+        decorationManager.setRanges('foo', [new TextSelection(5, 13)]);
+        decorationManager.setRanges('bar', [new TextSelection(10, 16)]);
+
+        decorationManager.setPriority('bar', 1);
+        assert.equal(decorationManager.rootElement.outerHTML,
+            '<div>01234<span class="foo">56789</span><span class="bar foo">abc</span>' +
+            '<span class="bar">def</span>ghij</div>');
+
+        decorationManager.addLayer('error', {
+            priority: 2, className: 'err', tagName: 'mark', attributes: { title: 'error' }
+        });
+        decorationManager.setRanges('error', [new TextSelection(11, 12)]);
+        assert.equal(decorationManager.rootElement.outerHTML,
+            '<div>01234<span class="foo">56789</span><span class="bar foo">a</span>' +
+            '<mark class="err bar foo" title="error">b</mark><span class="bar foo">c</span>' +
+            '<span class="bar">def</span>ghij</div>');
+
+        decorationManager.removeLayer('bar');
+        assert.equal(decorationManager.rootElement.outerHTML,
+            '<div>01234<span class="foo">56789a</span><mark class="err foo" title="error">b</mark>' +
+            '<span class="foo">c</span>defghij</div>');
+
+        decorationManager.clear();
+        assert.equal(decorationManager.rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+
+        assert.throws(() => decorationManager.setRanges('bar', []), /Unknown layer/);
+        assert.throws(() => decorationManager.addLayer('foo'), /already exists/);
+    });
+});
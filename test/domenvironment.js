@@ -0,0 +1,259 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+
+const { TextSelection } = require('jstextselection');
+const {
+    TextStylization, DomEnvironment, SearchHighlighter, HighlightStylization,
+    AnnotationStylization, TrackedDecorations
+} = require('../index');
+const { FakeHighlight, FakeHighlightRegistry, FakeRange } = require('./helpers/fakehighlightregistry');
+
+const jsdom = require('jsdom');
+const linkedom = require('linkedom');
+
+// 测试所使用的 DOM 实现，以及它们的 Range 是否可用（domino 没有实现 Range，
+// linkedom 的 Range 没有 setStart() 和 setEnd() 方法）、是否有 MutationObserver。
+const DOM_IMPLEMENTATIONS = [
+    {
+        name: 'domino',
+        hasMutationObserver: false,
+        isRangeSupported: false,
+        createDocument: (html) => domino.createDocument(html, true)
+    },
+    {
+        name: 'domino (window)',
+        hasMutationObserver: false,
+        isRangeSupported: false,
+        createDocument: (html) => domino.createWindow(html).document
+    },
+    {
+        name: 'jsdom',
+        hasMutationObserver: true,
+        isRangeSupported: true,
+        createDocument: (html) => new jsdom.JSDOM(html).window.document
+    },
+    {
+        name: 'linkedom',
+        hasMutationObserver: true,
+        isRangeSupported: false,
+        createDocument: (html) => linkedom.parseHTML('<html><body>' + html + '</body></html>').document
+    }
+];
+
+describe('DomEnvironment Test', () => {
+
+    it('Test fromElement()', () => {
+        // 没有 defaultView 的文档使用内置的常量
+        let documentObject = domino.createDocument('<div>foo</div>', true);
+        let environment = DomEnvironment.fromElement(documentObject.body.firstElementChild);
+        assert.ok(environment.documentObject === documentObject);
+        assert.equal(environment.nodeFilterObject.SHOW_TEXT, 0x4);
+        assert.equal(environment.nodeObject.TEXT_NODE, 3);
+        assert.equal(environment.mutationObserverClass, null);
+
+        // 从文档所在的 window 获取
+        let windowObject = domino.createWindow('<div>foo</div>');
+        environment = DomEnvironment.fromElement(windowObject.document.body.firstElementChild);
+        assert.ok(environment.nodeFilterObject === windowObject.NodeFilter);
+        assert.ok(environment.nodeObject === windowObject.Node);
+
+        // 指定的属性优先
+        let range = {};
+        class CustomMutationObserver { }
+        environment = DomEnvironment.fromElement(null, {
+            documentObject: documentObject,
+            mutationObserverClass: CustomMutationObserver,
+            createRange: () => range
+        });
+        assert.ok(environment.documentObject === documentObject);
+        assert.ok(environment.mutationObserverClass === CustomMutationObserver);
+        assert.ok(environment.createRange() === range);
+    });
+
+    it('Test roots in other documents', () => {
+        let documentObject1 = domino.createDocument('<div>0123456789</div>', true);
+        let documentObject2 = domino.createDocument('<div>abcdefghij</div>', true);
+        let rootElement = documentObject2.body.firstElementChild;
+
+        // 没有指定 documentObject 时使用根元素所属的文档，新建的节点也属于该文档
+        let ts1 = new TextStylization(rootElement, 'foo');
+        assert.ok(ts1.documentObject === documentObject2);
+
+        ts1.applyToRanges([new TextSelection(2, 5)]);
+        assert.equal(rootElement.outerHTML, '<div>ab<span class="foo">cde</span>fghij</div>');
+        assert.ok(rootElement.childNodes[1].ownerDocument === documentObject2);
+        assert.equal(documentObject1.body.innerHTML, '<div>0123456789</div>');
+    });
+
+    for (let implementation of DOM_IMPLEMENTATIONS) {
+        describe('Test the full API with ' + implementation.name, () => {
+
+            let createRootElement = (html) => {
+                let documentObject = implementation.createDocument(html);
+                return documentObject.body.firstElementChild;
+            };
+
+            it('Test applyToRanges(), getRanges() and clear()', () => {
+                let rootElement = createRootElement('<div>0123456789<b>abc</b></div>');
+                let ts1 = new TextStylization(rootElement, 'foo');
+
+                ts1.applyToRanges([new TextSelection(1, 3), new TextSelection(8, 13)]);
+                assert.equal(rootElement.outerHTML,
+                    '<div>0<span class="foo">12</span>34567<span class="foo">89</span>' +
+                    '<b class="foo">abc</b></div>');
+                assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[1, 3], [8, 13]]);
+
+                ts1.clearRanges([new TextSelection(2, 3)]);
+                assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[1, 2], [8, 13]]);
+
+                ts1.clearElement(rootElement.querySelector('b'));
+                assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[1, 2], [8, 10]]);
+
+                ts1.clear();
+                assert.equal(rootElement.outerHTML, '<div>0123456789<b>abc</b></div>');
+                assert.equal(rootElement.childNodes.length, 2);
+            });
+
+            it('Test autoMerge, update() and transact()', () => {
+                let rootElement = createRootElement('<div><p>0123456789</p><p>abc</p></div>');
+                let ts1 = new TextStylization(rootElement, 'foo', null, null,
+                    { autoMerge: true, cacheTextModel: true });
+
+                ts1.applyToRanges([new TextSelection(1, 3)]);
+                ts1.applyToRanges([new TextSelection(3, 5)]);
+                assert.equal(rootElement.outerHTML,
+                    '<div><p>0<span class="foo">1234</span>56789</p><p>abc</p></div>');
+
+                let html = rootElement.outerHTML;
+                let transaction = TextStylization.transact(() => ts1.update([new TextSelection(8, 14)]));
+                assert.equal(rootElement.outerHTML,
+                    '<div><p>01234567<span class="foo">89</span></p>' +
+                    '<p><span class="foo">abc</span></p></div>');
+
+                transaction.undo();
+                assert.equal(rootElement.outerHTML, html);
+                assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[1, 5]]);
+
+                transaction.redo();
+                assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[8, 10], [11, 14]]);
+            });
+
+            it('Test applyToLines() and applyDiff()', () => {
+                let rootElement = createRootElement('<div><p>foo</p><p>bar</p></div>');
+                let ts1 = new TextStylization(rootElement, 'line');
+                ts1.applyToLines([1]);
+                assert.equal(rootElement.outerHTML, '<div><p>foo</p><p class="line">bar</p></div>');
+                ts1.clear();
+
+                let diffRootElement = createRootElement('<div></div>');
+                let ts2 = new TextStylization(diffRootElement, 'diff');
+                ts2.applyDiff('foo bar', 'foo baz');
+                assert.equal(diffRootElement.outerHTML,
+                    '<div>foo ba<span class="diff diff-delete">r</span>' +
+                    '<span class="diff diff-insert">z</span></div>');
+            });
+
+            it('Test SearchHighlighter', () => {
+                let rootElement = createRootElement('<div>foo bar foo</div>');
+                let environment = DomEnvironment.fromElement(rootElement);
+                assert.equal(environment.isRangeSupported(), implementation.isRangeSupported);
+
+                // 不支持 Range 时需要指定 createRange 选项
+                if (!environment.isRangeSupported()) {
+                    assert.throws(() => environment.createRange(), /createRange option/);
+
+                    let range = { setStart() { }, setEnd() { } };
+                    environment = DomEnvironment.fromElement(rootElement, { createRange: () => range });
+                    assert.ok(environment.isRangeSupported());
+                }
+
+                let sh1 = new SearchHighlighter(rootElement, 'match', null, null, {
+                    environment: environment
+                });
+
+                assert.equal(sh1.search('foo'), 2);
+                assert.ok(sh1.getCurrentRange() !== null);
+                if (implementation.isRangeSupported) {
+                    assert.equal(sh1.getCurrentRange().toString(), 'foo');
+                }
+
+                sh1.clear();
+                assert.equal(rootElement.outerHTML, '<div>foo bar foo</div>');
+            });
+
+            it('Test HighlightStylization', () => {
+                let rootElement = createRootElement('<div>foo <b>bar</b> baz</div>');
+                let highlightRegistry = new FakeHighlightRegistry();
+                let hs1 = new HighlightStylization(rootElement, 'foo', null, null, {
+                    highlightRegistry: highlightRegistry,
+                    highlightClass: FakeHighlight,
+                    // 使用实现自己的 Range（如果可用）
+                    createRange: implementation.isRangeSupported ? undefined : () => new FakeRange()
+                });
+                assert.equal(hs1.isHighlightMode, true);
+
+                let rangeGroups = hs1.applyToRanges([new TextSelection(2, 9)]);
+                assert.equal(rangeGroups[0][0].toString(), 'o bar b');
+                assert.equal(rootElement.outerHTML, '<div>foo <b>bar</b> baz</div>');
+
+                assert.equal(hs1.clear(), 1);
+                assert.equal(highlightRegistry.has('foo'), false);
+            });
+
+            it('Test AnnotationStylization', () => {
+                let rootElement = createRootElement('<div>teh fox</div>');
+                let as1 = new AnnotationStylization(rootElement, 'lint');
+
+                assert.equal(as1.setAnnotations([
+                    { start: 0, end: 3, severity: 'error', message: 'Unknown word' }
+                ]), 1);
+
+                // linkedom 序列化属性的顺序跟其他实现不同，所以逐一检查属性
+                let spanElement = rootElement.firstChild;
+                assert.equal(spanElement.className, 'lint lint-error');
+                assert.equal(spanElement.getAttribute('aria-describedby'), as1.annotations[0].descriptionElement.id);
+                assert.equal(spanElement.textContent, 'teh');
+                assert.equal(rootElement.nextElementSibling.firstChild.textContent, 'error: Unknown word');
+
+                let transaction = TextStylization.transact(() => as1.clear());
+                assert.equal(rootElement.outerHTML, '<div>teh fox</div>');
+                assert.equal(rootElement.nextElementSibling, null);
+
+                transaction.undo();
+                assert.deepEqual(as1.getElements(0), [rootElement.firstChild]);
+                as1.clear();
+            });
+
+            it('Test TrackedDecorations', async () => {
+                let rootElement = createRootElement('<div>0123456789</div>');
+                let environment = DomEnvironment.fromElement(rootElement);
+                assert.equal(environment.mutationObserverClass !== null, implementation.hasMutationObserver);
+
+                let trackedDecorations = new TrackedDecorations(rootElement, 'foo');
+                let id1 = trackedDecorations.add(new TextSelection(3, 6));
+                let id2 = trackedDecorations.add(new TextSelection(7, 9));
+
+                rootElement.firstChild.nodeValue = '0ab12';
+                assert.deepEqual(trackedDecorations.getRange(id1), { start: 5, end: 8 });
+                assert.equal(rootElement.outerHTML,
+                    '<div>0ab12<span class="foo">345</span>6<span class="foo">78</span>9</div>');
+
+                // 由 MutationObserver 的回调函数自动处理修改，而不需要调用 sync()
+                let events = [];
+                trackedDecorations.on('collapse', event => events.push(event));
+                rootElement.querySelector('span').firstChild.nodeValue = '';
+
+                if (implementation.hasMutationObserver) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                } else {
+                    trackedDecorations.sync();
+                }
+
+                assert.deepEqual(events.map(({ decoration }) => decoration.id), [id1]);
+                assert.deepEqual(trackedDecorations.getRange(id2), { start: 6, end: 8 });
+
+                trackedDecorations.disconnect();
+            });
+        });
+    }
+});
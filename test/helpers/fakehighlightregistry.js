@@ -0,0 +1,124 @@
+/**
+ * 单元测试所使用的 CSS Custom Highlight API 的替身（test double）
+ *
+ * - domino 包里并不存在 CSS.highlights、Highlight 以及 Document.createRange()，
+ *   所以单元测试使用当前模块的几个类代替。
+ * - 只实现了 HighlightStylization 用到的部分功能。
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/CSS_Custom_Highlight_API
+ */
+
+/**
+ * 代替 Highlight 对象
+ *
+ * 跟浏览器的 Highlight 一样，它是一个 Range 对象的 Set。
+ * https://developer.mozilla.org/en-US/docs/Web/API/Highlight
+ */
+class FakeHighlight extends Set {
+    constructor(...ranges) {
+        super(ranges);
+        this.priority = 0;
+        this.type = 'highlight';
+    }
+}
+
+/**
+ * 代替 CSS.highlights 对象
+ *
+ * 跟浏览器的 HighlightRegistry 一样，它是一个 Highlight 名称到 Highlight 对象的 Map。
+ * https://developer.mozilla.org/en-US/docs/Web/API/HighlightRegistry
+ */
+class FakeHighlightRegistry extends Map {
+}
+
+/**
+ * 代替 DOM Range 对象
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/Range
+ */
+class FakeRange {
+    constructor() {
+        this.startContainer = null;
+        this.startOffset = 0;
+        this.endContainer = null;
+        this.endOffset = 0;
+    }
+
+    setStart(node, offset) {
+        this.startContainer = node;
+        this.startOffset = offset;
+
+        if (this.endContainer === null) {
+            this.setEnd(node, offset);
+        }
+    }
+
+    setEnd(node, offset) {
+        this.endContainer = node;
+        this.endOffset = offset;
+    }
+
+    get collapsed() {
+        return this.startContainer === this.endContainer &&
+            this.startOffset === this.endOffset;
+    }
+
+    /**
+     * 返回 Range 范围之内的文本
+     *
+     * 只支持开始和结束位置都是 Text Node 的情况（HighlightStylization 构建的
+     * Range 都是这种情况）。
+     *
+     * @returns
+     */
+    toString() {
+        if (this.startContainer === null) {
+            return '';
+        }
+
+        if (this.startContainer === this.endContainer) {
+            return this.startContainer.nodeValue.substring(this.startOffset, this.endOffset);
+        }
+
+        let texts = [this.startContainer.nodeValue.substring(this.startOffset)];
+
+        // 按文档顺序遍历开始节点和结束节点之间的所有 Text Node
+        let node = nextNodeInDocumentOrder(this.startContainer);
+        while (node !== null && node !== this.endContainer) {
+            if (node.nodeType === 3) { // TEXT_NODE
+                texts.push(node.nodeValue);
+            }
+            node = nextNodeInDocumentOrder(node);
+        }
+
+        texts.push(this.endContainer.nodeValue.substring(0, this.endOffset));
+        return texts.join('');
+    }
+}
+
+/**
+ * 按文档顺序（即深度优先）获取下一个节点
+ *
+ * @param {*} node
+ * @returns 如果已经是最后一个节点，则返回 null。
+ */
+function nextNodeInDocumentOrder(node) {
+    if (node.firstChild !== null) {
+        return node.firstChild;
+    }
+
+    while (node !== null) {
+        if (node.nextSibling !== null) {
+            return node.nextSibling;
+        }
+        node = node.parentNode;
+    }
+
+    return null;
+}
+
+module.exports = {
+    FakeHighlight: FakeHighlight,
+    FakeHighlightRegistry: FakeHighlightRegistry,
+    FakeRange: FakeRange
+};
@@ -0,0 +1,180 @@
+// 每一个 domino Document 对象的观察者，以及它原先的修改处理函数，
+// {observers, originalHandler} 对象。
+const documentRecords = new WeakMap();
+
+/**
+ * 单元测试所使用的 MutationObserver 的替身（test double）
+ *
+ * - domino 包里并不存在 MutationObserver，所以单元测试使用当前模块代替。
+ * - 它通过 domino 的 Document._setMutationHandler() 接收 DOM 的修改通知，然后
+ *   转换为 MutationRecord 格式的对象。同一个文档的所有观察者共用一个修改处理函数，
+ *   所以观察者可以按任意顺序停止观察。
+ * - 跟浏览器不同，记录不会在微任务（microtask）里自动传递给回调函数，而是需要
+ *   调用 flush() 方法，以便单元测试可以确定地控制回调的时机。
+ * - 只实现了 TrackedDecorations 用到的部分功能。
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver
+ */
+class FakeMutationObserver {
+
+    /**
+     *
+     * @param {*} callback 回调函数，参数为 MutationRecord 的数组及当前对象。
+     */
+    constructor(callback) {
+        this.callback = callback;
+        this.records = [];
+
+        // 被观察的元素
+        this.target = null;
+        this.options = null;
+    }
+
+    /**
+     * 开始观察指定的元素
+     *
+     * @param {*} target
+     * @param {*} options 跟 MutationObserver.observe() 的一样，支持 childList、
+     *     characterData、attributes 及 subtree 属性。
+     */
+    observe(target, options = {}) {
+        this.disconnect();
+
+        let documentObject = target.ownerDocument;
+
+        this.target = target;
+        this.options = options;
+
+        let documentRecord = documentRecords.get(documentObject);
+        if (documentRecord === undefined) {
+            documentRecord = {
+                observers: new Set(),
+                originalHandler: documentObject.mutationHandler ?? null
+            };
+            documentRecords.set(documentObject, documentRecord);
+
+            documentObject._setMutationHandler(event => {
+                if (documentRecord.originalHandler !== null) {
+                    documentRecord.originalHandler(event);
+                }
+
+                let record = FakeMutationObserver._toMutationRecord(event);
+                if (record === null) {
+                    return;
+                }
+
+                for (let observer of documentRecord.observers) {
+                    if (observer._isObserved(record)) {
+                        observer.records.push(record);
+                    }
+                }
+            });
+        }
+
+        documentRecord.observers.add(this);
+    }
+
+    /**
+     * 停止观察，并丢弃尚未传递的记录
+     */
+    disconnect() {
+        if (this.target !== null) {
+            let documentObject = this.target.ownerDocument;
+            let documentRecord = documentRecords.get(documentObject);
+            documentRecord.observers.delete(this);
+
+            // 最后一个观察者停止观察时恢复原先的修改处理函数
+            if (documentRecord.observers.size === 0) {
+                documentObject._setMutationHandler(documentRecord.originalHandler);
+                documentRecords.delete(documentObject);
+            }
+        }
+
+        this.target = null;
+        this.options = null;
+        this.records = [];
+    }
+
+    /**
+     * 取出所有尚未传递的记录
+     *
+     * @returns 返回 MutationRecord 的数组
+     */
+    takeRecords() {
+        let records = this.records;
+        this.records = [];
+        return records;
+    }
+
+    /**
+     * 把所有尚未传递的记录传递给回调函数，相当于浏览器的微任务检查点。
+     *
+     * @returns 如果没有尚未传递的记录，则返回 false。
+     */
+    flush() {
+        let records = this.takeRecords();
+        if (records.length === 0) {
+            return false;
+        }
+
+        this.callback(records, this);
+        return true;
+    }
+
+    /**
+     * 判断记录是否符合观察的选项
+     *
+     * @param {*} record
+     * @returns
+     */
+    _isObserved(record) {
+        if (this.options[record.type] !== true) {
+            return false;
+        }
+
+        return (record.target === this.target) ||
+            (this.options.subtree === true && this.target.contains(record.target));
+    }
+
+    /**
+     * 把 domino 的修改通知转换为 MutationRecord 格式的对象
+     *
+     * 修改通知的类型常量请见 domino/lib/MutationConstants.js。
+     *
+     * @param {*} event
+     * @returns 如果是不支持的通知，则返回 null。
+     */
+    static _toMutationRecord(event) {
+        let createRecord = (type, target, addedNodes = [], removedNodes = []) => ({
+            type: type,
+            target: target,
+            addedNodes: addedNodes,
+            removedNodes: removedNodes
+        });
+
+        switch (event.type) {
+            case 1: // VALUE
+                return createRecord('characterData', event.target);
+
+            case 2: // ATTR
+            case 3: // REMOVE_ATTR
+                return createRecord('attributes', event.target);
+
+            case 4: // REMOVE
+                return (event.target === null) ? null :
+                    createRecord('childList', event.target, [], [event.node]);
+
+            case 5: // MOVE
+                return (event.target.parentNode === null) ? null :
+                    createRecord('childList', event.target.parentNode, [event.target], []);
+
+            case 6: // INSERT
+                return createRecord('childList', event.target, [event.node], []);
+
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = FakeMutationObserver;
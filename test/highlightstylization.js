@@ -0,0 +1,165 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { HighlightStylization } = require('../index');
+const { FakeHighlight, FakeHighlightRegistry, FakeRange } = require('./helpers/fakehighlightregistry');
+
+describe('HighlightStylization Test', () => {
+
+    let createDocumentObject = () => {
+        let doc1 = domino.createDocument(
+            '<div>01234<span class="foo">56789</span>abcdefghij</div>', true);
+        //    01234                    56789       0123456789
+
+        return doc1;
+    };
+
+    let createOptions = (highlightRegistry) => {
+        return {
+            highlightRegistry: highlightRegistry,
+            highlightClass: FakeHighlight,
+            createRange: () => new FakeRange()
+        };
+    };
+
+    it('Test applyToRanges() - highlight mode', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let originalHTML = rootElement.outerHTML;
+
+        let highlightRegistry = new FakeHighlightRegistry();
+        let hs1 = new HighlightStylization(rootElement, 'foo', documentObject, NodeFilter,
+            createOptions(highlightRegistry));
+
+        assert.equal(hs1.isHighlightMode, true);
+
+        let rangeGroups = hs1.applyToRanges([
+            new TextSelection(1, 3), // '12'
+            new TextSelection(3, 12), // '3456789ab'
+        ]);
+
+        // DOM 不会被修改
+        assert.equal(rootElement.outerHTML, originalHTML);
+
+        let highlight = highlightRegistry.get('foo');
+        assert.equal(highlight.size, 2);
+
+        let range1 = rangeGroups[0][0];
+        assert.equal(range1.toString(), '12');
+        assert.equal(range1.startContainer, rootElement.firstChild);
+        assert.equal(range1.startOffset, 1);
+        assert.equal(range1.endOffset, 3);
+
+        let range2 = rangeGroups[1][0];
+        assert.equal(range2.toString(), '3456789ab');
+        assert.equal(range2.startContainer, rootElement.firstChild);
+        assert.equal(range2.endContainer, rootElement.lastChild);
+        assert.equal(range2.endOffset, 2);
+
+        // 继续添加的 Range 会累加到同一个 Highlight
+        hs1.applyToRanges([new TextSelection(15, 20)]); // 'fghij'
+        assert.equal(highlight.size, 3);
+        assert.deepEqual([...highlight].map(r => r.toString()), ['12', '3456789ab', 'fghij']);
+    });
+
+    it('Test clear() and clearElement() - highlight mode', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let highlightRegistry = new FakeHighlightRegistry();
+        let hs1 = new HighlightStylization(rootElement, 'bar', documentObject, NodeFilter,
+            createOptions(highlightRegistry));
+
+        hs1.applyToRanges([
+            new TextSelection(1, 3), // '12'
+            new TextSelection(6, 8), // '67'
+        ]);
+
+        let spanElement = rootElement.querySelector('span');
+        hs1.clearElement(spanElement);
+        assert.deepEqual([...highlightRegistry.get('bar')].map(r => r.toString()), ['12']);
+
+        assert.equal(hs1.clear(), 1);
+        assert.equal(highlightRegistry.has('bar'), false);
+        assert.equal(hs1.clear(), 0);
+    });
+
+    it('Test clear() - instances sharing one registry', () => {
+        let documentObject = domino.createDocument('<div>0123456789</div><div>abcdefghij</div>', true);
+        let rootElement1 = documentObject.body.firstElementChild;
+        let rootElement2 = documentObject.body.lastElementChild;
+
+        // 不同根元素的实例使用相同的 className，共用同一个 Highlight 对象
+        let highlightRegistry = new FakeHighlightRegistry();
+        let hs1 = new HighlightStylization(rootElement1, 'match', documentObject, NodeFilter,
+            createOptions(highlightRegistry));
+        let hs2 = new HighlightStylization(rootElement2, 'match', documentObject, NodeFilter,
+            createOptions(highlightRegistry));
+
+        hs1.applyToRanges([new TextSelection(1, 3), new TextSelection(5, 7)]); // '12', '56'
+        hs2.applyToRanges([new TextSelection(0, 2)]); // 'ab'
+
+        let highlight = highlightRegistry.get('match');
+        assert.equal(highlight.size, 3);
+
+        // 只移除当前实例添加的 Range
+        hs1.clearElement(documentObject.body);
+        assert.deepEqual([...highlight].map(r => r.toString()), ['ab']);
+
+        hs1.applyToRanges([new TextSelection(1, 3)]); // '12'
+        assert.equal(hs1.clear(), 1);
+        assert.deepEqual([...highlight].map(r => r.toString()), ['ab']);
+        assert.ok(highlightRegistry.get('match') === highlight);
+
+        // Highlight 对象没有 Range 之后才被移除
+        assert.equal(hs2.clear(), 1);
+        assert.equal(highlightRegistry.has('match'), false);
+    });
+
+    it('Test registry of the root element\'s window', () => {
+        let windowObject = domino.createWindow('<div>0123456789</div>');
+        let rootElement = windowObject.document.body.firstElementChild;
+
+        // 根元素所在的 window（比如 iframe）的 CSS.highlights 和 Highlight 优先
+        windowObject.CSS = { highlights: new FakeHighlightRegistry() };
+        windowObject.Highlight = FakeHighlight;
+
+        let hs1 = new HighlightStylization(rootElement, 'foo', null, null, {
+            createRange: () => new FakeRange()
+        });
+        assert.equal(hs1.isHighlightMode, true);
+        assert.ok(hs1.highlightRegistry === windowObject.CSS.highlights);
+
+        hs1.applyToRanges([new TextSelection(1, 3)]); // '12'
+        assert.ok(windowObject.CSS.highlights.get('foo') instanceof FakeHighlight);
+    });
+
+    it('Test DOM fallback mode', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        // 非浏览器环境不存在 CSS.highlights，自动回退到 DOM 方式
+        let hs1 = new HighlightStylization(rootElement, 'bar', documentObject, NodeFilter);
+        assert.equal(hs1.isHighlightMode, false);
+
+        hs1.applyToRanges([new TextSelection(1, 3)]); // '12'
+        assert.equal(rootElement.outerHTML,
+            '<div>0<span class="bar">12</span>34<span class="foo">56789</span>abcdefghij</div>');
+
+        // 强制使用 DOM 方式
+        let hs2 = new HighlightStylization(rootElement, 'baz', documentObject, NodeFilter, {
+            ...createOptions(new FakeHighlightRegistry()),
+            mode: 'dom'
+        });
+        assert.equal(hs2.isHighlightMode, false);
+
+        // 强制使用 Highlight 方式，但当前环境不支持
+        assert.throws(() => {
+            new HighlightStylization(rootElement, 'baz', documentObject, NodeFilter, {
+                mode: 'highlight'
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { TextStylization, HtmlRenderer } = require('../index');
+
+describe('HtmlRenderer Test', () => {
+
+    // 在一个只包含该文本的新的根元素上调用 applyToRanges()
+    let renderWithDOM = (text, className, textSelections, decorations, options = {}) => {
+        let documentObject = domino.createDocument('<div></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        if (text !== '') {
+            rootElement.appendChild(documentObject.createTextNode(text));
+        }
+
+        let textStylization = new TextStylization(rootElement, className,
+            documentObject, NodeFilter, options);
+        textStylization.applyToRanges(textSelections, decorations);
+        return rootElement.innerHTML;
+    };
+
+    let assertSameHTML = (text, className, textSelections, decorations, options) => {
+        let html = HtmlRenderer.render(text, className, textSelections, decorations, options);
+        assert.equal(html, renderWithDOM(text, className, textSelections, decorations, options));
+        return html;
+    };
+
+    it('Test render()', () => {
+        let html = assertSameHTML('0123456789', 'foo',
+            [new TextSelection(2, 4), new TextSelection(6, 10)]);
+        assert.equal(html, '01<span class="foo">23</span>45<span class="foo">6789</span>');
+
+        assert.equal(assertSameHTML('0123456789', 'foo', [new TextSelection(0, 10)]),
+            '<span class="foo">0123456789</span>');
+        assert.equal(assertSameHTML('0123456789', 'foo', []), '0123456789');
+        assert.equal(assertSameHTML('', 'foo', [new TextSelection(0, 1)]), '');
+
+        // 无效的及超出范围的 TextSelection
+        assertSameHTML('0123456789', 'foo',
+            [new TextSelection(5, 3), new TextSelection(-2, 1), new TextSelection(8, 20)]);
+    });
+
+    it('Test render() - escaping', () => {
+        let html = assertSameHTML('a<b> & "c"\u00A0d', 'foo', [new TextSelection(1, 4)],
+            { attributes: { title: '"x" & <y>\u00A0' } });
+        assert.equal(html,
+            'a<span class="foo" title="&quot;x&quot; &amp; <y>&nbsp;">&lt;b&gt;</span>' +
+            ' &amp; "c"&nbsp;d');
+    });
+
+    it('Test render() - decorations and overlapping ranges', () => {
+        let decoration1 = { classNames: ['comment'], attributes: { 'data-ID': 1, title: 'one' } };
+        let decoration2 = { classNames: ['error', 'comment'], attributes: { title: 'two' } };
+        let decoration3 = { tagName: 'MARK', classNames: ['search'] };
+
+        let cases = [
+            // 部分重叠
+            [[new TextSelection(2, 6), new TextSelection(4, 8)], [decoration1, decoration2]],
+            // 完全包含
+            [[new TextSelection(2, 8), new TextSelection(4, 6)], [decoration1, decoration2]],
+            // 范围相同
+            [[new TextSelection(2, 6), new TextSelection(2, 6)], [decoration1, decoration2]],
+            // 开始位置相同
+            [[new TextSelection(0, 6), new TextSelection(0, 3)], [decoration2, decoration3]],
+            // 自定义标签名称
+            [[new TextSelection(3, 5), new TextSelection(0, 10)], [decoration3, decoration1]],
+            // 装饰相同的重叠范围会被合并
+            [[new TextSelection(1, 4), new TextSelection(3, 7)], decoration1]
+        ];
+
+        for (let [textSelections, decorations] of cases) {
+            assertSameHTML('0123456789', 'foo', textSelections, decorations);
+            assertSameHTML('0123456789', { className: 'bar', classNames: ['baz'] },
+                textSelections, decorations);
+        }
+
+        // 部分重叠的范围，重叠的部分同时有两个装饰，后面的装饰的属性值优先
+        assert.equal(HtmlRenderer.render('0123456789', 'foo',
+            [new TextSelection(2, 6), new TextSelection(4, 8)], [decoration1, decoration2]),
+            '01<span class="foo comment" data-id="1" title="one">23</span>' +
+            '<span class="foo comment error" data-id="1" title="two">45</span>' +
+            '<span class="foo error comment" title="two">67</span>89');
+
+        assert.throws(() => HtmlRenderer.render('0123', { className: 'foo', createElement: () => null },
+            [new TextSelection(0, 1)]), TypeError);
+    });
+
+    it('Test render() - offset unit', () => {
+        let text = 'a😀b👍🏽c';
+        for (let offsetUnit of ['utf16', 'codepoint', 'utf8', 'grapheme']) {
+            assertSameHTML(text, 'foo', [new TextSelection(1, 3), new TextSelection(4, 5)],
+                undefined, { offsetUnit: offsetUnit });
+        }
+    });
+
+    it('Test render() - random ranges', () => {
+        // 使用固定的伪随机数，以便结果可以重现
+        let seed = 7;
+        let random = (max) => {
+            seed = (seed * 16807) % 2147483647;
+            return seed % max;
+        };
+
+        let decorations = [null, { classNames: ['a'] }, { classNames: ['b'], attributes: { title: 'b' } }];
+
+        for (let idx = 0; idx < 100; idx++) {
+            let textSelections = [];
+            let selectedDecorations = [];
+            for (let count = random(5); count >= 0; count--) {
+                let start = random(12);
+                textSelections.push(new TextSelection(start, start + random(8)));
+                selectedDecorations.push(decorations[random(3)]);
+            }
+
+            assertSameHTML('0123456789ab', 'foo', textSelections, selectedDecorations);
+        }
+    });
+
+    it('Test renderStream()', () => {
+        let text = '<0123456789>'.repeat(10);
+        let textSelections = [new TextSelection(5, 30), new TextSelection(50, 51)];
+
+        let chunks = [...HtmlRenderer.renderStream(text, 'foo', textSelections, undefined, { chunkSize: 8 })];
+        assert.ok(chunks.every(chunk => chunk.length <= 8 * 4 || chunk.startsWith('<span')));
+        assert.ok(chunks.length > 10);
+        assert.equal(chunks.join(''), HtmlRenderer.render(text, 'foo', textSelections));
+        assert.equal(chunks.join(''), renderWithDOM(text, 'foo', textSelections));
+
+        // 不会截断代理对
+        assert.deepEqual([...HtmlRenderer.renderStream('a😀b', 'foo', [], undefined, { chunkSize: 2 })],
+            ['a', '😀', 'b']);
+        assert.deepEqual([...HtmlRenderer.renderStream('😀😁', 'foo', [], undefined, { chunkSize: 1 })],
+            ['😀', '😁']);
+        assert.deepEqual([...HtmlRenderer.renderStream('ab😀', 'foo', [], undefined, { chunkSize: 2 })],
+            ['ab', '😀']);
+    });
+});
@@ -0,0 +1,37 @@
+const assert = require('assert/strict');
+
+const { LineIndex } = require('../index');
+
+describe('LineIndex Test', () => {
+
+    it('Test offsetToPosition() and positionToOffset()', () => {
+        let lineIndex = new LineIndex('ab\ncde\n\nf');
+        //                             01 2345 6 7 8
+
+        assert.equal(lineIndex.lineCount, 4);
+        assert.deepEqual([0, 2, 3, 6, 7, 8, 9].map(offset => lineIndex.offsetToPosition(offset)), [
+            { line: 0, column: 0 },
+            { line: 0, column: 2 },
+            { line: 1, column: 0 },
+            { line: 1, column: 3 },
+            { line: 2, column: 0 },
+            { line: 3, column: 0 },
+            { line: 3, column: 1 }
+        ]);
+
+        assert.equal(lineIndex.positionToOffset({ line: 1, column: 2 }), 5);
+        // 列号超出行的长度时使用行的末尾
+        assert.equal(lineIndex.positionToOffset({ line: 0, column: 10 }), 2);
+        assert.ok(Number.isNaN(lineIndex.positionToOffset({ line: 4, column: 0 })));
+
+        assert.equal(lineIndex.getLineEnd(1), 6);
+        assert.equal(lineIndex.getLineEnd(1, true), 7);
+        assert.equal(lineIndex.getLineEnd(3, true), 9);
+    });
+
+    it('Test offset units', () => {
+        let lineIndex = new LineIndex('\u{1F600}a\nb', 'codepoint');
+        assert.equal(lineIndex.getLineStart(1), 3);
+        assert.deepEqual(lineIndex.offsetToPosition(4), { line: 1, column: 1 });
+    });
+});
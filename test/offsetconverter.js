@@ -0,0 +1,73 @@
+const assert = require('assert/strict');
+
+const { OffsetConverter } = require('../index');
+
+describe('OffsetConverter Test', () => {
+
+    // 'a' 1 字节，'é' 2 字节，'中' 3 字节，'😀' 4 字节（2 个 UTF-16 code unit）
+    let text = 'aé中😀b';
+    //          utf16:     0 1 2 3 5 6
+    //          codepoint: 0 1 2 3 4 5
+    //          utf8:      0 1 3 6 10 11
+
+    it('Test length', () => {
+        assert.equal(new OffsetConverter(text).length, 6);
+        assert.equal(new OffsetConverter(text, 'codepoint').length, 5);
+        assert.equal(new OffsetConverter(text, 'utf8').length, 11);
+        assert.equal(new OffsetConverter(text, 'grapheme').length, 5);
+    });
+
+    it('Test toUtf16() and fromUtf16()', () => {
+        let codePointConverter = new OffsetConverter(text, 'codepoint');
+        assert.deepEqual([0, 1, 2, 3, 4, 5].map(offset => codePointConverter.toUtf16(offset)),
+            [0, 1, 2, 3, 5, 6]);
+        assert.deepEqual([0, 1, 2, 3, 5, 6].map(offset => codePointConverter.fromUtf16(offset)),
+            [0, 1, 2, 3, 4, 5]);
+
+        let utf8Converter = new OffsetConverter(text, 'utf8');
+        assert.deepEqual([0, 1, 3, 6, 10, 11].map(offset => utf8Converter.toUtf16(offset)),
+            [0, 1, 2, 3, 5, 6]);
+        assert.deepEqual([0, 1, 2, 3, 5, 6].map(offset => utf8Converter.fromUtf16(offset)),
+            [0, 1, 3, 6, 10, 11]);
+
+        // 超出文本范围的位置按相同的差值转换
+        assert.equal(utf8Converter.toUtf16(13), 8);
+        assert.equal(utf8Converter.toUtf16(-1), -1);
+
+        assert.equal(OffsetConverter.convert(text, 10, 'utf8', 'codepoint'), 4);
+    });
+
+    it('Test alignment - never split a surrogate pair', () => {
+        // 落在 '😀' 的两个 code unit 之间
+        let utf16Converter = new OffsetConverter(text);
+        assert.equal(utf16Converter.toUtf16(4), 3);
+        assert.equal(utf16Converter.toUtf16(4, true), 5);
+
+        // 落在 '中' 的 UTF-8 字节之间
+        let utf8Converter = new OffsetConverter(text, 'utf8');
+        assert.equal(utf8Converter.toUtf16(4), 2);
+        assert.equal(utf8Converter.toUtf16(4, true), 3);
+
+        let codePointConverter = new OffsetConverter(text, 'codepoint');
+        assert.equal(codePointConverter.fromUtf16(4), 3);
+        assert.equal(codePointConverter.fromUtf16(4, true), 4);
+    });
+
+    it('Test grapheme unit', () => {
+        // 'e' + 组合用尖音符，以及由 ZWJ 连接的家庭 emoji
+        let graphemeText = 'xe\u0301\u{1F468}\u200D\u{1F469}\u200D\u{1F467}y';
+        let graphemeConverter = new OffsetConverter(graphemeText, 'grapheme');
+
+        assert.equal(graphemeConverter.length, 4);
+        assert.deepEqual([0, 1, 2, 3, 4].map(offset => graphemeConverter.toUtf16(offset)),
+            [0, 1, 3, 11, 12]);
+
+        // 落在字素簇中间的 UTF-16 位置
+        assert.equal(graphemeConverter.fromUtf16(5), 2);
+        assert.equal(graphemeConverter.fromUtf16(5, true), 3);
+    });
+
+    it('Test unsupported unit', () => {
+        assert.throws(() => new OffsetConverter(text, 'byte'), TypeError);
+    });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert/strict');
+
+const { PatternMatcher } = require('../index');
+
+describe('PatternMatcher Test', () => {
+
+    let toTuples = (matches) => matches.map(match => [match.start, match.end, match.className, match.text]);
+
+    it('Test findMatches() - regular expression', () => {
+        let text = 'let a = 1; let b = 22;';
+        //          0123456789012345678901
+
+        // 没有 g 标记的正则表达式同样会搜索所有匹配
+        let pattern = /\d+/;
+        assert.deepEqual(toTuples(PatternMatcher.findMatches(text, [
+            { pattern: pattern, className: 'number' }
+        ])), [
+            [8, 9, 'number', '1'],
+            [19, 21, 'number', '22']
+        ]);
+
+        // 调用者的正则表达式不会被改变
+        assert.equal(pattern.lastIndex, 0);
+    });
+
+    it('Test findMatches() - rule order and overlapping', () => {
+        let text = 'if iffy then';
+        //          012345678901
+
+        let matches = PatternMatcher.findMatches(text, [
+            { pattern: /\b(if|then)\b/g, className: 'keyword' },
+            { pattern: /\w+/g, className: 'identifier' },
+            { pattern: /i/g, className: 'letter' }
+        ]);
+
+        assert.deepEqual(toTuples(matches), [
+            [0, 2, 'keyword', 'if'],
+            [3, 7, 'identifier', 'iffy'],
+            [8, 12, 'keyword', 'then']
+        ]);
+    });
+
+    it('Test findMatches() - capture groups', () => {
+        let text = 'color = red; size = 12';
+        //          0123456789012345678901
+
+        let matches = PatternMatcher.findMatches(text, [
+            { pattern: /(\w+) (=)/g, groups: { 1: 'name', 2: 'operator' } },
+            { pattern: /= (?<value>\w+)/g, groups: { value: 'value' } }
+        ]);
+
+        assert.deepEqual(toTuples(matches), [
+            [0, 5, 'name', 'color'],
+            [6, 7, 'operator', '='],
+            [8, 11, 'value', 'red'],
+            [13, 17, 'name', 'size'],
+            [18, 19, 'operator', '='],
+            [20, 22, 'value', '12']
+        ]);
+    });
+
+    it('Test findMatches() - sticky, unicode and zero-length matches', () => {
+        // 有 y 标记时，匹配必须是连续的
+        let matches = PatternMatcher.findMatches('aaab aa', [
+            { pattern: /a/y, className: 'a' }
+        ]);
+        assert.deepEqual(matches.map(match => match.start), [0, 1, 2]);
+
+        // 零长度匹配不会导致死循环，也不会产生空的范围
+        matches = PatternMatcher.findMatches('abc', [
+            { pattern: /x*/g, className: 'x' }
+        ]);
+        assert.deepEqual(matches, []);
+
+        // 有 u 标记时，不会截断代理对
+        let text = '😀a😀';
+        matches = PatternMatcher.findMatches(text, [
+            { pattern: /(?:)|a/gu, className: 'empty' },
+            { pattern: /\p{Emoji_Presentation}/gu, className: 'emoji' }
+        ]);
+        assert.deepEqual(toTuples(matches), [
+            [0, 2, 'emoji', '😀'],
+            [3, 5, 'emoji', '😀']
+        ]);
+    });
+
+    it('Test findMatches() - tokenizer function', () => {
+        let text = 'foo bar';
+        let matches = PatternMatcher.findMatches(text, [
+            {
+                tokenize: (text) => [
+                    { start: 0, end: 3 },
+                    { start: 4, end: 7, className: 'special' }
+                ],
+                className: 'token'
+            }
+        ]);
+
+        assert.deepEqual(toTuples(matches), [
+            [0, 3, 'token', 'foo'],
+            [4, 7, 'special', 'bar']
+        ]);
+    });
+});
@@ -0,0 +1,140 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { SearchHighlighter } = require('../index');
+const { FakeRange } = require('./helpers/fakehighlightregistry');
+
+describe('SearchHighlighter Test', () => {
+
+    let createDocumentObject = (html) => {
+        return domino.createDocument('<div>' + html + '</div>', true);
+    };
+
+    it('Test search() and navigation', () => {
+        let documentObject = createDocumentObject('Foo bar <span class="em">foo</span> food');
+        let rootElement = documentObject.body.firstElementChild;
+
+        let sh1 = new SearchHighlighter(rootElement, 'match', documentObject, NodeFilter);
+        assert.equal(sh1.search('foo'), 3);
+        assert.equal(sh1.currentIndex, 0);
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="match match-current">Foo</span> bar ' +
+            '<span class="em match">foo</span> <span class="match">foo</span>d</div>');
+
+        assert.deepEqual(sh1.next(), { start: 8, end: 11, text: 'foo' });
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="match">Foo</span> bar ' +
+            '<span class="em match match-current">foo</span> <span class="match">foo</span>d</div>');
+
+        sh1.next();
+        assert.equal(sh1.currentIndex, 2);
+        sh1.next();
+        assert.equal(sh1.currentIndex, 0);
+        sh1.previous();
+        assert.equal(sh1.currentIndex, 2);
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="match">Foo</span> bar ' +
+            '<span class="em match">foo</span> <span class="match match-current">foo</span>d</div>');
+
+        assert.equal(sh1.goTo(1).start, 8);
+        assert.throws(() => sh1.goTo(3), RangeError);
+
+        let currentElements = sh1.getCurrentElements();
+        assert.equal(currentElements.length, 1);
+        assert.ok(currentElements[0] === rootElement.querySelector('.em'));
+
+        sh1.clear();
+        assert.equal(sh1.matchCount, 0);
+        assert.equal(sh1.currentMatch, null);
+        assert.equal(rootElement.outerHTML,
+            '<div>Foo bar <span class="em">foo</span> food</div>');
+    });
+
+    it('Test search() - options', () => {
+        let documentObject = createDocumentObject('Foo bar foo food');
+        let rootElement = documentObject.body.firstElementChild;
+
+        let sh1 = new SearchHighlighter(rootElement, 'match', documentObject, NodeFilter, {
+            currentClassName: 'current'
+        });
+
+        assert.equal(sh1.search('foo', { caseSensitive: true }), 2);
+        assert.equal(sh1.search('foo', { wholeWord: true }), 2);
+        assert.deepEqual(sh1.matches.map(match => match.start), [0, 8]);
+
+        assert.equal(sh1.search('fo+d?', { regExp: true }), 3);
+        assert.deepEqual(sh1.matches.map(match => match.text), ['Foo', 'foo', 'food']);
+
+        // 新的搜索会移除先前的样式
+        assert.equal(sh1.search('bar'), 1);
+        assert.equal(rootElement.outerHTML,
+            '<div>Foo <span class="match current">bar</span> foo food</div>');
+
+        assert.equal(sh1.search('baz'), 0);
+        assert.equal(sh1.next(), null);
+        assert.equal(rootElement.outerHTML, '<div>Foo bar foo food</div>');
+    });
+
+    it('Test search() - diacritics and Unicode normalization', () => {
+        // 第一个 'é' 是 U+00E9，第二个是 'e' + U+0301
+        let documentObject = createDocumentObject('résumé and résumé, resume');
+        let rootElement = documentObject.body.firstElementChild;
+
+        let sh1 = new SearchHighlighter(rootElement, 'match', documentObject, NodeFilter);
+
+        assert.equal(sh1.search('résumé'), 1);
+        assert.equal(sh1.search('résumé', { ignoreNormalization: true }), 2);
+        assert.deepEqual(sh1.matches.map(match => match.text),
+            ['résumé', 'résumé']);
+
+        assert.equal(sh1.search('resume', { ignoreDiacritics: true }), 3);
+        assert.deepEqual(sh1.matches.map(match => match.text),
+            ['résumé', 'résumé', 'resume']);
+        assert.deepEqual(sh1.matches.map(match => [match.start, match.end]),
+            [[0, 6], [11, 19], [21, 27]]);
+    });
+
+    it('Test getCurrentRange()', () => {
+        let documentObject = createDocumentObject('abc <span class="em">xy</span>z abc');
+        let rootElement = documentObject.body.firstElementChild;
+
+        let sh1 = new SearchHighlighter(rootElement, 'match', documentObject, NodeFilter, {
+            createRange: () => new FakeRange()
+        });
+
+        assert.equal(sh1.getCurrentRange(), null);
+
+        sh1.search('xyz');
+        let range = sh1.getCurrentRange();
+        assert.equal(range.toString(), 'xyz');
+    });
+
+    it('Test search() - regular expression across block boundary', () => {
+        let documentObject = createDocumentObject('<p>a</p><p>b</p>');
+        let rootElement = documentObject.body.firstElementChild;
+
+        let sh1 = new SearchHighlighter(rootElement, 'match', documentObject, NodeFilter, {
+            createRange: () => new FakeRange()
+        });
+
+        // 只匹配块元素之间的换行符，没有可以风格化的文本
+        assert.equal(sh1.search('\\n', { regExp: true }), 0);
+        assert.equal(sh1.currentMatch, null);
+        assert.equal(sh1.next(), null);
+        assert.equal(sh1.getCurrentRange(), null);
+        assert.equal(rootElement.outerHTML, '<div><p>a</p><p>b</p></div>');
+
+        // 跨越块元素的匹配
+        assert.equal(sh1.search('a\\nb', { regExp: true }), 1);
+        assert.equal(rootElement.outerHTML,
+            '<div><p><span class="match match-current">a</span></p>' +
+            '<p><span class="match match-current">b</span></p></div>');
+        assert.equal(sh1.getCurrentRange().toString(), 'ab');
+
+        // 文本被修改之后，当前匹配的范围之内没有文本节点
+        sh1.search('b');
+        rootElement.lastChild.textContent = '';
+        assert.equal(sh1.getCurrentRange(), null);
+    });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { TextStylization, StylizationHistory } = require('../index');
+
+describe('StylizationHistory Test', () => {
+
+    let createRootElement = () => {
+        let documentObject = domino.createDocument('<div>0123456789</div>', true);
+        return documentObject.body.firstElementChild;
+    };
+
+    it('Test undo() and redo()', () => {
+        let rootElement = createRootElement();
+        let documentObject = rootElement.ownerDocument;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        let history = new StylizationHistory();
+
+        assert.equal(history.canUndo, false);
+
+        history.transact(() => ts1.applyToRanges([new TextSelection(1, 3)]));
+        history.transact(() => ts1.applyToRanges([new TextSelection(5, 7)]));
+        assert.equal(rootElement.outerHTML,
+            '<div>0<span class="foo">12</span>34<span class="foo">56</span>789</div>');
+
+        assert.equal(history.undo(), true);
+        assert.equal(rootElement.outerHTML, '<div>0<span class="foo">12</span>3456789</div>');
+        assert.equal(history.undo(), true);
+        assert.equal(rootElement.outerHTML, '<div>0123456789</div>');
+        assert.equal(history.undo(), false);
+
+        assert.equal(history.redo(), true);
+        assert.equal(rootElement.outerHTML, '<div>0<span class="foo">12</span>3456789</div>');
+
+        // 新的事务会清空重做栈
+        history.transact(() => ts1.clear());
+        assert.equal(history.canRedo, false);
+        assert.equal(rootElement.outerHTML, '<div>0123456789</div>');
+
+        // 没有修改 DOM 的事务不会产生历史记录
+        history.transact(() => ts1.clear());
+        history.undo();
+        assert.equal(rootElement.outerHTML, '<div>0<span class="foo">12</span>3456789</div>');
+    });
+
+    it('Test coalescing', () => {
+        let rootElement = createRootElement();
+        let documentObject = rootElement.ownerDocument;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        let time = 0;
+        let history = new StylizationHistory({ coalesceInterval: 100, now: () => time });
+
+        let toggle = (textSelection) => history.transact(() => {
+            if (ts1.getRanges().length > 0) {
+                ts1.clear();
+            } else {
+                ts1.applyToRanges([textSelection]);
+            }
+        }, { coalesceKey: 'toggle' });
+
+        toggle(new TextSelection(1, 3));
+        time = 50;
+        toggle(new TextSelection(1, 3));
+        time = 100;
+        toggle(new TextSelection(4, 6));
+        assert.equal(rootElement.outerHTML, '<div>0123<span class="foo">45</span>6789</div>');
+
+        // 三次切换被合并为一条历史记录
+        assert.equal(history.undoStack.length, 1);
+        history.undo();
+        assert.equal(rootElement.outerHTML, '<div>0123456789</div>');
+        history.redo();
+
+        // 超出间隔的不再合并
+        time = 300;
+        toggle(new TextSelection(4, 6));
+        assert.equal(history.undoStack.length, 2);
+        history.undo();
+        assert.equal(rootElement.outerHTML, '<div>0123<span class="foo">45</span>6789</div>');
+    });
+});
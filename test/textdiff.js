@@ -0,0 +1,90 @@
+const assert = require('assert/strict');
+
+const { TextDiff } = require('../index');
+
+describe('TextDiff Test', () => {
+
+    // 从差异还原出旧的及新的文本
+    let restore = (operations) => [
+        operations.filter(({ type }) => type !== 'insert').map(({ text }) => text).join(''),
+        operations.filter(({ type }) => type !== 'delete').map(({ text }) => text).join('')
+    ];
+
+    it('Test diff() - char', () => {
+        let operations = TextDiff.diff('abcabba', 'cbabac');
+        assert.deepEqual(restore(operations), ['abcabba', 'cbabac']);
+
+        // 最短的编辑脚本：删除 3 个字符，插入 2 个字符
+        let count = (type) => operations.filter(operation => operation.type === type)
+            .map(({ text }) => text).join('').length;
+        assert.equal(count('delete'), 3);
+        assert.equal(count('insert'), 2);
+
+        assert.deepEqual(TextDiff.diff('hello world', 'hello there world'), [
+            { type: 'equal', text: 'hello ' },
+            { type: 'insert', text: 'there ' },
+            { type: 'equal', text: 'world' }
+        ]);
+
+        // 不会截断代理对
+        assert.deepEqual(TextDiff.diff('a😀b', 'a😁b'), [
+            { type: 'equal', text: 'a' },
+            { type: 'delete', text: '😀' },
+            { type: 'insert', text: '😁' },
+            { type: 'equal', text: 'b' }
+        ]);
+
+        assert.deepEqual(TextDiff.diff('', 'abc'), [{ type: 'insert', text: 'abc' }]);
+        assert.deepEqual(TextDiff.diff('abc', ''), [{ type: 'delete', text: 'abc' }]);
+        assert.deepEqual(TextDiff.diff('abc', 'abc'), [{ type: 'equal', text: 'abc' }]);
+        assert.deepEqual(TextDiff.diff('', ''), []);
+    });
+
+    it('Test diff() - word', () => {
+        assert.deepEqual(TextDiff.diff('the quick brown fox', 'the slow brown dog!', 'word'), [
+            { type: 'equal', text: 'the ' },
+            { type: 'delete', text: 'quick' },
+            { type: 'insert', text: 'slow' },
+            { type: 'equal', text: ' brown ' },
+            { type: 'delete', text: 'fox' },
+            { type: 'insert', text: 'dog!' }
+        ]);
+
+        assert.deepEqual(TextDiff.tokenize('foo_1, bar  baz', 'word'),
+            ['foo_1', ',', ' ', 'bar', '  ', 'baz']);
+        assert.throws(() => TextDiff.tokenize('foo', 'line'), TypeError);
+    });
+
+    it('Test diff() - random texts', () => {
+        // 使用固定的伪随机数，以便结果可以重现
+        let seed = 1;
+        let random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        let randomText = () => Array.from({ length: Math.floor(random() * 12) },
+            () => 'abc'[Math.floor(random() * 3)]).join('');
+
+        for (let idx = 0; idx < 200; idx++) {
+            let oldText = randomText();
+            let newText = randomText();
+            assert.deepEqual(restore(TextDiff.diff(oldText, newText)), [oldText, newText]);
+        }
+    });
+
+    it('Test diff() - large texts', () => {
+        // 完全不同的两个文本，编辑脚本的长度即两个文本的长度之和
+        let oldText = 'abcdefgh'.repeat(200);
+        let newText = 'ijklmnop'.repeat(200);
+        assert.deepEqual(TextDiff.diff(oldText, newText), [
+            { type: 'delete', text: oldText },
+            { type: 'insert', text: newText }
+        ]);
+
+        // 分散的修改
+        let changedText = oldText.replace(/c/g, 'X');
+        let operations = TextDiff.diff(oldText, changedText);
+        assert.deepEqual(restore(operations), [oldText, changedText]);
+        assert.equal(operations.filter(({ type }) => type === 'delete').length, 200);
+    });
+});
@@ -0,0 +1,152 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextModel } = require('../index');
+
+describe('TextModel Test', () => {
+
+    let createTextModel = (html, options) => {
+        let documentObject = domino.createDocument('<div>' + html + '</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        return new TextModel(rootElement, documentObject, NodeFilter, options);
+    };
+
+    it('Test text - plain text and inline elements', () => {
+        let textModel = createTextModel('012<span class="foo">345</span>6789');
+        assert.equal(textModel.text, '0123456789');
+        assert.deepEqual(textModel.textSegments.map(segment => [segment.start, segment.end]),
+            [[0, 3], [3, 6], [6, 10]]);
+    });
+
+    it('Test text - blocks and line breaks', () => {
+        assert.equal(createTextModel('<p>ab</p><p>cd</p>').text, 'ab\ncd');
+        assert.equal(createTextModel('ab<p>cd</p>ef').text, 'ab\ncd\nef');
+        assert.equal(createTextModel('<ul><li>ab</li><li><b>cd</b></li></ul>').text, 'ab\ncd');
+        assert.equal(createTextModel('ab<br>cd').text, 'ab\ncd');
+
+        // 块元素末尾的 <br> 是空行的占位元素
+        assert.equal(createTextModel('<p>ab<br></p><p>cd</p>').text, 'ab\ncd');
+        assert.equal(createTextModel('<p>ab</p><p><br></p><p>cd</p>').text, 'ab\n\ncd');
+
+        // 自定义块元素
+        assert.equal(createTextModel('<p>ab</p><p>cd</p>', { blockTagNames: [] }).text, 'abcd');
+    });
+
+    it('Test text - whitespace between blocks', () => {
+        // 缩进的 HTML 源代码里的换行及缩进被忽略
+        let textModel = createTextModel('\n  <p>ab</p>\n  <p>cd <b>e</b></p>\n');
+        assert.equal(textModel.text, 'ab\ncd e');
+        assert.deepEqual(textModel.textSegments.map(segment => segment.node.nodeValue), ['ab', 'cd ', 'e']);
+
+        assert.equal(createTextModel('<ul>\n\t<li>ab</li>\n\t<li>\n\t\t<p>cd</p>\n\t</li>\n</ul>').text, 'ab\ncd');
+
+        // 行内元素之间的、不在块元素边界的以及 <pre> 元素之内的空白文本保留
+        assert.equal(createTextModel('<p><b>ab</b> <i>cd</i></p>').text, 'ab cd');
+        assert.equal(createTextModel('<p>ab</p> <span>cd</span>').text, 'ab\n cd');
+        assert.equal(createTextModel('<pre><div>ab</div>\n<div>cd</div></pre>').text, 'ab\n\n\ncd');
+        assert.equal(createTextModel('<p>\u00A0</p>').text, '\u00A0');
+
+        // 不包含换行的空白文本（比如只有缩进的行）以及根元素唯一的子节点保留
+        assert.equal(createTextModel('<div>ab</div><div>    </div>\n<div>cd</div>').text, 'ab\n    \ncd');
+        assert.equal(createTextModel('\n').text, '\n');
+    });
+
+    it('Test text - atomic elements', () => {
+        let html = 'ab<img src="a.png">cd<span contenteditable="false">widget</span>ef';
+        assert.equal(createTextModel(html).text, 'ab\uFFFCcd\uFFFCef');
+        assert.equal(createTextModel(html, { atomicLength: 0 }).text, 'abcdef');
+        assert.equal(createTextModel(html, { atomicLength: 2 }).text, 'ab\uFFFC\uFFFCcd\uFFFC\uFFFCef');
+
+        let textModel = createTextModel(html, { atomicSelector: 'img' });
+        assert.equal(textModel.text, 'ab\uFFFCcdwidgetef');
+    });
+
+    it('Test findStart() and findEnd()', () => {
+        let textModel = createTextModel('<p>ab</p><p>cd</p>');
+        //                                   01  2   34
+
+        assert.equal(textModel.findStart(1).offset, 1);
+        assert.equal(textModel.findStart(1).index, 0);
+
+        // 落在换行符上
+        assert.equal(textModel.findStart(2).index, 1);
+        assert.equal(textModel.findStart(2).offset, 0);
+        assert.equal(textModel.findEnd(3).index, 0);
+        assert.equal(textModel.findEnd(3).offset, 2);
+
+        assert.equal(textModel.findEnd(5).index, 1);
+        assert.equal(textModel.findEnd(5).offset, 2);
+
+        assert.equal(textModel.findStart(5), null);
+        assert.equal(textModel.findEnd(0), null);
+    });
+
+    it('Test getPosition() and findCaret()', () => {
+        let textModel = createTextModel('<p>ab</p><p>c<img src="a.png">d</p>');
+        //                                   01  2   3 4             5
+        let rootElement = textModel.rootElement;
+        let [paragraph1, paragraph2] = rootElement.childNodes;
+
+        assert.equal(textModel.getPosition(paragraph1.firstChild, 1), 1);
+        assert.equal(textModel.getPosition(rootElement, 0), 0);
+        assert.equal(textModel.getPosition(paragraph2, 0), 3);
+        assert.equal(textModel.getPosition(paragraph2, 2), 5);
+        assert.equal(textModel.getPosition(paragraph2.childNodes[1], 0), 4);
+        assert.equal(textModel.getPosition(paragraph1, 1), 2);
+        assert.equal(textModel.getPosition(rootElement, 2), 6);
+
+        // 优先保持在前一个 Text Node 的末尾
+        assert.ok(textModel.findCaret(2).node === paragraph1.firstChild);
+        assert.equal(textModel.findCaret(2).offset, 2);
+        assert.ok(textModel.findCaret(3).node === paragraph2.firstChild);
+        assert.equal(textModel.findCaret(3).offset, 0);
+        assert.ok(textModel.findCaret(5).node === paragraph2.lastChild);
+        assert.equal(textModel.findCaret(5).offset, 0);
+        assert.ok(textModel.findCaret(0).node === paragraph1.firstChild);
+    });
+
+    it('Test getPosition() - large documents', () => {
+        let paragraphs = [];
+        for (let idx = 0; idx < 2000; idx++) {
+            paragraphs.push('<p>line <img src="a.png"> ' + idx + '</p>');
+        }
+
+        let textModel = createTextModel(paragraphs.join(''));
+        let rootElement = textModel.rootElement;
+        let paragraph = rootElement.childNodes[1000];
+
+        // 统计 compareDocumentPosition() 的调用次数，二分查找只需要对数次
+        let countCalls = (node, callback) => {
+            let calls = 0;
+            let compareDocumentPosition = node.compareDocumentPosition;
+            node.compareDocumentPosition = function (otherNode) {
+                calls++;
+                return compareDocumentPosition.call(this, otherNode);
+            };
+
+            let result = callback();
+            delete node.compareDocumentPosition;
+            return { calls, result };
+        };
+
+        // 每一行为 'line \uFFFC ' + 序号 + '\n'
+        let lineStart = textModel.text.split('\n').slice(0, 1000).join('\n').length + 1;
+
+        let { calls, result } = countCalls(paragraph, () => textModel.getPosition(rootElement, 1000));
+        assert.equal(result, lineStart - 1);
+        assert.ok(calls <= 30, 'calls: ' + calls);
+
+        ({ calls, result } = countCalls(paragraph, () => textModel.getPosition(paragraph, 3)));
+        assert.equal(result, lineStart + 'line \uFFFC 1000'.length);
+        assert.ok(calls <= 30, 'calls: ' + calls);
+
+        // 原子元素之内，以及 Text Node 之内的位置不需要比较节点
+        let imageElement = paragraph.querySelector('img');
+        ({ calls, result } = countCalls(imageElement, () => textModel.getPosition(imageElement, 0)));
+        assert.equal(result, lineStart + 'line '.length);
+        assert.equal(calls, 0);
+
+        assert.equal(textModel.getPosition(paragraph.lastChild, 2), lineStart + 'line \uFFFC 1'.length);
+    });
+});
@@ -3,7 +3,7 @@ const domino = require('domino');
 const NodeFilter = require('domino/lib/NodeFilter');
 
 const { TextSelection } = require('jstextselection');
-const { TextStylization } = require('../index');
+const { TextStylization, TextStylizationRangeError, TextModel } = require('../index');
 
 describe('TextStylization Test', () => {
 
@@ -86,4 +86,1184 @@ describe('TextStylization Test', () => {
             '<div>01234<span class="foo">56789<span class="bar">abc</span></span>' +
             '<span class="bar">def</span>ghij</div>');
     });
+
+    it('Test clear()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(5, 13)]); // '56789abc'
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        ts2.applyToRanges([new TextSelection(10, 16)]); // 'abcdef'
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">56789<span class="bar">abc</span></span>' +
+            '<span class="bar">def</span>ghij</div>');
+
+        assert.equal(ts2.clear(), 2);
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">56789abc</span>defghij</div>');
+
+        assert.equal(ts1.clear(), 1);
+        assert.equal(rootElement.outerHTML,
+            '<div>0123456789abcdefghij</div>');
+        assert.equal(rootElement.childNodes.length, 1);
+    });
+
+    it('Test clearRanges()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(2, 18)]); // '23456789abcdefgh'
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo">23456789abcdefgh</span>ij</div>');
+
+        // clear the middle part of a span
+        let clearedNodeGroups = ts1.clearRanges([new TextSelection(5, 8)]); // '567'
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo">234</span>567<span class="foo">89abcdefgh</span>ij</div>');
+        assert.equal(clearedNodeGroups[0].length, 1);
+        assert.equal(clearedNodeGroups[0][0].nodeValue, '567');
+
+        // clear the head and tail parts, the freed text is merged with the
+        // neighbouring text nodes
+        clearedNodeGroups = ts1.clearRanges([
+            new TextSelection(1, 3), // '12'
+            new TextSelection(16, 19), // 'ghi'
+        ]);
+        assert.equal(rootElement.outerHTML,
+            '<div>012<span class="foo">34</span>567<span class="foo">89abcdef</span>ghij</div>');
+        assert.equal(clearedNodeGroups[0][0].nodeValue, '012');
+        assert.equal(clearedNodeGroups[1][0].nodeValue, 'ghij');
+        assert.equal(rootElement.childNodes.length, 5);
+
+        // clear across multiple spans
+        ts1.clearRanges([new TextSelection(3, 10)]); // '3456789'
+        assert.equal(rootElement.outerHTML,
+            '<div>0123456789<span class="foo">abcdef</span>ghij</div>');
+        assert.equal(rootElement.firstChild.nodeValue, '0123456789');
+
+        // clear the text which is not styled
+        clearedNodeGroups = ts1.clearRanges([new TextSelection(0, 3)]);
+        assert.equal(clearedNodeGroups[0].length, 0);
+        assert.equal(rootElement.outerHTML,
+            '<div>0123456789<span class="foo">abcdef</span>ghij</div>');
+    });
+
+    it('Test clearRanges() - nested style', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(5, 16)]); // '56789abcdef'
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        ts2.applyToRanges([new TextSelection(8, 13)]); // '89abc'
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">567<span class="bar">89abc</span>def</span>ghij</div>');
+
+        // clear the outer style
+        ts1.clearRanges([new TextSelection(9, 11)]); // '9a'
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">567<span class="bar">8</span></span>' +
+            '<span class="bar">9a</span>' +
+            '<span class="foo"><span class="bar">bc</span>def</span>ghij</div>');
+
+        // clear the inner style
+        ts2.clearRanges([new TextSelection(8, 13)]); // '89abc'
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">5678</span>9a' +
+            '<span class="foo">bcdef</span>ghij</div>');
+    });
+
+    it('Test applyToRanges() - decorations', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, {
+            className: 'foo',
+            classNames: ['foo-default'],
+            attributes: { 'data-source': 'lint' }
+        }, documentObject, NodeFilter);
+
+        ts1.applyToRanges([
+            new TextSelection(0, 2), // '01'
+            new TextSelection(3, 6), // '345'
+            new TextSelection(7, 11), // '789a'
+        ], [
+            null,
+            { classNames: ['warning', 'underline'], attributes: { title: 'Unused', 'aria-label': 'warning' } },
+            { tagName: 'mark', attributes: { 'data-id': 7 } }
+        ]);
+
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="foo foo-default" data-source="lint">01</span>2' +
+            '<span class="foo foo-default warning underline" data-source="lint" title="Unused" aria-label="warning">345</span>6' +
+            '<mark class="foo foo-default" data-source="lint" data-id="7">789a</mark>bcdefghij</div>');
+
+        // 使用函数构建容器元素
+        ts1.applyToRanges([new TextSelection(14, 16)], { // 'ef'
+            createElement: (doc) => {
+                let element = doc.createElement('a');
+                element.setAttribute('href', '#ef');
+                return element;
+            }
+        });
+
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="foo foo-default" data-source="lint">01</span>2' +
+            '<span class="foo foo-default warning underline" data-source="lint" title="Unused" aria-label="warning">345</span>6' +
+            '<mark class="foo foo-default" data-source="lint" data-id="7">789a</mark>bcd' +
+            '<a href="#ef" class="foo foo-default" data-source="lint">ef</a>ghij</div>');
+
+        assert.equal(ts1.clear(), 4);
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+        assert.equal(rootElement.childNodes.length, 1);
+    });
+
+    it('Test clearElement() - decorations on existing element', () => {
+        let documentObject = domino.createDocument(
+            '<div>01<b class="bold" title="original">234</b>56</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        // 整个 Text Node 被风格化时，装饰会被添加到它的父元素
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(2, 5)], { // '234'
+            classNames: ['bold', 'extra'],
+            attributes: { title: 'changed', 'data-id': '1' }
+        });
+
+        let boldElement = rootElement.querySelector('b');
+        assert.equal(boldElement.outerHTML,
+            '<b class="bold foo extra" title="changed" data-id="1">234</b>');
+
+        // 不同的实例也能撤销装饰
+        let ts2 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts2.clearElement(boldElement);
+        assert.equal(rootElement.outerHTML,
+            '<div>01<b class="bold" title="original">234</b>56</div>');
+
+        // 指定了 tagName 时，不会借用父元素
+        ts1.applyToRanges([new TextSelection(2, 5)], { tagName: 'mark' }); // '234'
+        assert.equal(rootElement.outerHTML,
+            '<div>01<b class="bold" title="original"><mark class="foo">234</mark></b>56</div>');
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML,
+            '<div>01<b class="bold" title="original">234</b>56</div>');
+    });
+
+    it('Test clearElement() - elements without decoration records', () => {
+        let documentObject = domino.createDocument(
+            '<div>0<span class="foo"><b>12</b>3</span><span class="foo" title="t">45</span>6</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        // 不包含其他属性的 span 元素被视为容器元素，即使它的第一个子节点是元素
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.clearElement(rootElement.querySelector('span'));
+        assert.equal(rootElement.outerHTML,
+            '<div>0<b>12</b>3<span class="foo" title="t">45</span>6</div>');
+
+        // 包含其他属性的 span 元素只移除 class 属性
+        ts1.clearElement(rootElement.querySelector('span'));
+        assert.equal(rootElement.outerHTML,
+            '<div>0<b>12</b>3<span title="t">45</span>6</div>');
+    });
+
+    it('Test clearRanges() - decorations', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(2, 8)], { // '234567'
+            tagName: 'mark',
+            attributes: { 'data-id': '1' }
+        });
+
+        ts1.clearRanges([new TextSelection(4, 6)]); // '45'
+        assert.equal(rootElement.outerHTML,
+            '<div>01<mark class="foo" data-id="1">23</mark>45' +
+            '<mark class="foo" data-id="1">67</mark>89abcdefghij</div>');
+
+        // 分割出来的元素同样可以被撤销
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+    });
+
+    it('Test normalize()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(5, 16)]); // '56789abcdef'
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        ts2.applyToRanges([new TextSelection(10, 13)]); // 'abc'
+        ts2.applyToRanges([new TextSelection(13, 16)]); // 'def'
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">56789<span class="bar">abc</span>' +
+            '<span class="bar">def</span></span>ghij</div>');
+
+        let fooElement = rootElement.querySelector('.foo');
+        let barElements = rootElement.querySelectorAll('.bar');
+
+        let result = ts1.normalize();
+        assert.equal(rootElement.outerHTML,
+            '<div>01234<span class="foo">56789<span class="bar">abcdef</span></span>ghij</div>');
+
+        assert.equal(result.removedNodes.length, 2); // the 2nd span.bar and its text node
+        assert.ok(result.replacedNodeMap.get(barElements[1]) === barElements[0]);
+        assert.equal(result.modifiedNodes.length, 2);
+        assert.ok(result.modifiedNodes[0] === barElements[0]);
+        assert.ok(result.modifiedNodes[1] === barElements[0].firstChild);
+        assert.ok(fooElement.parentNode === rootElement);
+
+        // nothing to normalize
+        result = ts1.normalize();
+        assert.equal(result.removedNodes.length, 0);
+        assert.equal(result.modifiedNodes.length, 0);
+    });
+
+    it('Test normalize() - nested, empty and class-less containers', () => {
+        let documentObject = domino.createDocument(
+            '<div>01<span class="foo"><span class="bar" data-id="1">23</span></span>' +
+            '<span class="foo"><span class="bar" data-id="1">45</span></span>' +
+            '<span class="bar"></span><span>67</span>' +
+            '<span class="foo baz">89</span><span class="baz foo">ab</span>' +
+            '<span class="foo" data-id="1">cd</span><span class="foo" data-id="2">ef</span></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.normalize();
+
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo"><span class="bar" data-id="1">2345</span></span>67' +
+            '<span class="foo baz">89ab</span>' +
+            '<span class="foo" data-id="1">cd</span><span class="foo" data-id="2">ef</span></div>');
+        assert.equal(rootElement.textContent, '0123456789abcdef');
+    });
+
+    it('Test auto merge', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { autoMerge: true });
+        ts1.applyToRanges([new TextSelection(2, 5)]); // '234'
+
+        let affectedNodeGroups = ts1.applyToRanges([
+            new TextSelection(5, 8), // '567'
+            new TextSelection(10, 12), // 'ab'
+            new TextSelection(12, 14), // 'cd'
+        ]);
+
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo">234567</span>89<span class="foo">abcd</span>efghij</div>');
+
+        let fooElements = rootElement.querySelectorAll('.foo');
+        assert.equal(affectedNodeGroups[0].length, 1);
+        assert.ok(affectedNodeGroups[0][0] === fooElements[0]);
+        assert.ok(affectedNodeGroups[1][0] === fooElements[1]);
+        assert.ok(affectedNodeGroups[2][0] === fooElements[1]);
+
+        // the freed text is merged into the neighbouring text node
+        ts1.clearRanges([new TextSelection(4, 10)]); // '456789'
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo">23</span>456789<span class="foo">abcd</span>efghij</div>');
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+        assert.equal(rootElement.childNodes.length, 1);
+    });
+
+    it('Test getRanges()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([
+            new TextSelection(2, 5), // '234'
+            new TextSelection(5, 8), // '567'
+            new TextSelection(10, 16), // 'abcdef'
+        ], [null, null, { classNames: ['warning'] }]);
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        ts2.applyToRanges([new TextSelection(12, 18)]); // 'cdefgh'
+
+        assert.deepEqual(ts1.getRanges(), [
+            { start: 2, end: 8, classes: ['foo'] },
+            { start: 10, end: 16, classes: ['foo', 'warning'] }
+        ]);
+
+        assert.deepEqual(ts2.getRanges(), [
+            { start: 12, end: 18, classes: ['bar'] }
+        ]);
+
+        ts2.clear();
+        assert.deepEqual(ts2.getRanges(), []);
+    });
+
+    it('Test exportRanges() and importRanges()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(5, 13)]); // '56789abc'
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        ts2.applyToRanges([new TextSelection(10, 16)]); // 'abcdef'
+
+        let ranges = TextStylization.exportRanges(rootElement, documentObject, NodeFilter);
+        assert.deepEqual(ranges, [
+            { start: 5, end: 10, classes: ['foo'] },
+            { start: 10, end: 13, classes: ['bar', 'foo'] },
+            { start: 13, end: 16, classes: ['bar'] }
+        ]);
+
+        // round-trip through JSON
+        let json = JSON.stringify(ranges);
+
+        let documentObject2 = createDocumentObject();
+        let rootElement2 = documentObject2.body.firstElementChild;
+        let textStylizations = TextStylization.importRanges(
+            rootElement2, JSON.parse(json), documentObject2, NodeFilter);
+
+        assert.deepEqual([...textStylizations.keys()], ['foo', 'bar']);
+        assert.deepEqual(TextStylization.exportRanges(rootElement2, documentObject2, NodeFilter), ranges);
+
+        textStylizations.get('bar').clear();
+        assert.deepEqual(TextStylization.exportRanges(rootElement2, documentObject2, NodeFilter), [
+            { start: 5, end: 13, classes: ['foo'] }
+        ]);
+    });
+
+    it('Test update()', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'keyword', documentObject, NodeFilter);
+        let result = ts1.update([
+            new TextSelection(2, 4), // '23'
+            new TextSelection(6, 9), // '678'
+            new TextSelection(12, 15), // 'cde'
+        ]);
+
+        assert.equal(result.addedRanges.length, 3);
+        assert.equal(result.addedNodeGroups.length, 3);
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="keyword">23</span>45<span class="keyword">678</span>9ab' +
+            '<span class="keyword">cde</span>fghij</div>');
+
+        let keywordElements = rootElement.querySelectorAll('.keyword');
+
+        // '23' 保持不变，'678' 变为 '6789'，'cde' 被移除，新增 'hi'
+        result = ts1.update([
+            new TextSelection(2, 4), // '23'
+            new TextSelection(6, 10), // '6789'
+            new TextSelection(17, 19), // 'hi'
+        ]);
+
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="keyword">23</span>45<span class="keyword">6789</span>ab' +
+            'cdefg<span class="keyword">hi</span>j</div>');
+
+        assert.deepEqual(result.unchangedRanges, [{ start: 2, end: 4, classes: ['keyword'] }]);
+        assert.deepEqual(result.removedRanges, [
+            { start: 6, end: 9, classes: ['keyword'] },
+            { start: 12, end: 15, classes: ['keyword'] }
+        ]);
+        assert.deepEqual(result.addedRanges, [
+            { start: 6, end: 10, classes: ['keyword'] },
+            { start: 17, end: 19, classes: ['keyword'] }
+        ]);
+
+        // 保持不变的范围的容器元素没有被改动
+        assert.equal(result.unchangedNodeGroups.length, 1);
+        assert.ok(result.unchangedNodeGroups[0][0] === keywordElements[0]);
+        assert.equal(result.removedNodeGroups.length, 2);
+        assert.equal(result.addedNodeGroups.length, 2);
+
+        // 同样的范围，没有任何改动
+        result = ts1.update([
+            new TextSelection(17, 19),
+            new TextSelection(2, 4),
+            new TextSelection(6, 10),
+        ]);
+        assert.equal(result.addedRanges.length, 0);
+        assert.equal(result.removedRanges.length, 0);
+        assert.equal(result.unchangedRanges.length, 3);
+    });
+
+    it('Test update() - decorations', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'token', documentObject, NodeFilter);
+        ts1.update([new TextSelection(2, 5), new TextSelection(8, 10)],
+            [{ classNames: ['string'] }, { classNames: ['number'] }]);
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="token string">234</span>567' +
+            '<span class="token number">89</span>abcdefghij</div>');
+
+        let result = ts1.update([new TextSelection(2, 5), new TextSelection(8, 10)],
+            [{ classNames: ['string'] }, { classNames: ['comment'] }]);
+        assert.equal(result.unchangedRanges.length, 1);
+        assert.equal(result.removedRanges.length, 1);
+        assert.equal(result.addedRanges.length, 1);
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="token string">234</span>567' +
+            '<span class="token comment">89</span>abcdefghij</div>');
+    });
+
+    it('Test update() - overlapping ranges and resizing', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        let textSelections = [new TextSelection(0, 5), new TextSelection(3, 8)];
+        let decorations = [{ classNames: ['a'] }, { classNames: ['b'] }];
+
+        let result = ts1.update(textSelections, decorations);
+        assert.deepEqual(result.addedRanges.map(({ start, end }) => [start, end]), [[0, 3], [3, 5], [5, 8]]);
+
+        let html = rootElement.outerHTML;
+        assert.equal(html,
+            '<div><span class="foo a">012</span><span class="foo a b">34</span>' +
+            '<span class="foo b">567</span>89abcdefghij</div>');
+
+        // 使用同样的参数重复调用时不会有任何改动
+        result = ts1.update(textSelections, decorations);
+        assert.equal(rootElement.outerHTML, html);
+        assert.equal(result.addedRanges.length, 0);
+        assert.equal(result.removedRanges.length, 0);
+        assert.equal(result.unchangedRanges.length, 3);
+        ts1.clear();
+
+        // 大小改变了的范围只改动它的边缘，扩大时原先的容器元素保持不变
+        ts1.update([new TextSelection(2, 6)]);
+        let element = rootElement.querySelector('.foo');
+
+        result = ts1.update([new TextSelection(2, 9)]);
+        assert.equal(rootElement.outerHTML, '<div>01<span class="foo">2345678</span>9abcdefghij</div>');
+        assert.ok(rootElement.querySelector('.foo') === element);
+        assert.deepEqual(result.removedNodeGroups, [[]]);
+        assert.deepEqual(result.addedNodeGroups, [[element]]);
+
+        result = ts1.update([new TextSelection(4, 9)]);
+        assert.equal(rootElement.outerHTML, '<div>0123<span class="foo">45678</span>9abcdefghij</div>');
+        assert.deepEqual(result.removedNodeGroups[0].map(node => node.nodeValue), ['0123']);
+    });
+
+    it('Test applyToMatches()', () => {
+        let documentObject = domino.createDocument(
+            '<div>see <span class="em">https://a.io</span> by @bob TODO</div>', true);
+        //         0123                 456789012345678         901234567890
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'todo', documentObject, NodeFilter);
+        let result = ts1.applyToMatches(/TODO/g);
+        assert.equal(result.matches.length, 1);
+        assert.equal(result.affectedNodeGroups.length, 1);
+        assert.equal(rootElement.outerHTML,
+            '<div>see <span class="em">https://a.io</span> by @bob <span class="todo">TODO</span></div>');
+
+        let ts2 = new TextStylization(rootElement, 'link', documentObject, NodeFilter);
+        result = ts2.applyToMatches([
+            { pattern: /https?:\/\/\S+/g, className: 'url' },
+            { pattern: /@(\w+)/g, groups: { 1: 'mention' } }
+        ]);
+
+        assert.deepEqual(result.matches.map(match => match.text), ['https://a.io', 'bob']);
+        assert.equal(rootElement.outerHTML,
+            '<div>see <span class="em link url">https://a.io</span> by @' +
+            '<span class="link mention">bob</span> <span class="todo">TODO</span></div>');
+
+        ts2.clear();
+        assert.equal(rootElement.outerHTML,
+            '<div>see <span class="em">https://a.io</span> by @bob <span class="todo">TODO</span></div>');
+    });
+
+    it('Test applyToRanges() - structured root', () => {
+        let documentObject = domino.createDocument(
+            '<div><p>01234</p><p>56<img>78</p><ul><li>9a</li><li>b<br>cd</li></ul></div>', true);
+        //           01234 5   67 8   90          1 2        3 4  56
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        assert.equal(ts1.getText(), '01234\n56\uFFFC78\n9a\nb\ncd');
+
+        // 跨越多个块元素的范围按块元素分割
+        ts1.applyToRanges([new TextSelection(3, 8)]); // '34\n56'
+        assert.equal(rootElement.outerHTML,
+            '<div><p>012<span class="foo">34</span></p><p><span class="foo">56</span><img>78</p>' +
+            '<ul><li>9a</li><li>b<br>cd</li></ul></div>');
+
+        // 整个块元素的文本被风格化时，不会借用块元素
+        ts1.applyToRanges([new TextSelection(12, 14)]); // '9a'
+        assert.equal(rootElement.outerHTML,
+            '<div><p>012<span class="foo">34</span></p><p><span class="foo">56</span><img>78</p>' +
+            '<ul><li><span class="foo">9a</span></li><li>b<br>cd</li></ul></div>');
+
+        // 范围包括原子元素和 <br>
+        ts1.applyToRanges([new TextSelection(8, 11), new TextSelection(15, 19)]); // '\uFFFC78', 'b\ncd'
+        assert.equal(rootElement.outerHTML,
+            '<div><p>012<span class="foo">34</span></p><p><span class="foo">56</span><img>' +
+            '<span class="foo">78</span></p><ul><li><span class="foo">9a</span></li>' +
+            '<li><span class="foo">b</span><br><span class="foo">cd</span></li></ul></div>');
+
+        assert.deepEqual(ts1.getRanges(), [
+            { start: 3, end: 5, classes: ['foo'] },
+            { start: 6, end: 8, classes: ['foo'] },
+            { start: 9, end: 11, classes: ['foo'] },
+            { start: 12, end: 14, classes: ['foo'] },
+            { start: 15, end: 16, classes: ['foo'] },
+            { start: 17, end: 19, classes: ['foo'] }
+        ]);
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML,
+            '<div><p>01234</p><p>56<img>78</p><ul><li>9a</li><li>b<br>cd</li></ul></div>');
+    });
+
+    it('Test applyToRanges() - non-editable islands', () => {
+        let documentObject = domino.createDocument(
+            '<div>ab<span contenteditable="false">widget</span>cd</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { atomicLength: 0 });
+        assert.equal(ts1.getText(), 'abcd');
+
+        ts1.applyToRanges([new TextSelection(1, 3)]); // 'bc'
+        assert.equal(rootElement.outerHTML,
+            '<div>a<span class="foo">b</span><span contenteditable="false">widget</span>' +
+            '<span class="foo">c</span>d</div>');
+
+        let result = ts1.applyToMatches(/widget|d/g);
+        assert.deepEqual(result.matches.map(match => match.text), ['d']);
+    });
+
+    it('Test offset units', () => {
+        let documentObject = domino.createDocument('<div>a\u{1F600}b中c</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { offsetUnit: 'codepoint' });
+        ts1.applyToRanges([new TextSelection(1, 3)]); // '😀b'
+        assert.equal(rootElement.outerHTML, '<div>a<span class="foo">\u{1F600}b</span>中c</div>');
+        assert.deepEqual(ts1.getRanges(), [{ start: 1, end: 3, classes: ['foo'] }]);
+
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter, { offsetUnit: 'utf8' });
+        let result = ts2.applyToMatches(/中/g);
+        assert.deepEqual(result.matches.map(match => [match.start, match.end]), [[6, 9]]);
+        assert.equal(rootElement.outerHTML,
+            '<div>a<span class="foo">\u{1F600}b</span><span class="bar">中</span>c</div>');
+
+        assert.equal(ts2.toUtf16Offset(6), 4);
+        assert.equal(ts2.fromUtf16Offset(4), 6);
+
+        assert.throws(() => new TextStylization(rootElement, 'baz', documentObject, NodeFilter,
+            { offsetUnit: 'byte' }), TypeError);
+    });
+
+    it('Test offset units - never split a surrogate pair', () => {
+        let documentObject = domino.createDocument('<div>a\u{1F600}b</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        // UTF-16 位置 2 落在 '😀' 的中间，结束位置向后对齐
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(0, 2)]);
+        assert.equal(rootElement.outerHTML, '<div><span class="foo">a\u{1F600}</span>b</div>');
+
+        ts1.clear();
+        ts1.applyToRanges([new TextSelection(2, 4)]);
+        assert.equal(rootElement.outerHTML, '<div>a<span class="foo">\u{1F600}b</span></div>');
+    });
+
+    // 一个用于测试的 Selection 对象
+    let createSelection = (anchorNode, anchorOffset, focusNode, focusOffset) => ({
+        anchorNode: anchorNode,
+        anchorOffset: anchorOffset,
+        focusNode: focusNode,
+        focusOffset: focusOffset,
+        rangeCount: 1,
+        setBaseAndExtent(anchorNode, anchorOffset, focusNode, focusOffset) {
+            Object.assign(this, {
+                anchorNode: anchorNode,
+                anchorOffset: anchorOffset,
+                focusNode: focusNode,
+                focusOffset: focusOffset
+            });
+        }
+    });
+
+    it('Test selection preservation', () => {
+        let documentObject = domino.createDocument(
+            '<div contenteditable="true">0123456789</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        // 光标位于 '5' 之前
+        let selection = createSelection(rootElement.firstChild, 5, rootElement.firstChild, 5);
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter,
+            { getSelection: () => selection });
+
+        ts1.applyToRanges([new TextSelection(3, 7)]); // '3456'
+        assert.equal(rootElement.outerHTML,
+            '<div contenteditable="true">012<span class="foo">3456</span>789</div>');
+        assert.ok(selection.anchorNode === rootElement.childNodes[1].firstChild);
+        assert.equal(selection.anchorOffset, 2);
+        assert.ok(selection.focusNode === selection.anchorNode);
+        assert.equal(selection.focusOffset, 2);
+
+        // 反向选中 '12345'，即 focus 位于 anchor 之前
+        let spanElement = rootElement.childNodes[1];
+        Object.assign(selection, {
+            anchorNode: spanElement.firstChild, anchorOffset: 3,
+            focusNode: rootElement, focusOffset: 0
+        });
+        ts1.clearElement(spanElement);
+        assert.equal(rootElement.outerHTML, '<div contenteditable="true">0123456789</div>');
+        assert.ok(selection.anchorNode === rootElement.firstChild);
+        assert.equal(selection.anchorOffset, 6);
+        assert.ok(selection.focusNode === rootElement.firstChild);
+        assert.equal(selection.focusOffset, 0);
+
+        // 光标位于容器元素的末尾
+        ts1.applyToRanges([new TextSelection(0, 4)]);
+        Object.assign(selection, {
+            anchorNode: rootElement.firstChild.firstChild, anchorOffset: 4,
+            focusNode: rootElement.firstChild.firstChild, focusOffset: 4
+        });
+        ts1.clear();
+        assert.ok(selection.anchorNode === rootElement.firstChild);
+        assert.equal(selection.anchorOffset, 4);
+    });
+
+    it('Test selection preservation - opt-out and non-editable root', () => {
+        let documentObject = domino.createDocument(
+            '<div contenteditable="true">0123456789</div><div>abcdef</div>', true);
+        let editableElement = documentObject.body.firstElementChild;
+        let plainElement = documentObject.body.lastElementChild;
+
+        let textNode = editableElement.firstChild;
+        let selection = createSelection(textNode, 5, textNode, 5);
+
+        let ts1 = new TextStylization(editableElement, 'foo', documentObject, NodeFilter,
+            { getSelection: () => selection, preserveSelection: false });
+        ts1.applyToRanges([new TextSelection(3, 7)]);
+        assert.ok(selection.anchorNode === textNode);
+        assert.equal(selection.anchorOffset, 5);
+
+        let plainTextNode = plainElement.firstChild;
+        Object.assign(selection, {
+            anchorNode: plainTextNode, anchorOffset: 4,
+            focusNode: plainTextNode, focusOffset: 4
+        });
+        let ts2 = new TextStylization(plainElement, 'foo', documentObject, NodeFilter,
+            { getSelection: () => selection });
+        ts2.applyToRanges([new TextSelection(1, 3)]);
+        assert.ok(selection.anchorNode === plainTextNode);
+        assert.equal(selection.anchorOffset, 4);
+    });
+
+    it('Test transact()', () => {
+        let documentObject = domino.createDocument(
+            '<div>01<span title="t" class="foo bar">2345</span>6789<b>ab</b></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let originalHTML = rootElement.outerHTML;
+        let originalNodes = [...rootElement.childNodes];
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { autoMerge: true });
+        let ts2 = new TextStylization(rootElement, { className: 'baz', tagName: 'mark', attributes: { 'data-id': '1' } },
+            documentObject, NodeFilter);
+
+        let transaction = TextStylization.transact(() => {
+            ts1.clearRanges([new TextSelection(3, 4)]);
+            ts2.applyToRanges([new TextSelection(1, 11)]);
+            ts1.applyToRanges([new TextSelection(8, 10)]);
+            return 'done';
+        });
+        assert.equal(transaction.result, 'done');
+
+        let changedHTML = rootElement.outerHTML;
+        assert.notEqual(changedHTML, originalHTML);
+
+        transaction.undo();
+        assert.equal(rootElement.outerHTML, originalHTML);
+        assert.ok([...rootElement.childNodes].every((node, idx) => node === originalNodes[idx]));
+
+        transaction.redo();
+        assert.equal(rootElement.outerHTML, changedHTML);
+
+        // 撤销之后装饰记录也被恢复，clear() 能够准确地移除 ts2 的装饰
+        transaction.undo();
+        transaction.redo();
+        ts2.clear();
+        assert.equal(rootElement.querySelectorAll('mark').length, 0);
+        assert.equal(rootElement.querySelectorAll('[data-id]').length, 0);
+
+        assert.throws(() => transaction.redo(), Error);
+    });
+
+    it('Test transact() - rollback on error', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        assert.throws(() => TextStylization.transact(() => {
+            ts1.applyToRanges([new TextSelection(3, 6)]);
+            throw new Error('failed');
+        }), /failed/);
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+    });
+
+    it('Test validateRanges() - sort, clamp and merge', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        let textSelections = [
+            new TextSelection(14, 30), // 超出文本的长度
+            new TextSelection(3, 6),
+            new TextSelection(5, 8), // 跟上一个重叠
+            new TextSelection(8, 8), // 长度为 0
+            new TextSelection(9, 7), // 开始位置大于结束位置
+            new TextSelection(-2, 1)
+        ];
+
+        let result = ts1.applyToRanges(textSelections);
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="foo">0</span>12<span class="foo">34567</span>89abcd' +
+            '<span class="foo">efghij</span></div>');
+
+        assert.deepEqual(result.outcomes.map(({ status, start, end, clamped, rangeIndex }) =>
+            [status, start, end, clamped, rangeIndex]), [
+            ['applied', 14, 20, true, 2],
+            ['applied', 3, 6, false, 1],
+            ['applied', 5, 8, false, 1],
+            ['empty', 8, 8, false, -1],
+            ['invalid', null, null, false, -1],
+            ['applied', 0, 1, true, 0]
+        ]);
+        assert.ok(result.outcomes[1].textSelection === textSelections[1]);
+
+        // 被合并的 TextSelection 共用同一个分组
+        assert.ok(result[1] === result[2]);
+        assert.equal(result[1][0].outerHTML, '<span class="foo">34567</span>');
+        assert.deepEqual(result[3], []);
+
+        // 装饰不同的范围不会被合并
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+        let result2 = ts2.validateRanges([new TextSelection(0, 3), new TextSelection(2, 5)],
+            [{ classNames: ['x'] }, { classNames: ['y'] }]);
+        assert.deepEqual(result2.ranges.map(({ start, end }) => [start, end]), [[0, 3], [2, 5]]);
+    });
+
+    it('Test applyToRanges() - overlapping ranges with different decorations', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        // 结构相同的装饰（即使不是同一个对象）会被合并
+        let result = ts1.applyToRanges([new TextSelection(0, 5), new TextSelection(3, 8)],
+            [{ classNames: ['a'] }, { classNames: ['a'] }]);
+        assert.equal(rootElement.outerHTML, '<div><span class="foo a">01234567</span>89abcdefghij</div>');
+        assert.ok(result[0] === result[1]);
+        ts1.clear();
+
+        // 部分重叠：重叠的部分同时添加两个装饰，两个范围都被完整地覆盖
+        result = ts1.applyToRanges([new TextSelection(0, 5), new TextSelection(3, 8)],
+            [{ classNames: ['a'] }, { classNames: ['b'] }]);
+        assert.equal(rootElement.outerHTML,
+            '<div><span class="foo a">012</span><span class="foo a b">34</span>' +
+            '<span class="foo b">567</span>89abcdefghij</div>');
+        assert.deepEqual(result[0].map(element => element.textContent), ['012', '34']);
+        assert.deepEqual(result[1].map(element => element.textContent), ['34', '567']);
+        assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[0, 3], [3, 5], [5, 8]]);
+        ts1.clear();
+
+        // 使用自定义容器元素时重叠的部分会嵌套，外层是开始位置较前的范围
+        let createElement = (doc) => doc.createElement('mark');
+        ts1.applyToRanges([new TextSelection(4, 9), new TextSelection(2, 6)],
+            [{ createElement, classNames: ['b'] }, { createElement, classNames: ['a'] }]);
+        assert.equal(rootElement.outerHTML,
+            '<div>01<mark class="foo a">23</mark><mark class="foo a"><mark class="foo b">45</mark></mark>' +
+            '<mark class="foo b">678</mark>9abcdefghij</div>');
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+        assert.equal(rootElement.childNodes.length, 1);
+    });
+
+    it('Test validateRanges() - strict mode', () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { strict: true });
+
+        let textSelection = new TextSelection(15, 21);
+        assert.throws(() => ts1.applyToRanges([new TextSelection(1, 2), textSelection]), error => {
+            assert.ok(error instanceof TextStylizationRangeError);
+            assert.ok(error instanceof RangeError);
+            assert.ok(error.textSelection === textSelection);
+            assert.equal(error.textLength, 20);
+            return true;
+        });
+        assert.throws(() => ts1.clearRanges([new TextSelection(5, 4)]), TextStylizationRangeError);
+        assert.throws(() => ts1.applyToRanges([{ start: 1.5, end: 3 }]), TextStylizationRangeError);
+
+        // 抛出异常时 DOM 不会被修改
+        assert.equal(rootElement.outerHTML, '<div>0123456789abcdefghij</div>');
+
+        ts1.applyToRanges([new TextSelection(20, 20), new TextSelection(0, 20)]);
+        assert.equal(rootElement.outerHTML, '<div><span class="foo">0123456789abcdefghij</span></div>');
+    });
+
+    it('Test applyToRanges() - line/column positions', () => {
+        let documentObject = domino.createDocument('<div><p>abc</p><p>defg</p></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+
+        assert.deepEqual(ts1.offsetToPosition(5), { line: 1, column: 1 });
+        assert.equal(ts1.positionToOffset({ line: 1, column: 3 }), 7);
+
+        let result = ts1.applyToRanges([{ start: { line: 0, column: 1 }, end: { line: 1, column: 2 } }]);
+        assert.equal(rootElement.outerHTML,
+            '<div><p>a<span class="foo">bc</span></p><p><span class="foo">de</span>fg</p></div>');
+        assert.equal(result.outcomes[0].start, 1);
+        assert.equal(result.outcomes[0].end, 6);
+    });
+
+    it('Test applyToLines()', () => {
+        let documentObject = domino.createDocument(
+            '<div><p>abc</p><p>d<b>ef</b>g</p><pre>hi\njk</pre></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let originalHTML = rootElement.outerHTML;
+        let ts1 = new TextStylization(rootElement, 'line', documentObject, NodeFilter);
+
+        // 对应块元素的行直接在块元素上添加样式
+        let result = ts1.applyToLines([1, 3, 9]);
+        assert.equal(rootElement.outerHTML,
+            '<div><p>abc</p><p class="line">d<b>ef</b>g</p>' +
+            '<pre>hi\n<span class="line">jk</span></pre></div>');
+        assert.equal(result[0][0].localName, 'p');
+        assert.deepEqual(result[2], []);
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, originalHTML);
+
+        // 不使用块元素时，行内元素不会被截断
+        ts1.applyToLines([1, 2], { decorateBlocks: false, includeNewline: true });
+        assert.equal(rootElement.outerHTML,
+            '<div><p>abc</p><p><span class="line">d</span><b class="line">ef</b><span class="line">g</span></p>' +
+            '<pre><span class="line">hi\n</span>jk</pre></div>');
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, originalHTML);
+
+        // 缩进的 HTML 源代码里块元素之间的空白文本不算作文本
+        let indentedDocumentObject = domino.createDocument('<div>\n  <p>ab</p>\n  <p>cd</p>\n</div>', true);
+        let indentedRootElement = indentedDocumentObject.body.firstElementChild;
+        let ts2 = new TextStylization(indentedRootElement, 'line', indentedDocumentObject, NodeFilter);
+        assert.equal(ts2.getText(), 'ab\ncd');
+
+        ts2.applyToLines([1]);
+        assert.equal(indentedRootElement.outerHTML,
+            '<div>\n  <p>ab</p>\n  <p class="line">cd</p>\n</div>');
+    });
+
+    it('Test getDecorationsAt() and getRangeOfElement()', () => {
+        let documentObject = domino.createDocument(
+            '<div contenteditable="true">0123456789</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let selection = createSelection(rootElement.firstChild, 0, rootElement.firstChild, 0);
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter,
+            { getSelection: () => selection });
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter);
+
+        ts1.applyToRanges([new TextSelection(2, 8)],
+            { classNames: ['comment'], attributes: { 'data-id': 7 } }); // '234567'
+        ts1.applyToRanges([new TextSelection(4, 6)]); // '45'
+        ts2.applyToRanges([new TextSelection(0, 3)]); // '012'
+
+        assert.equal(rootElement.outerHTML,
+            '<div contenteditable="true"><span class="bar">01</span>' +
+            '<span class="foo comment" data-id="7"><span class="bar">2</span>3' +
+            '<span class="foo">45</span>67</span>89</div>');
+
+        let decorations1 = ts1.getDecorationsAt(4);
+        assert.deepEqual(decorations1.map(({ start, end, text, classes, attributes }) =>
+            ({ start, end, text, classes, attributes })), [
+            { start: 2, end: 8, text: '234567', classes: ['comment', 'foo'], attributes: { 'data-id': '7' } },
+            { start: 4, end: 6, text: '45', classes: ['foo'], attributes: {} }
+        ]);
+        assert.ok(decorations1[1].element === rootElement.querySelector('.foo .foo'));
+
+        assert.deepEqual(ts1.getDecorationsAt(2).map(({ start, end }) => ({ start, end })),
+            [{ start: 2, end: 8 }]);
+        assert.deepEqual(ts1.getDecorationsAt(8), []);
+        assert.deepEqual(ts1.getDecorationsAt(10), []);
+        assert.deepEqual(ts2.getDecorationsAt(1).map(({ text }) => text), ['01']);
+        assert.deepEqual(ts2.getDecorationsAt(2).map(({ text }) => text), ['2']);
+
+        assert.deepEqual(ts1.getRangeOfElement(rootElement.querySelector('.foo .foo')),
+            { start: 4, end: 6 });
+        assert.deepEqual(ts1.getRangeOfElement(rootElement), { start: 0, end: 10 });
+        assert.equal(ts1.getRangeOfElement(documentObject.body), null);
+
+        // 光标位于装饰的末尾，即 '7' 之后
+        let textNode = rootElement.lastChild.previousSibling.lastChild;
+        Object.assign(selection, { focusNode: textNode, focusOffset: 2 });
+        assert.deepEqual(ts1.getDecorationsAtCaret().map(({ text }) => text), ['234567']);
+
+        Object.assign(selection, { focusNode: rootElement.lastChild, focusOffset: 1 });
+        assert.deepEqual(ts1.getDecorationsAtCaret(), []);
+
+        Object.assign(selection, { focusNode: null, focusOffset: 0 });
+        assert.deepEqual(ts1.getDecorationsAtCaret(), []);
+
+        // 只检查位置附近的节点，而不是构建所有容器元素的装饰信息
+        let ts3 = new TextStylization(rootElement, 'baz', documentObject, NodeFilter);
+        ts3.applyToRanges([...'0123456789'].map((char, idx) => new TextSelection(idx, idx + 1)));
+        let count = 0;
+        let toDecorationInfo = ts3._toDecorationInfo;
+        ts3._toDecorationInfo = function (...args) {
+            count++;
+            return toDecorationInfo.apply(this, args);
+        };
+        assert.deepEqual(ts3.getDecorationsAt(5).map(({ text }) => text), ['5']);
+        assert.ok(count <= 3);
+    });
+
+    it('Test listen()', () => {
+        let documentObject = domino.createDocument(
+            '<div>0123456789</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(2, 5), new TextSelection(7, 9)]);
+
+        let calls = [];
+        let stopListening = ts1.listen({
+            onClick: (decoration, event) => calls.push(['click', decoration.text, decoration.start, event.type]),
+            onHover: (decoration) => calls.push(['hover', decoration.text]),
+            onLeave: (decoration) => calls.push(['leave', decoration.text])
+        });
+
+        let dispatch = (target, type, relatedTarget = null) => {
+            let event = documentObject.createEvent('MouseEvent');
+            event.initMouseEvent(type, true, true, null, 0, 0, 0, 0, 0,
+                false, false, false, false, 0, relatedTarget);
+            target.dispatchEvent(event);
+        };
+
+        let [span1, span2] = Array.from(rootElement.querySelectorAll('span'));
+
+        dispatch(span1.firstChild, 'click');
+        dispatch(rootElement, 'click');
+
+        // 从根元素移入第一个装饰，再直接移入第二个装饰，最后移出到根元素之外
+        dispatch(rootElement, 'mouseout', span1);
+        dispatch(span1, 'mouseover', rootElement);
+        dispatch(span1, 'mouseout', span2);
+        dispatch(span2, 'mouseover', span1);
+        dispatch(span2, 'mouseout', documentObject.body);
+
+        assert.deepEqual(calls, [
+            ['click', '234', 2, 'click'],
+            ['hover', '234'],
+            ['leave', '234'],
+            ['hover', '78'],
+            ['leave', '78']
+        ]);
+
+        stopListening();
+        dispatch(span1, 'click');
+        assert.equal(calls.length, 5);
+    });
+
+    it('Test listen() - nested decorations', () => {
+        let documentObject = domino.createDocument('<div>0123456789</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter);
+        ts1.applyToRanges([new TextSelection(2, 8)]);
+        ts1.applyToRanges([new TextSelection(4, 6)], { tagName: 'b' });
+
+        let calls = [];
+        ts1.listen({
+            onHover: (decoration) => calls.push(['hover', decoration.text]),
+            onLeave: (decoration) => calls.push(['leave', decoration.text])
+        });
+
+        let dispatch = (target, type, relatedTarget = null) => {
+            let event = documentObject.createEvent('MouseEvent');
+            event.initMouseEvent(type, true, true, null, 0, 0, 0, 0, 0,
+                false, false, false, false, 0, relatedTarget);
+            target.dispatchEvent(event);
+        };
+
+        let outerElement = rootElement.querySelector('span');
+        let innerElement = rootElement.querySelector('b');
+
+        // 移入外层装饰，再移入内层装饰，然后回到外层装饰，外层装饰不会被重复调用
+        dispatch(outerElement, 'mouseover', rootElement);
+        dispatch(outerElement, 'mouseout', innerElement);
+        dispatch(innerElement, 'mouseover', outerElement);
+        dispatch(innerElement, 'mouseout', outerElement);
+        dispatch(outerElement, 'mouseover', innerElement);
+        assert.deepEqual(calls, [['hover', '234567'], ['hover', '45'], ['leave', '45']]);
+
+        // 从根元素之外直接移入内层装饰，以及直接移出两层装饰
+        calls = [];
+        dispatch(innerElement.firstChild, 'mouseover', documentObject.body);
+        dispatch(innerElement.firstChild, 'mouseout', null);
+        assert.deepEqual(calls, [
+            ['hover', '234567'], ['hover', '45'],
+            ['leave', '45'], ['leave', '234567']
+        ]);
+    });
+
+    it('Test applyDiff()', () => {
+        let toHunkObject = ({ start, end, oldText, newText }) => ({ start, end, oldText, newText });
+
+        let documentObject = domino.createDocument(
+            '<div><span class="foo">old</span> content</div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'diff', documentObject, NodeFilter);
+
+        let hunks = ts1.applyDiff('the quick brown fox', 'the slow brown dog', { granularity: 'word' });
+        assert.equal(rootElement.outerHTML,
+            '<div>the <span class="diff diff-delete">quick</span><span class="diff diff-insert">slow</span>' +
+            ' brown <span class="diff diff-delete">fox</span><span class="diff diff-insert">dog</span></div>');
+        assert.ok(hunks.every(hunk => hunk instanceof TextSelection));
+        assert.deepEqual(hunks.map(toHunkObject), [
+            { start: 4, end: 13, oldText: 'quick', newText: 'slow' },
+            { start: 20, end: 26, oldText: 'fox', newText: 'dog' }
+        ]);
+        assert.equal(ts1.getText().substring(hunks[1].start, hunks[1].end), 'foxdog');
+
+        // 使用标记元素
+        hunks = ts1.applyDiff('abcdef', 'abXdf', { deletion: 'marker' });
+        assert.equal(rootElement.outerHTML,
+            '<div>ab<span class="diff diff-delete" data-deleted="c"></span>' +
+            '<span class="diff diff-insert">X</span>d' +
+            '<span class="diff diff-delete" data-deleted="e"></span>f</div>');
+        assert.deepEqual(hunks.map(toHunkObject), [
+            { start: 2, end: 3, oldText: 'c', newText: 'X' },
+            { start: 4, end: 4, oldText: 'e', newText: '' }
+        ]);
+        assert.equal(ts1.getText(), 'abXdf');
+
+        ts1.clear();
+        assert.equal(rootElement.outerHTML, '<div>abXdf</div>');
+
+        // 位置单位
+        let ts2 = new TextStylization(rootElement, 'diff', documentObject, NodeFilter,
+            { offsetUnit: 'codepoint' });
+        hunks = ts2.applyDiff('😀a', '😀b');
+        assert.deepEqual(hunks.map(toHunkObject), [{ start: 1, end: 3, oldText: 'a', newText: 'b' }]);
+    });
+
+    it('Test cacheTextModel', () => {
+        let documentObject = domino.createDocument(
+            '<div><p>0123456789</p><p>ab<b>cd</b>ef</p></div>', true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { cacheTextModel: true });
+        let ts2 = new TextStylization(rootElement, 'bar', documentObject, NodeFilter, { cacheTextModel: true });
+
+        // 缓存的文本模型应该跟重新构建的完全一样
+        let assertTextModel = (ts) => {
+            let textModel = ts._createTextModel();
+            let freshTextModel = new TextModel(rootElement, documentObject, NodeFilter);
+            assert.equal(textModel.text, freshTextModel.text);
+            assert.deepEqual(textModel.segments, freshTextModel.segments);
+            assert.deepEqual(textModel.textSegments, freshTextModel.textSegments);
+        };
+
+        let textModel = ts1._createTextModel();
+        assert.equal(ts2._createTextModel(), textModel);
+
+        // 同一个 Text Node 里的多个范围，以及跨越块元素的范围
+        ts1.applyToRanges([new TextSelection(1, 3), new TextSelection(4, 5), new TextSelection(8, 13)]);
+        assert.equal(ts1._createTextModel(), textModel);
+        assertTextModel(ts1);
+
+        // 另一个风格器的重叠的范围
+        ts2.applyToRanges([new TextSelection(0, 2), new TextSelection(12, 14)]);
+        assert.equal(ts2._createTextModel(), textModel);
+        assertTextModel(ts2);
+
+        assert.equal(rootElement.outerHTML,
+            '<div><p><span class="bar">0</span><span class="foo"><span class="bar">1</span>2</span>3' +
+            '<span class="foo">4</span>567<span class="foo">89</span></p>' +
+            '<p><span class="foo">a<span class="bar">b</span></span><b><span class="bar">c</span>d</b>ef</p></div>');
+
+        // 移除样式会让缓存失效
+        ts1.clear();
+        assert.notEqual(ts1._createTextModel(), textModel);
+        assertTextModel(ts1);
+
+        // 撤销及重做也会让缓存失效
+        let transaction = TextStylization.transact(() => ts1.applyToRanges([new TextSelection(2, 6)]));
+        assertTextModel(ts1);
+        transaction.undo();
+        assertTextModel(ts1);
+        transaction.redo();
+        assertTextModel(ts1);
+
+        // 块元素的容器元素会让缓存失效
+        ts1.applyToRanges([new TextSelection(13, 14)], { tagName: 'div' });
+        assertTextModel(ts1);
+
+        // 风格器之外的修改
+        rootElement.querySelector('b').textContent = 'xyz';
+        ts1.invalidateTextModel();
+        assertTextModel(ts1);
+    });
+
+    it('Test applyToRangesAsync()', async () => {
+        let documentObject = createDocumentObject();
+        let rootElement = documentObject.body.firstElementChild;
+        let ts1 = new TextStylization(rootElement, 'foo', documentObject, NodeFilter, { cacheTextModel: true });
+
+        // 每个批次都会用完时间片
+        let time = 0;
+        let now = () => time++;
+        let slices = 0;
+        let schedule = (callback) => {
+            slices++;
+            callback();
+        };
+
+        let textSelections = [0, 2, 4, 6, 8, 10].map(start => new TextSelection(start, start + 1));
+        let result = await ts1.applyToRangesAsync([...textSelections, new TextSelection(5, 3)], null,
+            { timeBudget: 1, now, schedule });
+
+        assert.equal(slices, 5);
+        assert.equal(result.length, 7);
+        assert.equal(result[0][0].textContent, '0');
+        assert.equal(result[5][0].textContent, 'a');
+        assert.equal(result.outcomes[6].status, 'invalid');
+
+        let expectedDocumentObject = createDocumentObject();
+        let expectedRootElement = expectedDocumentObject.body.firstElementChild;
+        new TextStylization(expectedRootElement, 'foo', expectedDocumentObject, NodeFilter)
+            .applyToRanges(textSelections);
+        assert.equal(rootElement.outerHTML, expectedRootElement.outerHTML);
+
+        // 取消
+        ts1.clear();
+        let abortController = new AbortController();
+        let abortReason = new Error('abort');
+        let promise = ts1.applyToRangesAsync(textSelections, null, {
+            timeBudget: 1, now, schedule: (callback) => {
+                abortController.abort(abortReason);
+                callback();
+            },
+            signal: abortController.signal
+        });
+
+        await assert.rejects(promise, error => error === abortReason);
+
+        // 取消之前已经风格化的范围保持不变
+        assert.deepEqual(ts1.getRanges().map(({ start, end }) => [start, end]), [[10, 11]]);
+    });
 });
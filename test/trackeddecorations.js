@@ -0,0 +1,238 @@
+const assert = require('assert/strict');
+const domino = require('domino');
+const NodeFilter = require('domino/lib/NodeFilter');
+
+const { TextSelection } = require('jstextselection');
+const { TrackedDecorations } = require('../index');
+const FakeMutationObserver = require('./helpers/fakemutationobserver');
+
+describe('TrackedDecorations Test', () => {
+
+    let createTrackedDecorations = (html, options = {}) => {
+        let documentObject = domino.createDocument(html, true);
+        let rootElement = documentObject.body.firstElementChild;
+
+        return new TrackedDecorations(rootElement, 'foo', documentObject, NodeFilter, {
+            mutationObserverClass: FakeMutationObserver,
+            ...options
+        });
+    };
+
+    it('Test add() and getRange()', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let id = trackedDecorations.add(new TextSelection(3, 6));
+
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 3, end: 6 });
+        assert.equal(trackedDecorations.rootElement.outerHTML,
+            '<div>012<span class="foo">345</span>6789</div>');
+
+        // 空的范围
+        assert.equal(trackedDecorations.add(new TextSelection(2, 2)), null);
+
+        assert.equal(trackedDecorations.remove(id), true);
+        assert.equal(trackedDecorations.remove(id), false);
+        assert.equal(trackedDecorations.getRange(id), null);
+        assert.equal(trackedDecorations.rootElement.outerHTML, '<div>0123456789</div>');
+    });
+
+    it('Test inserting and deleting text before and after', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let rootElement = trackedDecorations.rootElement;
+        let id = trackedDecorations.add(new TextSelection(3, 6));
+
+        // 在装饰之前插入文本
+        rootElement.firstChild.nodeValue = '0ab12';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 5, end: 8 });
+        assert.equal(rootElement.outerHTML, '<div>0ab12<span class="foo">345</span>6789</div>');
+
+        // 在装饰之前删除文本
+        rootElement.firstChild.nodeValue = '02';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 2, end: 5 });
+
+        // 在装饰之后删除文本
+        rootElement.lastChild.nodeValue = '9';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 2, end: 5 });
+        assert.equal(rootElement.outerHTML, '<div>02<span class="foo">345</span>9</div>');
+
+        // 删除装饰之内的部分文本
+        rootElement.querySelector('span').firstChild.nodeValue = '5';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 2, end: 3 });
+    });
+
+    it('Test typing at the edges - inclusive and exclusive', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let rootElement = trackedDecorations.rootElement;
+
+        // 默认在末尾输入的文本属于装饰，在开头输入的则不属于
+        let id1 = trackedDecorations.add(new TextSelection(3, 6));
+        let textNode = rootElement.querySelector('span').firstChild;
+
+        textNode.nodeValue = '345x';
+        assert.deepEqual(trackedDecorations.getRange(id1), { start: 3, end: 7 });
+
+        textNode = rootElement.querySelector('span').firstChild;
+        textNode.nodeValue = 'y345x';
+        assert.deepEqual(trackedDecorations.getRange(id1), { start: 4, end: 8 });
+        assert.equal(rootElement.outerHTML, '<div>012y<span class="foo">345x</span>6789</div>');
+
+        trackedDecorations.remove(id1);
+
+        // 相反的设置
+        let id2 = trackedDecorations.add(new TextSelection(4, 8),
+            { inclusiveStart: true, inclusiveEnd: false });
+
+        rootElement.lastChild.nodeValue = 'z6789';
+        assert.deepEqual(trackedDecorations.getRange(id2), { start: 4, end: 8 });
+
+        rootElement.firstChild.nodeValue = '012yw';
+        assert.deepEqual(trackedDecorations.getRange(id2), { start: 4, end: 9 });
+        assert.equal(rootElement.outerHTML,
+            '<div>012y<span class="foo">w345x</span>z6789</div>');
+    });
+
+    it('Test typing repeated characters at the edges', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123455789</div>');
+        let rootElement = trackedDecorations.rootElement;
+        let id = trackedDecorations.add(new TextSelection(3, 6));
+
+        // 在装饰之后的 Text Node 的开头输入 '5'，即在装饰之外输入。
+        rootElement.lastChild.nodeValue = '55789';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 3, end: 6 });
+
+        // 在装饰的 Text Node 的末尾输入 '5'，文本的比较无法区分是在装饰的末尾还是
+        // 之后输入，被修改的 Text Node 表明是在装饰的末尾。
+        rootElement.querySelector('span').firstChild.nodeValue = '3455';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 3, end: 7 });
+        assert.equal(rootElement.outerHTML, '<div>012<span class="foo">3455</span>55789</div>');
+    });
+
+    it('Test the collapse event', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let rootElement = trackedDecorations.rootElement;
+        let id1 = trackedDecorations.add(new TextSelection(3, 6), { data: 'one' });
+        let id2 = trackedDecorations.add(new TextSelection(7, 9), { data: 'two' });
+
+        let events = [];
+        trackedDecorations.on('collapse', event => events.push(event));
+
+        rootElement.querySelector('span').remove();
+        trackedDecorations.sync();
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].type, 'collapse');
+        assert.equal(events[0].decoration.id, id1);
+        assert.equal(events[0].decoration.data, 'one');
+        assert.deepEqual([events[0].decoration.start, events[0].decoration.end], [3, 3]);
+
+        assert.equal(trackedDecorations.getRange(id1), null);
+        assert.deepEqual(trackedDecorations.getRange(id2), { start: 4, end: 6 });
+        assert.deepEqual(trackedDecorations.getDecorations().map(decoration => decoration.id), [id2]);
+    });
+
+    it('Test the split event', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let rootElement = trackedDecorations.rootElement;
+        let documentObject = rootElement.ownerDocument;
+        let id = trackedDecorations.add(new TextSelection(2, 8), { data: 'one' });
+
+        let events = [];
+        trackedDecorations.on('split', event => events.push(event));
+
+        // 在 '4' 和 '5' 之间插入换行
+        let textNode = rootElement.querySelector('span').firstChild;
+        let tailTextNode = textNode.splitText(3);
+        textNode.parentNode.insertBefore(documentObject.createElement('br'), tailTextNode);
+        trackedDecorations.sync();
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].decoration.id, id);
+        assert.deepEqual([events[0].decoration.start, events[0].decoration.end], [2, 5]);
+        assert.deepEqual([events[0].newDecoration.start, events[0].newDecoration.end], [6, 9]);
+        assert.equal(events[0].newDecoration.data, 'one');
+        assert.notEqual(events[0].newDecoration.id, id);
+
+        assert.deepEqual(trackedDecorations.getDecorations().map(({ start, end }) => ({ start, end })),
+            [{ start: 2, end: 5 }, { start: 6, end: 9 }]);
+        // <br> 元素不属于任何范围，所以容器元素不需要分割
+        assert.equal(rootElement.outerHTML,
+            '<div>01<span class="foo">234<br>567</span>89</div>');
+
+        // 在装饰的边界插入的换行不会分割装饰
+        rootElement.querySelector('span').after(documentObject.createElement('br'));
+        trackedDecorations.sync();
+        assert.equal(events.length, 1);
+        assert.equal(trackedDecorations.getDecorations().length, 2);
+    });
+
+    it('Test the mutation observer callback', () => {
+        let trackedDecorations = createTrackedDecorations('<div>0123456789</div>');
+        let rootElement = trackedDecorations.rootElement;
+        let id = trackedDecorations.add(new TextSelection(3, 6));
+
+        // 风格器自己的修改不会改变装饰
+        assert.equal(trackedDecorations.observer.flush(), true);
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 3, end: 6 });
+
+        rootElement.firstChild.nodeValue = '';
+        assert.equal(trackedDecorations.observer.flush(), true);
+
+        // 回调函数已经重新渲染了装饰
+        assert.equal(rootElement.outerHTML, '<div><span class="foo">345</span>6789</div>');
+        assert.equal(trackedDecorations.decorations.get(id).start, 0);
+
+        trackedDecorations.disconnect();
+        assert.equal(trackedDecorations.observer, null);
+
+        // 没有 MutationObserver 时 getRange() 方法仍然会同步
+        rootElement.insertBefore(rootElement.ownerDocument.createTextNode('ab'), rootElement.firstChild);
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 2, end: 5 });
+    });
+
+    it('Test multiple observers on one document', () => {
+        let documentObject = domino.createDocument('<div>0123456789</div><div>abcdefghij</div>', true);
+        let [rootElement1, rootElement2] = Array.from(documentObject.body.children);
+        let createObserved = (rootElement) => new TrackedDecorations(rootElement, 'foo', documentObject, NodeFilter,
+            { mutationObserverClass: FakeMutationObserver });
+
+        let trackedDecorations1 = createObserved(rootElement1);
+        let trackedDecorations2 = createObserved(rootElement2);
+        let id = trackedDecorations2.add(new TextSelection(3, 6));
+        trackedDecorations2.observer.flush();
+
+        // 先创建的观察者先停止观察，之后创建的观察者仍然有效
+        trackedDecorations1.disconnect();
+        rootElement2.firstChild.nodeValue = 'XYabc';
+        assert.equal(trackedDecorations2.observer.flush(), true);
+        assert.equal(trackedDecorations2.decorations.get(id).start, 5);
+
+        // 所有观察者都停止观察之后恢复原先的修改处理函数
+        trackedDecorations2.disconnect();
+        assert.equal(documentObject.mutationHandler ?? null, null);
+    });
+
+    it('Test offset unit', () => {
+        let trackedDecorations = createTrackedDecorations('<div>a😀bcd</div>',
+            { offsetUnit: 'codepoint' });
+        let rootElement = trackedDecorations.rootElement;
+        let id = trackedDecorations.add(new TextSelection(2, 4)); // 'bc'
+
+        rootElement.firstChild.nodeValue = '😀a😀';
+        assert.deepEqual(trackedDecorations.getRange(id), { start: 3, end: 5 });
+        assert.equal(rootElement.outerHTML, '<div>😀a😀<span class="foo">bc</span>d</div>');
+    });
+
+    it('Test _findEdit()', () => {
+        assert.deepEqual(TrackedDecorations._findEdit('abcd', 'abXcd'),
+            { start: 2, deletedLength: 0, insertedLength: 1 });
+        assert.deepEqual(TrackedDecorations._findEdit('abcd', 'ad'),
+            { start: 1, deletedLength: 2, insertedLength: 0 });
+        assert.deepEqual(TrackedDecorations._findEdit('abcd', 'aXYd'),
+            { start: 1, deletedLength: 2, insertedLength: 2 });
+
+        // 有歧义的位置
+        assert.deepEqual(TrackedDecorations._findEdit('xaay', 'xaaay'),
+            { start: 3, deletedLength: 0, insertedLength: 1 });
+        assert.deepEqual(TrackedDecorations._findEdit('xaay', 'xaaay', { start: 0, end: 2 }),
+            { start: 1, deletedLength: 0, insertedLength: 1 });
+    });
+});